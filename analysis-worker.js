@@ -0,0 +1,560 @@
+// Offline audio analyzer, runs as a Web Worker.
+// Turns decoded PCM into an object shaped like Spotify's audio-analysis JSON
+// (meta, track, bars, beats, tatums, sections, segments), so AnalysisData can consume it unchanged.
+
+const TARGET_RATE = 22050;
+const FRAME = 1024;
+const HOP = 256;
+const MEL_BANDS = 26;
+const SILENCE_DB = -60;
+
+self.onmessage = e => {
+  const { id, channels, sampleRate } = e.data;
+  try {
+    const analysis = analyzeAudio(channels, sampleRate, progress => self.postMessage({ id, progress }));
+    self.postMessage({ id, analysis });
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || String(err) });
+  }
+};
+
+/** Full analysis pipeline: features per frame, then tempo/beats/meter, key, segments and sections */
+function analyzeAudio(channels, sampleRate, onProgress = () => {}) {
+  const started = Date.now();
+  const { samples, rate } = mixdown(channels, sampleRate);
+  if (samples.length < FRAME * 4) throw new Error('Audio zu kurz für eine Analyse');
+  const duration = channels[0].length / sampleRate;
+  const features = computeFrameFeatures(samples, rate, p => onProgress(p * 0.7));
+  const fps = rate / HOP;
+  const frameTime = f => (f * HOP + FRAME / 2) / rate;
+
+  const onset = normalizeOnset(features.flux);
+  const { tempo, confidence: tempoConfidence } = estimateTempo(onset, fps);
+  onProgress(0.75);
+  const beatFrames = alignToKicks(trackBeats(onset, fps, tempo), features.low);
+  const beatAccent = beatFrames.map(f => accentAt(features.low, onset, f));
+  const meter = estimateMeter(beatAccent);
+  onProgress(0.8);
+
+  const beats = beatFrames.map((f, i) => {
+    const start = frameTime(f);
+    const next = i + 1 < beatFrames.length ? frameTime(beatFrames[i + 1]) : start + 60 / tempo;
+    return { start: r5(start), duration: r5(next - start), confidence: r3(clamp(onset[f] / 4, 0, 1)) };
+  });
+  const tatums = beats.flatMap(b => [
+    { start: b.start, duration: r5(b.duration / 2), confidence: b.confidence },
+    { start: r5(b.start + b.duration / 2), duration: r5(b.duration / 2), confidence: r3(b.confidence / 2) },
+  ]);
+  const bars = [];
+  for (let i = meter.phase; i < beats.length; i += meter.beatsPerBar) {
+    const group = beats.slice(i, i + meter.beatsPerBar);
+    const end = beats[i + meter.beatsPerBar]?.start ?? (group.at(-1).start + group.at(-1).duration);
+    bars.push({ start: group[0].start, duration: r5(end - group[0].start), confidence: r3(mean(group.map(b => b.confidence))) });
+  }
+
+  const globalKey = estimateKey(meanChroma(features, 0, features.count));
+  const segments = buildSegments(features, onset, frameTime);
+  onProgress(0.9);
+  const sections = buildSections(features, bars, beats, frameTime, rate, meter, duration);
+  const fades = estimateFades(features.db, fps);
+
+  onProgress(1);
+  return {
+    meta: {
+      analyzer_version: 'local-1',
+      platform: 'browser',
+      detailed_status: 'OK',
+      status_code: 0,
+      timestamp: Math.floor(Date.now() / 1000),
+      analysis_time: r5((Date.now() - started) / 1000),
+      input_process: `local ${channels.length}ch ${sampleRate}->${Math.round(rate)}`,
+    },
+    track: {
+      num_samples: samples.length,
+      duration: r5(duration),
+      sample_md5: '',
+      offset_seconds: 0,
+      window_seconds: 0,
+      analysis_sample_rate: Math.round(rate),
+      analysis_channels: 1,
+      end_of_fade_in: r5(fades.endOfFadeIn),
+      start_of_fade_out: r5(Math.min(duration, fades.startOfFadeOut)),
+      loudness: r3(energyMeanDb(features.db, 0, features.count)),
+      tempo: r3(tempo),
+      tempo_confidence: r3(tempoConfidence),
+      time_signature: meter.beatsPerBar,
+      time_signature_confidence: r3(meter.confidence),
+      key: globalKey.key,
+      key_confidence: r3(globalKey.keyConfidence),
+      mode: globalKey.mode,
+      mode_confidence: r3(globalKey.modeConfidence),
+    },
+    bars,
+    beats,
+    sections,
+    segments,
+    tatums,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Frame features
+
+/** Mono mixdown, decimated to roughly 22.05 kHz with a box filter */
+function mixdown(channels, sampleRate) {
+  const factor = Math.max(1, Math.round(sampleRate / TARGET_RATE));
+  const length = Math.floor(channels[0].length / factor);
+  const samples = new Float32Array(length);
+  const scale = 1 / (factor * channels.length);
+  for (const channel of channels) {
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      for (let k = 0; k < factor; k++) sum += channel[i * factor + k];
+      samples[i] += sum * scale;
+    }
+  }
+  return { samples, rate: sampleRate / factor };
+}
+
+/** Per-frame loudness (dB), spectral flux, low-band energy, chroma and MFCC-like timbre */
+function computeFrameFeatures(samples, rate, onProgress) {
+  const count = Math.floor((samples.length - FRAME) / HOP) + 1;
+  const bins = FRAME / 2 + 1;
+  const window = new Float64Array(FRAME);
+  for (let i = 0; i < FRAME; i++) window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FRAME);
+
+  // Bin → pitch class for 55 Hz … 5 kHz, bin → low band below 150 Hz
+  const pitchClass = new Int8Array(bins).fill(-1);
+  let lowBins = 0;
+  for (let k = 1; k < bins; k++) {
+    const freq = k * rate / FRAME;
+    if (freq < 150) lowBins = k + 1;
+    if (freq >= 55 && freq <= 5000) pitchClass[k] = ((Math.round(12 * Math.log2(freq / 440)) + 69) % 12 + 12) % 12;
+  }
+  const mel = melFilterbank(bins, rate);
+
+  const db = new Float32Array(count);
+  const flux = new Float32Array(count);
+  const low = new Float32Array(count);
+  const chroma = new Float32Array(count * 12);
+  const timbre = new Float32Array(count * 12);
+  const re = new Float64Array(FRAME);
+  const im = new Float64Array(FRAME);
+  const logMag = new Float64Array(bins);
+  const prevLogMag = new Float64Array(bins);
+  const melEnergy = new Float64Array(MEL_BANDS);
+
+  for (let f = 0; f < count; f++) {
+    const offset = f * HOP;
+    let energy = 0;
+    for (let i = 0; i < FRAME; i++) {
+      const v = samples[offset + i];
+      energy += v * v;
+      re[i] = v * window[i];
+      im[i] = 0;
+    }
+    db[f] = Math.max(SILENCE_DB, 10 * Math.log10(energy / FRAME + 1e-12));
+    fft(re, im);
+
+    let fluxSum = 0;
+    let lowSum = 0;
+    melEnergy.fill(0);
+    for (let k = 0; k < bins; k++) {
+      const power = re[k] * re[k] + im[k] * im[k];
+      const mag = Math.sqrt(power);
+      logMag[k] = Math.log1p(1000 * mag);
+      if (f > 0) fluxSum += Math.max(0, logMag[k] - prevLogMag[k]);
+      if (k < lowBins) lowSum += power;
+      if (pitchClass[k] >= 0) chroma[f * 12 + pitchClass[k]] += power;
+      for (const [band, weight] of mel[k]) melEnergy[band] += weight * power;
+    }
+    prevLogMag.set(logMag);
+    flux[f] = fluxSum;
+    low[f] = Math.log1p(lowSum);
+
+    // DCT-II of the log mel energies; the first coefficient tracks loudness like Spotify's timbre[0]
+    for (let c = 0; c < 12; c++) {
+      let sum = 0;
+      for (let b = 0; b < MEL_BANDS; b++) sum += Math.log10(melEnergy[b] + 1e-10) * Math.cos(Math.PI * c * (b + 0.5) / MEL_BANDS);
+      timbre[f * 12 + c] = sum;
+    }
+    if (f % 500 === 0) onProgress(f / count);
+  }
+  return { count, db, flux, low, chroma, timbre };
+}
+
+/** Triangular mel filters as sparse [band, weight] lists per FFT bin */
+function melFilterbank(bins, rate) {
+  const toMel = f => 2595 * Math.log10(1 + f / 700);
+  const fromMel = m => 700 * (10 ** (m / 2595) - 1);
+  const lo = toMel(40);
+  const hi = toMel(Math.min(8000, rate / 2));
+  const edges = [];
+  for (let i = 0; i < MEL_BANDS + 2; i++) edges.push(fromMel(lo + (hi - lo) * i / (MEL_BANDS + 1)));
+  const filters = Array.from({ length: bins }, () => []);
+  for (let k = 0; k < bins; k++) {
+    const freq = k * rate / FRAME;
+    for (let b = 0; b < MEL_BANDS; b++) {
+      const [left, center, right] = [edges[b], edges[b + 1], edges[b + 2]];
+      if (freq > left && freq < right) {
+        filters[k].push([b, freq <= center ? (freq - left) / (center - left) : (right - freq) / (right - center)]);
+      }
+    }
+  }
+  return filters;
+}
+
+/** In-place iterative radix-2 FFT */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Rhythm
+
+/** Onset strength with the local mean removed, in units of its standard deviation */
+function normalizeOnset(flux) {
+  const n = flux.length;
+  const out = new Float32Array(n);
+  const half = 16;
+  let sum = 0;
+  for (let i = 0; i < Math.min(n, half); i++) sum += flux[i];
+  for (let i = 0; i < n; i++) {
+    if (i + half < n) sum += flux[i + half];
+    if (i - half - 1 >= 0) sum -= flux[i - half - 1];
+    const width = Math.min(n, i + half + 1) - Math.max(0, i - half);
+    out[i] = Math.max(0, flux[i] - sum / width);
+  }
+  const std = Math.sqrt(mean(out.map(v => v * v))) || 1;
+  return out.map(v => v / std);
+}
+
+/** Autocorrelation tempo estimate, weighted towards 120 BPM on a log scale */
+function estimateTempo(onset, fps) {
+  const minLag = Math.floor(fps * 60 / 200);
+  const maxLag = Math.ceil(fps * 60 / 60);
+  const ac = new Float64Array(maxLag + 2);
+  for (let lag = 0; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let t = lag; t < onset.length; t++) sum += onset[t] * onset[t - lag];
+    ac[lag] = sum;
+  }
+  let best = minLag;
+  let bestScore = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = 60 * fps / lag;
+    const score = ac[lag] * Math.exp(-0.5 * Math.log2(bpm / 120) ** 2);
+    if (score > bestScore) {
+      bestScore = score;
+      best = lag;
+    }
+  }
+  // Parabolic interpolation around the peak
+  const [l, c, r] = [ac[best - 1], ac[best], ac[best + 1]];
+  const shift = (l - 2 * c + r) !== 0 ? 0.5 * (l - r) / (l - 2 * c + r) : 0;
+  const lag = best + clamp(shift, -0.5, 0.5);
+  return { tempo: 60 * fps / lag, confidence: clamp(c / (ac[0] || 1) * 2, 0, 1) };
+}
+
+/** Dynamic-programming beat tracker (Ellis 2007) */
+function trackBeats(onset, fps, tempo) {
+  const period = 60 * fps / tempo;
+  const tightness = 100;
+  const n = onset.length;
+  const score = new Float64Array(n);
+  const back = new Int32Array(n).fill(-1);
+  for (let t = 0; t < n; t++) {
+    const from = Math.max(0, t - Math.round(2 * period));
+    const to = t - Math.round(period / 2);
+    let best = -Infinity;
+    for (let tau = from; tau <= to; tau++) {
+      const v = score[tau] - tightness * Math.log((t - tau) / period) ** 2;
+      if (v > best) {
+        best = v;
+        back[t] = tau;
+      }
+    }
+    score[t] = onset[t] + (best > 0 ? best : 0);
+    if (best <= 0) back[t] = -1;
+  }
+  let end = n - 1;
+  for (let t = Math.max(0, n - Math.round(period)); t < n; t++) if (score[t] > score[end]) end = t;
+  const frames = [];
+  for (let t = end; t >= 0; t = back[t]) frames.push(t);
+  return frames.reverse();
+}
+
+/**
+ * Broadband onsets (hi-hats, claps) can pull the tracker onto the off-beat. If the low band is clearly
+ * stronger halfway between the tracked beats, the kicks sit there: shift the grid by half a beat.
+ */
+function alignToKicks(frames, low) {
+  if (frames.length < 8) return frames;
+  const mids = frames.slice(1).map((f, i) => Math.round((frames[i] + f) / 2));
+  const onBeat = mean(frames.slice(1).map(f => low[f]));
+  const offBeat = mean(mids.map(f => low[f]));
+  return offBeat > onBeat * 1.05 ? mids : frames;
+}
+
+function accentAt(low, onset, frame) {
+  let sum = 0;
+  for (let f = Math.max(0, frame - 2); f <= Math.min(low.length - 1, frame + 2); f++) sum += low[f] + onset[f];
+  return sum;
+}
+
+/** Pick 3 or 4 beats per bar and the downbeat phase from the accent pattern of the beats */
+function estimateMeter(accents) {
+  const average = mean(accents) || 1;
+  const candidates = [3, 4].map(beatsPerBar => {
+    let best = { beatsPerBar, phase: 0, contrast: 0 };
+    for (let phase = 0; phase < beatsPerBar; phase++) {
+      const strong = accents.filter((_, i) => i % beatsPerBar === phase);
+      const contrast = (mean(strong) / average) * (beatsPerBar === 4 ? 1.03 : 1); // mild prior towards 4/4
+      if (contrast > best.contrast) best = { beatsPerBar, phase, contrast };
+    }
+    return best;
+  }).sort((a, b) => b.contrast - a.contrast);
+  const [best, other] = candidates;
+  return { ...best, confidence: clamp(0.5 + (best.contrast - other.contrast) * 5, 0, 1) };
+}
+
+// ---------------------------------------------------------------------------
+// Harmony
+
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+function meanChroma(features, from, to) {
+  const out = new Array(12).fill(0);
+  for (let f = from; f < to; f++) {
+    for (let c = 0; c < 12; c++) out[c] += features.chroma[f * 12 + c];
+  }
+  return out;
+}
+
+/** Krumhansl–Schmuckler key finding */
+function estimateKey(chroma) {
+  let best = { key: -1, mode: -1, r: -Infinity };
+  const bestPerMode = [-Infinity, -Infinity];
+  for (let key = 0; key < 12; key++) {
+    for (const [mode, profile] of [[1, MAJOR_PROFILE], [0, MINOR_PROFILE]]) {
+      const rotated = profile.map((_, i) => profile[(i - key + 12) % 12]);
+      const r = correlation(chroma, rotated);
+      bestPerMode[mode] = Math.max(bestPerMode[mode], r);
+      if (r > best.r) best = { key, mode, r };
+    }
+  }
+  if (!Number.isFinite(best.r)) return { key: -1, mode: -1, keyConfidence: 0, modeConfidence: 0 };
+  return {
+    key: best.key,
+    mode: best.mode,
+    keyConfidence: clamp(best.r, 0, 1),
+    modeConfidence: clamp(0.5 + (bestPerMode[best.mode] - bestPerMode[1 - best.mode]) * 2, 0, 1),
+  };
+}
+
+function correlation(a, b) {
+  const ma = mean(a);
+  const mb = mean(b);
+  let num = 0;
+  let da = 0;
+  let db = 0;
+  for (let i = 0; i < a.length; i++) {
+    num += (a[i] - ma) * (b[i] - mb);
+    da += (a[i] - ma) ** 2;
+    db += (b[i] - mb) ** 2;
+  }
+  return da && db ? num / Math.sqrt(da * db) : 0;
+}
+
+// ---------------------------------------------------------------------------
+// Segments and sections
+
+/** Segments start at onset peaks and carry loudness envelope, chroma and timbre like Spotify's */
+function buildSegments(features, onset, frameTime) {
+  const n = features.count;
+  const threshold = 0.5;
+  const minGap = 5;
+  const starts = [0];
+  for (let f = 1; f < n - 1; f++) {
+    let isPeak = onset[f] > threshold;
+    for (let k = Math.max(0, f - 3); isPeak && k <= Math.min(n - 1, f + 3); k++) if (onset[k] > onset[f]) isPeak = false;
+    if (isPeak && f - starts[starts.length - 1] >= minGap) starts.push(f);
+  }
+  const maxOnset = Math.max(...onset) || 1;
+
+  return starts.map((f0, i) => {
+    const f1 = starts[i + 1] ?? n;
+    let maxDb = -Infinity;
+    let maxAt = f0;
+    for (let f = f0; f < f1; f++) if (features.db[f] > maxDb) { maxDb = features.db[f]; maxAt = f; }
+    const pitches = meanChroma(features, f0, f1);
+    const peak = Math.max(...pitches) || 1;
+    const timbre = new Array(12).fill(0);
+    for (let f = f0; f < f1; f++) for (let c = 0; c < 12; c++) timbre[c] += features.timbre[f * 12 + c] / (f1 - f0);
+    const start = i === 0 ? 0 : frameTime(f0);
+    const end = frameTime(Math.min(f1, n - 1));
+    return {
+      start: r5(start),
+      duration: r5(Math.max(0, end - start)),
+      confidence: r3(i === 0 ? 0 : onset[f0] / maxOnset),
+      loudness_start: r3(features.db[f0]),
+      loudness_max_time: r5(Math.max(0, frameTime(maxAt) - start)),
+      loudness_max: r3(maxDb),
+      loudness_end: i + 1 === starts.length ? r3(features.db[n - 1]) : 0,
+      pitches: pitches.map(v => r3(v / peak)),
+      timbre: timbre.map(r3),
+    };
+  });
+}
+
+/** Sections from a checkerboard novelty curve over bar-level features (loudness, chroma, timbre) */
+function buildSections(features, bars, beats, frameTime, rate, meter, duration) {
+  const fps = rate / HOP;
+  const toFrame = t => clamp(Math.round(t * fps - FRAME / 2 / HOP), 0, features.count);
+  const section = (start, end, confidence) => {
+    const f0 = toFrame(start);
+    const f1 = Math.max(f0 + 1, toFrame(end));
+    const inside = beats.filter(b => b.start >= start && b.start < end).map(b => b.duration);
+    const beatDur = median(inside) || 0.5;
+    const spread = inside.length > 1 ? Math.sqrt(mean(inside.map(d => (d - beatDur) ** 2))) / beatDur : 1;
+    const key = estimateKey(meanChroma(features, f0, f1));
+    return {
+      start: r5(start),
+      duration: r5(end - start),
+      confidence: r3(confidence),
+      loudness: r3(energyMeanDb(features.db, f0, f1)),
+      tempo: r3(60 / beatDur),
+      tempo_confidence: r3(clamp(1 - spread * 5, 0, 1)),
+      key: key.key,
+      key_confidence: r3(key.keyConfidence),
+      mode: key.mode,
+      mode_confidence: r3(key.modeConfidence),
+      time_signature: meter.beatsPerBar,
+      time_signature_confidence: r3(meter.confidence),
+    };
+  };
+  if (bars.length < 16) return [section(0, duration, 1)];
+
+  // Bar feature vectors, z-scored per dimension
+  const vectors = bars.map(bar => {
+    const f0 = toFrame(bar.start);
+    const f1 = Math.max(f0 + 1, toFrame(bar.start + bar.duration));
+    const chroma = meanChroma(features, f0, f1);
+    const chromaSum = chroma.reduce((a, b) => a + b, 0) || 1;
+    const timbre = new Array(12).fill(0);
+    for (let f = f0; f < f1; f++) for (let c = 0; c < 12; c++) timbre[c] += features.timbre[f * 12 + c] / (f1 - f0);
+    return [energyMeanDb(features.db, f0, f1) / 3, ...chroma.map(v => v / chromaSum * 4), ...timbre];
+  });
+  const dims = vectors[0].length;
+  for (let d = 0; d < dims; d++) {
+    const values = vectors.map(v => v[d]);
+    const m = mean(values);
+    const s = Math.sqrt(mean(values.map(v => (v - m) ** 2))) || 1;
+    vectors.forEach(v => { v[d] = (v[d] - m) / s; });
+  }
+  const similarity = (i, j) => correlation(vectors[i], vectors[j]);
+
+  const half = 4;
+  const novelty = bars.map((_, i) => {
+    let sum = 0;
+    for (let a = -half; a < half; a++) {
+      for (let b = -half; b < half; b++) {
+        const x = i + a;
+        const y = i + b;
+        if (x < 0 || y < 0 || x >= bars.length || y >= bars.length) continue;
+        sum += ((a < 0) === (b < 0) ? 1 : -1) * similarity(x, y);
+      }
+    }
+    return Math.max(0, sum);
+  });
+  const maxNovelty = Math.max(...novelty) || 1;
+  const cut = mean(novelty) + 0.5 * Math.sqrt(mean(novelty.map(v => (v - mean(novelty)) ** 2)));
+  const minBars = 8;
+  const boundaries = [0];
+  const order = novelty.map((v, i) => i).filter(i => novelty[i] >= cut).sort((a, b) => novelty[b] - novelty[a]);
+  for (const i of order) {
+    if (i < minBars / 2 || bars.length - i < minBars / 2) continue;
+    if (boundaries.every(b => Math.abs(b - i) >= minBars)) boundaries.push(i);
+  }
+  boundaries.sort((a, b) => a - b);
+
+  return boundaries.map((barIndex, k) => {
+    const start = k === 0 ? 0 : bars[barIndex].start;
+    const end = k + 1 < boundaries.length ? bars[boundaries[k + 1]].start : duration;
+    return section(start, end, k === 0 ? 1 : novelty[barIndex] / maxNovelty);
+  });
+}
+
+/** End of fade-in / start of fade-out: where the smoothed level crosses 6 dB below the track's median level */
+function estimateFades(db, fps) {
+  const width = Math.max(1, Math.round(fps / 2));
+  const smoothed = db.map((_, i) => mean(db.subarray(Math.max(0, i - width), Math.min(db.length, i + width + 1))));
+  const threshold = median([...smoothed]) - 6;
+  const first = smoothed.findIndex(v => v >= threshold);
+  let last = smoothed.length - 1;
+  while (last > 0 && smoothed[last] < threshold) last--;
+  const toTime = f => (f * HOP + FRAME / 2) / (fps * HOP);
+  return { endOfFadeIn: first > 0 ? toTime(first) : 0, startOfFadeOut: toTime(last) };
+}
+
+// ---------------------------------------------------------------------------
+// Small helpers
+
+function energyMeanDb(db, from, to) {
+  let sum = 0;
+  let n = 0;
+  for (let f = from; f < to; f++) {
+    if (db[f] <= SILENCE_DB) continue;
+    sum += 10 ** (db[f] / 10);
+    n++;
+  }
+  return n ? 10 * Math.log10(sum / n) : SILENCE_DB;
+}
+
+function mean(values) {
+  let sum = 0;
+  for (const v of values) sum += v;
+  return values.length ? sum / values.length : 0;
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
+function r3(v) { return Math.round(v * 1000) / 1000; }
+function r5(v) { return Math.round(v * 100000) / 100000; }
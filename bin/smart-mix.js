@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+// Headless planner: plans the transitions of a chain of tracks and prints them as JSON,
+// optionally renders the whole mix to WAV or FLAC through node-web-audio-api.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { AnalysisData } from '../src/analysis.js';
+import { formatKey } from '../src/harmony.js';
+import { TRANSITION_STYLES } from '../src/automation.js';
+import { DEFAULT_OPTIONS, planWithOptions, toMixOptions } from '../src/planner.js';
+import { clashSuggestions } from '../src/clash.js';
+import { PHRASE_LENGTHS } from '../src/meter.js';
+import { TEMPO_FALLBACK_STYLES } from '../src/tempo.js';
+import { orderTracks } from '../src/ordering.js';
+import { trackMeta, layoutChain } from '../src/layout.js';
+import { MixerEngine, TIME_STRETCH_WORKLET, LIMITER_WORKLET } from '../src/engine.js';
+import { pairTrackFiles } from '../src/files.js';
+import { COLLECTION_FILE, collectionAnalysis, findCollectionEntry, importAnalysis, readCollection } from '../src/importers.js';
+import { EXPORT_FORMATS, mixMarkers, cueSheet } from '../src/export.js';
+import { DEFAULT_MASTER, integratedLoudness, loudnessTrim, measureLoudness } from '../src/loudness.js';
+
+const USAGE = `Usage: smart-mix [options] <file> <file> [...]
+
+Files are audio files and analysis JSONs (Spotify audio-analysis shape or a beat list from
+librosa/Essentia/madmom), paired by base name like in the browser; the order of the chain is the
+order of the files unless --order is given. A Rekordbox XML or Traktor NML collection among them supplies the analysis of
+every audio file it lists. Planning only needs the analyses, rendering needs the audio as well.
+
+Options:
+  --options <file>          JSON with transition options (same shape as in a project file)
+  --style <name>            blend | echo | reverb | loopRoll | backspin | brake | cut
+  --curve <name>            equal-power | linear | rise (blend style)
+  --beats <n>               transition length in beats when smart length is off
+  --tempo-strategy <name>   matchBtoA | matchAtoB | average
+  --eq-low-duck <dB>        low-band cut on the outgoing track
+  --eq-high-boost <dB>      high-band boost on the incoming track
+  --bass-swap               swap the low bands on a downbeat instead of fading them
+  --bass-swap-bar <n>       downbeat of the transition to swap on (default: the middle one)
+  --pitch-b <semitones>     manual detune of the incoming track (default: auto)
+  --max-detune <semitones>  limit for the automatic harmonic detune
+  --max-tempo-change <%>    largest tempo change of a deck (default 8, 0: no limit); beyond it the
+                            tracks keep their tempo and are joined by the fallback style
+  --tempo-fallback <name>   echo | cut (default echo)
+  --min-beats <n>, --max-beats <n>
+  --phrase-bars <n>         phrase length for phrase alignment: 4 | 8 | 16 | 32 | auto (default: from the sections)
+  --no-eq, --no-smart-length, --no-phrase-align, --no-harmonic-match, --no-tempo-ramp,
+  --no-filter-swap, --no-time-stretch, --no-phase-lock, --no-avoid-clashes
+  --order                   reorder the tracks for the best tempo, key and energy flow
+  --rising                  with --order: keep the energy rising
+  --keep-first, --keep-last with --order: leave the first / last file in place
+  --render <out.wav>        render the whole mix (needs the node-web-audio-api package)
+  --format <name>           wav16 | wav24 | wav32f | flac16 | flac24 (default: wav16, flac16 for .flac)
+  --sample-rate <Hz>        render sample rate (default 44100)
+  --no-dither               plain rounding instead of TPDF dither when reducing to integers
+  --cue                     write a cue sheet with track and transition markers next to the render
+  --target-lufs <LUFS>      loudness every track is trimmed to (default -14)
+  --ceiling <dBTP>          true-peak ceiling of the master limiter (default -1)
+  --no-loudness-match, --no-limiter
+  -h, --help`;
+
+const SWITCHES = {
+  'no-smart-length': 'smartLength',
+  'no-phrase-align': 'phraseAlign',
+  'no-harmonic-match': 'harmonicMatch',
+  'no-tempo-ramp': 'tempoRamp',
+  'no-filter-swap': 'filterSwap',
+  'no-time-stretch': 'timeStretch',
+  'no-phase-lock': 'phaseLock',
+  'no-avoid-clashes': 'avoidClashes',
+};
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      options: { type: 'string' },
+      style: { type: 'string' },
+      curve: { type: 'string' },
+      beats: { type: 'string' },
+      'tempo-strategy': { type: 'string' },
+      'eq-low-duck': { type: 'string' },
+      'eq-high-boost': { type: 'string' },
+      'pitch-b': { type: 'string' },
+      'max-detune': { type: 'string' },
+      'max-tempo-change': { type: 'string' },
+      'tempo-fallback': { type: 'string' },
+      'min-beats': { type: 'string' },
+      'max-beats': { type: 'string' },
+      'phrase-bars': { type: 'string' },
+      'no-eq': { type: 'boolean' },
+      'bass-swap': { type: 'boolean' },
+      'bass-swap-bar': { type: 'string' },
+      ...Object.fromEntries(Object.keys(SWITCHES).map(name => [name, { type: 'boolean' }])),
+      order: { type: 'boolean' },
+      rising: { type: 'boolean' },
+      'keep-first': { type: 'boolean' },
+      'keep-last': { type: 'boolean' },
+      render: { type: 'string' },
+      format: { type: 'string' },
+      'sample-rate': { type: 'string' },
+      'no-dither': { type: 'boolean' },
+      cue: { type: 'boolean' },
+      'target-lufs': { type: 'string' },
+      ceiling: { type: 'string' },
+      'no-loudness-match': { type: 'boolean' },
+      'no-limiter': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  return { values, files: positionals };
+}
+
+function toNumber(value, flag) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new Error(`--${flag} expects a number, got "${value}"`);
+  return n;
+}
+
+/** Defaults, then an --options file, then individual flags */
+async function buildOptions(values) {
+  const fromFile = values.options ? JSON.parse(await readFile(values.options, 'utf8')) : {};
+  const options = { ...DEFAULT_OPTIONS, ...fromFile, smart: { ...DEFAULT_OPTIONS.smart, ...fromFile.smart } };
+  if (values.style) {
+    if (!TRANSITION_STYLES[values.style]) throw new Error(`--style must be one of ${Object.keys(TRANSITION_STYLES).join(', ')}`);
+    options.style = values.style;
+  }
+  if (values.curve) options.curvePreset = values.curve;
+  if (values.beats) options.beatsLength = toNumber(values.beats, 'beats');
+  if (values['tempo-strategy']) options.tempoStrategy = values['tempo-strategy'];
+  if (values['no-eq']) options.eqEnable = false;
+  if (values['eq-low-duck']) options.eqLowDuckDb = toNumber(values['eq-low-duck'], 'eq-low-duck');
+  if (values['eq-high-boost']) options.eqHighBoostDb = toNumber(values['eq-high-boost'], 'eq-high-boost');
+  if (values['bass-swap']) options.bassSwap = true;
+  if (values['bass-swap-bar']) {
+    options.bassSwap = true;
+    options.bassSwapBar = toNumber(values['bass-swap-bar'], 'bass-swap-bar');
+  }
+  if (values['pitch-b']) options.smart.pitchSemisB = toNumber(values['pitch-b'], 'pitch-b');
+  if (values['max-detune']) options.smart.maxDetuneSemis = toNumber(values['max-detune'], 'max-detune');
+  if (values['max-tempo-change']) options.smart.maxTempoChange = toNumber(values['max-tempo-change'], 'max-tempo-change');
+  if (values['tempo-fallback']) {
+    if (!TEMPO_FALLBACK_STYLES.includes(values['tempo-fallback'])) throw new Error(`--tempo-fallback must be one of ${TEMPO_FALLBACK_STYLES.join(', ')}`);
+    options.smart.tempoFallback = values['tempo-fallback'];
+  }
+  if (values['min-beats']) options.smart.minBeats = toNumber(values['min-beats'], 'min-beats');
+  if (values['max-beats']) options.smart.maxBeats = toNumber(values['max-beats'], 'max-beats');
+  if (values['phrase-bars']) {
+    const bars = values['phrase-bars'] === 'auto' ? 'auto' : toNumber(values['phrase-bars'], 'phrase-bars');
+    if (bars !== 'auto' && !PHRASE_LENGTHS.includes(bars)) throw new Error(`--phrase-bars must be auto or one of ${PHRASE_LENGTHS.join(', ')}`);
+    options.smart.phraseBars = bars;
+  }
+  for (const [flag, key] of Object.entries(SWITCHES)) if (values[flag]) options.smart[key] = false;
+  return options;
+}
+
+/** One line on how a transition joins the tempi and why */
+function describeStrategy({ tempo, multiple, deviation, maxTempoChange, fallback }) {
+  const limit = maxTempoChange != null ? ` (limit ${maxTempoChange} %)` : '';
+  if (fallback) return `tempi too far apart, matching would take ${deviation.toFixed(1)} %${limit}; ${fallback} without beat-matching`;
+  const counted = multiple === 2 ? ', B counted in half time' : multiple === 0.5 ? ', B counted in double time' : '';
+  return `${tempo}${counted}, ${deviation.toFixed(1)} % tempo change${limit}`;
+}
+
+async function loadTracks(paths) {
+  const collections = await Promise.all(paths.filter(path => COLLECTION_FILE.test(path)).map(async path => ({
+    name: basename(path),
+    entries: readCollection(await readFile(path, 'utf8'), basename(path)),
+  })));
+  const files = paths.filter(path => !COLLECTION_FILE.test(path)).map(path => ({ name: basename(path), path }));
+  return Promise.all(pairTrackFiles(files).map(async group => {
+    let analysis = null;
+    if (group.json) {
+      analysis = importAnalysis(await readFile(group.json.path, 'utf8'), group.json.name, { trackName: group.audio?.name ?? group.base });
+    } else {
+      for (const { name, entries } of collections) {
+        const entry = findCollectionEntry(entries, group.audio.name);
+        if (entry) analysis = collectionAnalysis(entry, name);
+      }
+    }
+    if (!analysis) throw new Error(`No analysis for ${group.audio.path} (analyze it in the browser and save the JSON)`);
+    return { name: group.base, audioPath: group.audio?.path ?? null, analysis: new AnalysisData(analysis), buffer: null };
+  }));
+}
+
+/** The audio graph API for Node, installed where the engine expects the browser globals */
+async function loadWebAudio() {
+  try {
+    const webAudio = await import('node-web-audio-api');
+    Object.assign(globalThis, { OfflineAudioContext: webAudio.OfflineAudioContext, AudioWorkletNode: webAudio.AudioWorkletNode });
+    return webAudio;
+  } catch (err) {
+    throw new Error(`--render needs the node-web-audio-api package: ${err.message}`);
+  }
+}
+
+async function render(tracks, transitions, out, values) {
+  const formatName = values.format ?? (extname(out).toLowerCase() === '.flac' ? 'flac16' : 'wav16');
+  const format = EXPORT_FORMATS[formatName];
+  if (!format) throw new Error(`--format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  const sampleRate = values['sample-rate'] ? toNumber(values['sample-rate'], 'sample-rate') : 44100;
+  const master = {
+    loudnessMatch: !values['no-loudness-match'],
+    targetLufs: values['target-lufs'] ? toNumber(values['target-lufs'], 'target-lufs') : DEFAULT_MASTER.targetLufs,
+    limiter: !values['no-limiter'],
+    ceilingDb: values.ceiling ? toNumber(values.ceiling, 'ceiling') : DEFAULT_MASTER.ceilingDb,
+  };
+  const missing = tracks.filter(t => !t.audioPath);
+  if (missing.length) throw new Error(`--render needs audio for: ${missing.map(t => t.name).join(', ')}`);
+  const webAudio = await loadWebAudio();
+  const decoder = new webAudio.OfflineAudioContext({ numberOfChannels: 2, length: 1, sampleRate });
+  for (const track of tracks) {
+    const bytes = await readFile(track.audioPath);
+    track.buffer = await decoder.decodeAudioData(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    track.loudness = integratedLoudness(track.buffer);
+    console.error(`${track.name}: ${track.loudness.toFixed(1)} LUFS`);
+  }
+  const engine = new MixerEngine({
+    timeStretchWorklet: fileURLToPath(TIME_STRETCH_WORKLET),
+    limiterWorklet: fileURLToPath(LIMITER_WORKLET),
+  });
+  const inputs = tracks.map(t => ({
+    buffer: t.buffer,
+    ...trackMeta(t.analysis),
+    trim: master.loudnessMatch ? loudnessTrim(t.loudness, master.targetLufs) : 1,
+  }));
+  const { buffer, layout, t0, stretchReady, limiterReady } = await engine.renderChain(inputs, transitions, { sampleRate, master });
+  if (!stretchReady && transitions.some(t => t.options.timeStretch)) console.error('Time-stretch worklet not available, tempo is matched by resampling');
+  if (master.limiter && !limiterReady) console.error('True-peak limiter worklet not available, a compressor stands in');
+  const { integrated, truePeakDb, clipped } = measureLoudness(buffer);
+  console.error(`Mix: ${integrated.toFixed(1)} LUFS, true peak ${truePeakDb.toFixed(1)} dBTP${clipped ? `, ${clipped} samples above full scale` : ''}`);
+  const names = tracks.map(t => t.name);
+  const markers = mixMarkers(layout, names, { t0, duration: buffer.duration });
+  await writeFile(out, Buffer.from(format.encode(buffer, { dither: !values['no-dither'], markers })));
+  if (values.cue) {
+    const cuePath = out.replace(/(\.[^./\\]+)?$/, '.cue');
+    await writeFile(cuePath, cueSheet(markers, { fileName: basename(out), title: names.join(' - ') }));
+    console.error(`Wrote ${cuePath}`);
+  }
+}
+
+async function main(argv) {
+  const { values, files } = parseCommandLine(argv);
+  if (values.help || files.length === 0) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+  const options = await buildOptions(values);
+  let tracks = await loadTracks(files);
+  if (tracks.length < 2) throw new Error('At least two tracks are needed for a transition');
+  if (values.order) {
+    const { order, score } = orderTracks(tracks.map(t => t.analysis), {
+      rising: !!values.rising,
+      first: values['keep-first'] ? 0 : null,
+      last: values['keep-last'] ? tracks.length - 1 : null,
+    });
+    tracks = order.map(i => tracks[i]);
+    console.error(`Order: ${tracks.map(t => t.name).join(' → ')} (mean pair score ${Math.round(score * 100)} %)`);
+  }
+
+  const plans = tracks.slice(1).map((track, i) => planWithOptions(tracks[i].analysis, track.analysis, options));
+  plans.forEach((plan, i) => console.error(`${tracks[i].name} → ${tracks[i + 1].name}: ${describeStrategy(plan.strategy)}`));
+  const transitions = plans.map(plan => ({ plan, options: toMixOptions(options, plan) }));
+  const layout = layoutChain(tracks.map(t => ({ buffer: null, ...trackMeta(t.analysis) })), transitions);
+
+  console.log(JSON.stringify({
+    options,
+    tracks: tracks.map(t => ({
+      name: t.name,
+      tempo: t.analysis.tempo,
+      key: formatKey(t.analysis.key, t.analysis.mode),
+      meter: t.analysis.meter.label,
+      phrase: t.analysis.getPhrase(options.smart.phraseBars),
+      duration: t.analysis.duration,
+    })),
+    transitions: plans.map((plan, i) => ({
+      from: tracks[i].name,
+      to: tracks[i + 1].name,
+      plan,
+      overlap: layout.transitions[i],
+      clashFixes: clashSuggestions(tracks[i].analysis, tracks[i + 1].analysis, plan),
+    })),
+    warnings: layout.warnings,
+  }, null, 2));
+
+  if (values.render) {
+    if (layout.warnings.length) throw new Error('Not rendering: the chain has overlapping transitions (see warnings)');
+    await render(tracks, transitions, values.render, values);
+    console.error(`Wrote ${values.render}`);
+  }
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  err => {
+    console.error(`smart-mix: ${err.message}`);
+    process.exitCode = 1;
+  }
+);
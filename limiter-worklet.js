@@ -0,0 +1,108 @@
+// True-peak lookahead limiter AudioWorklet for the master bus.
+// Inter-sample peaks are estimated with 4x windowed-sinc interpolation (as in the loudness meter),
+// the gain is held over the lookahead window and smoothed so it is down before a peak arrives.
+
+const LOOKAHEAD_SECONDS = 0.005;
+const RELEASE_SECONDS = 0.15;
+const TAPS = 12;
+const HALF = TAPS / 2;
+const PHASES = [1, 2, 3].map(p => Float64Array.from({ length: TAPS }, (_, j) => {
+  const d = j - (HALF - 1) - p / 4;
+  return Math.sin(Math.PI * d) / (Math.PI * d) * (0.5 + 0.5 * Math.cos(Math.PI * d / (HALF + 0.5)));
+}));
+
+class TruePeakLimiterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'ceiling', defaultValue: -1, minValue: -24, maxValue: 0, automationRate: 'k-rate' }];
+  }
+
+  constructor() {
+    super();
+    this.window = Math.max(1, Math.round(LOOKAHEAD_SECONDS * sampleRate));
+    // Audio waits for the lookahead plus the interpolator's own latency
+    this.delay = this.window - 1 + HALF;
+    this.releaseCoef = 1 - Math.exp(-1 / (RELEASE_SECONDS * sampleRate));
+    this.channels = 0;
+    this.frame = 0;
+    // Sliding minimum of the required gain (monotonic deque of frame indices / values)
+    this.minFrames = new Float64Array(this.window + 1);
+    this.minValues = new Float64Array(this.window + 1);
+    this.minHead = 0;
+    this.minLength = 0;
+    this.held = 1;
+    // Box filter over the held gain
+    this.smooth = new Float64Array(this.window).fill(1);
+    this.smoothSum = this.window;
+  }
+
+  /** Per-channel state, (re)built when the channel count changes */
+  setup(channels) {
+    this.channels = channels;
+    this.history = Array.from({ length: channels }, () => new Float64Array(TAPS));
+    this.delayLine = Array.from({ length: channels }, () => new Float32Array(this.delay));
+  }
+
+  /** Largest absolute value around the sample HALF - 1 frames back, interpolated points included */
+  truePeak(history, at) {
+    let peak = Math.abs(history[(at + HALF - 1) % TAPS]);
+    for (const taps of PHASES) {
+      let v = 0;
+      for (let j = 0; j < TAPS; j++) v += taps[j] * history[(at + j) % TAPS];
+      peak = Math.max(peak, Math.abs(v));
+    }
+    return peak;
+  }
+
+  pushMinimum(frame, value) {
+    const size = this.minFrames.length;
+    while (this.minLength && this.minValues[(this.minHead + this.minLength - 1) % size] >= value) this.minLength--;
+    const tail = (this.minHead + this.minLength) % size;
+    this.minFrames[tail] = frame;
+    this.minValues[tail] = value;
+    this.minLength++;
+    while (this.minFrames[this.minHead] <= frame - this.window) {
+      this.minHead = (this.minHead + 1) % size;
+      this.minLength--;
+    }
+    return this.minValues[this.minHead];
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const channels = output.length;
+    if (channels !== this.channels) this.setup(channels);
+    const ceiling = 10 ** (parameters.ceiling[0] / 20);
+    const blockSize = output[0].length;
+
+    for (let i = 0; i < blockSize; i++, this.frame++) {
+      const at = this.frame % TAPS; // oldest slot, overwritten with the newest sample
+      const slot = this.frame % this.delay; // written `delay` frames ago
+      let peak = 0;
+      for (let c = 0; c < channels; c++) {
+        const x = input[Math.min(c, input.length - 1)]?.[i] ?? 0;
+        this.history[c][at] = x;
+        peak = Math.max(peak, this.truePeak(this.history[c], (at + 1) % TAPS));
+      }
+
+      // Required gain, its minimum over the lookahead, a slow release, then the box filter
+      const required = peak > ceiling ? ceiling / peak : 1;
+      const minimum = this.pushMinimum(this.frame, required);
+      this.held = minimum < this.held ? minimum : this.held + (minimum - this.held) * this.releaseCoef;
+      const s = this.frame % this.window;
+      this.smoothSum += this.held - this.smooth[s];
+      this.smooth[s] = this.held;
+      const gain = Math.min(1, this.smoothSum / this.window);
+
+      for (let c = 0; c < channels; c++) {
+        const line = this.delayLine[c];
+        const delayed = line[slot];
+        line[slot] = this.history[c][at];
+        output[c][i] = delayed * gain;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('true-peak-limiter', TruePeakLimiterProcessor);
@@ -0,0 +1,53 @@
+// Waveform peak pyramid, runs as a Web Worker.
+// Level 0 holds min/max per BASE_BIN samples for every channel, each further level merges pairs
+// of bins of the one below, so a waveform at any zoom reads a few bins per pixel.
+
+const BASE_BIN = 64;
+const MIN_BINS = 256;
+
+self.onmessage = e => {
+  const { id, channels } = e.data;
+  try {
+    const levels = buildPyramid(channels);
+    const transfer = levels.flatMap(level => [...level.min, ...level.max].map(a => a.buffer));
+    self.postMessage({ id, levels }, transfer);
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || String(err) });
+  }
+};
+
+function buildPyramid(channels) {
+  const bins = Math.ceil(channels[0].length / BASE_BIN);
+  const base = { samplesPerBin: BASE_BIN, min: [], max: [] };
+  for (const samples of channels) {
+    const min = new Float32Array(bins);
+    const max = new Float32Array(bins);
+    for (let b = 0; b < bins; b++) {
+      const end = Math.min(samples.length, (b + 1) * BASE_BIN);
+      let lo = samples[b * BASE_BIN];
+      let hi = lo;
+      for (let i = b * BASE_BIN + 1; i < end; i++) {
+        const v = samples[i];
+        if (v < lo) lo = v;
+        else if (v > hi) hi = v;
+      }
+      min[b] = lo;
+      max[b] = hi;
+    }
+    base.min.push(min);
+    base.max.push(max);
+  }
+  const levels = [base];
+  while (levels.at(-1).min[0].length > MIN_BINS) levels.push(halve(levels.at(-1)));
+  return levels;
+}
+
+/** Next coarser level: every bin covers two bins of `level` */
+function halve(level) {
+  const merge = (arrays, pick) => arrays.map(a => {
+    const out = new Float32Array(Math.ceil(a.length / 2));
+    for (let b = 0; b < out.length; b++) out[b] = 2 * b + 1 < a.length ? pick(a[2 * b], a[2 * b + 1]) : a[2 * b];
+    return out;
+  });
+  return { samplesPerBin: level.samplesPerBin * 2, min: merge(level.min, Math.min), max: merge(level.max, Math.max) };
+}
@@ -1,472 +1,31 @@
-// Minimal, readable, and explicit Web Audio based mixer that uses Spotify-style analysis JSON
+// Minimal, readable, and explicit Web Audio based mixer that uses Spotify-style analysis JSON.
+// This module is the page: DOM wiring only, the planning and audio logic lives in src/.
+
+import { clamp } from './src/util.js';
+import { AnalysisData } from './src/analysis.js';
+import { formatKey, harmonicCompatibility } from './src/harmony.js';
+import { TRANSITION_STYLES } from './src/automation.js';
+import { DEFAULT_CROSSOVERS } from './src/eq.js';
+import { planWithOptions, applyAlternative, applyClashSuggestion, toMixOptions } from './src/planner.js';
+import { clashSuggestions, planClash } from './src/clash.js';
+import { METER_UNSURE, PHRASE_LENGTHS, PHRASE_UNSURE } from './src/meter.js';
+import { trackMeta, rateSegments, positionAt, layoutChain } from './src/layout.js';
+import { MixerEngine } from './src/engine.js';
+import { PreviewTransport, leadInStart } from './src/transport.js';
+import { MixPlayer } from './src/player.js';
+import { PERFORMANCE_CONTROLS, PerformanceTake } from './src/performance.js';
+import { analyzeAudioBuffer } from './src/analyzer.js';
+import { createProject, readProject } from './src/project.js';
+import { pairTrackFiles } from './src/files.js';
+import { TrackLibrary, entryDuration, searchEntries } from './src/library.js';
+import { SYNC_MIN_OFFSET, checkSync } from './src/sync.js';
+import { orderTracks, pairScore } from './src/ordering.js';
+import { COLLECTION_FILE, collectionAnalysis, findCollectionEntry, importAnalysis, readCollection, seratoAnalysis } from './src/importers.js';
+import { DEFAULT_MASTER, integratedLoudness, loudnessTrim, measureLoudness } from './src/loudness.js';
+import { EXPORT_FORMATS, mixMarkers, cueSheet, exportFileName } from './src/export.js';
+import { WaveformView } from './src/ui/waveform-view.js';
+import { AutomationEditor } from './src/ui/automation-editor.js';
 
-/**
- * Data models extracted from analysis JSON
- */
-class AnalysisData {
-  /**
-   * @param {{track: any, beats: Array<{start:number,duration:number,confidence:number}>, bars?: any[], sections?: Array<any>}} json
-   */
-  constructor(json) {
-    this.raw = json;
-    this.tempo = json?.track?.tempo ?? null;
-    this.key = json?.track?.key ?? null;
-    this.mode = json?.track?.mode ?? null;
-    this.timeSignature = json?.track?.time_signature ?? 4;
-    this.beats = Array.isArray(json?.beats) ? json.beats : [];
-    this.sections = Array.isArray(json?.sections) ? json.sections : [];
-  }
-
-  /** Return best downbeat candidates using bars start times (fallback to strong beats if no bars) */
-  getDownbeats() {
-    if (Array.isArray(this.raw?.bars) && this.raw.bars.length > 0) {
-      return this.raw.bars.map(b => b.start);
-    }
-    // fallback: use every 4th beat as downbeat
-    if (this.beats.length > 0) {
-      return this.beats.map(b => b.start).filter((_, i) => i % this.timeSignature === 0);
-    }
-    return [0];
-  }
-
-  /** Return approximate phrase starts (every 4 bars) */
-  getPhraseStarts() {
-    const bars = Array.isArray(this.raw?.bars) ? this.raw.bars : [];
-    if (bars.length === 0) return this.getDownbeats();
-    const phrase = 4; // 4 bars per phrase
-    const starts = [];
-    for (let i = 0; i < bars.length; i += phrase) {
-      starts.push(bars[i].start);
-    }
-    return starts;
-  }
-}
-
-/** Utility functions */
-const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
-
-function createEqualPowerGains(t) {
-  // Equal power crossfade: gA = cos(t * pi/2), gB = sin(t * pi/2)
-  const gA = Math.cos(t * Math.PI * 0.5);
-  const gB = Math.sin(t * Math.PI * 0.5);
-  return { gA, gB };
-}
-
-function createLinearGains(t) {
-  return { gA: 1 - t, gB: t };
-}
-
-function createRiseGains(t) {
-  // Ease-in cubic for B, slightly quicker drop for A
-  const gB = t * t * (3 - 2 * t); // smoothstep
-  const gA = 1 - Math.pow(t, 0.8);
-  return { gA, gB };
-}
-
-function chooseCurve(name) {
-  switch (name) {
-    case 'linear': return createLinearGains;
-    case 'rise': return createRiseGains;
-    case 'equal-power':
-    default: return createEqualPowerGains;
-  }
-}
-
-// Harmonic helpers
-function wrap12(n) { return ((n % 12) + 12) % 12; }
-function nearestSemitoneDelta(fromKey, toKey) {
-  if (!Number.isFinite(fromKey) || !Number.isFinite(toKey)) return 0;
-  let d = wrap12(fromKey - toKey); // 0..11
-  if (d > 6) d -= 12; // -6..+6
-  return d;
-}
-function ratioFromSemitones(semitones) { return Math.pow(2, (semitones || 0) / 12); }
-
-function averageSectionLoudness(analysis, start, end) {
-  if (!Array.isArray(analysis.sections) || analysis.sections.length === 0) return null;
-  const segs = analysis.sections.filter(s => (s.start + s.duration) > start && s.start < end);
-  if (segs.length === 0) return null;
-  const sum = segs.reduce((acc, s) => acc + (Number.isFinite(s.loudness) ? s.loudness : 0), 0);
-  return sum / segs.length; // negative values
-}
-
-function computeSmartBeatsLength(analysisA, analysisB, minBeats, maxBeats) {
-  const tempoA = analysisA.tempo || 120;
-  const tempoB = analysisB.tempo || 120;
-  const keyA = Number.isFinite(analysisA.key) ? analysisA.key : null;
-  const keyB = Number.isFinite(analysisB.key) ? analysisB.key : null;
-  const tempoDiff = Math.abs(tempoA - tempoB);
-  const keyDiff = (keyA != null && keyB != null) ? Math.abs(nearestSemitoneDelta(keyA, keyB)) : 0;
-
-  // Energy around intended regions: last 16s of A and first 16s of B
-  const endA = analysisA?.raw?.track?.duration || (analysisA.beats.at(-1)?.start || 180);
-  const loudA = averageSectionLoudness(analysisA, Math.max(0, endA - 16), endA) ?? -10;
-  const loudB = averageSectionLoudness(analysisB, 0, 16) ?? -10;
-  const energyFactor = ((-loudA) + (-loudB)) / 20; // louder => smaller negative, so lower factor
-
-  let beats = 16
-    + Math.round(tempoDiff / 6)   // up to ~10 beats for big tempo gaps
-    + Math.round(keyDiff / 2)     // up to ~3 beats for key gaps
-    + Math.round(energyFactor * 4); // up to ~4 beats if both are loud/complex
-
-  // Prefer multiples of 4 for phrase alignment
-  beats = Math.max(4, Math.round(beats / 4) * 4);
-  return clamp(beats, minBeats || 8, maxBeats || 128);
-}
-
-/**
- * Draw simple waveform previews (using decoded PCM, downsampled)
- */
-function drawWaveform(canvas, audioBuffer) {
-  if (!canvas || !audioBuffer) return;
-  const width = canvas.clientWidth;
-  const height = canvas.clientHeight;
-  const dpr = window.devicePixelRatio || 1;
-  canvas.width = Math.floor(width * dpr);
-  canvas.height = Math.floor(height * dpr);
-  const ctx = canvas.getContext('2d');
-  ctx.scale(dpr, dpr);
-  ctx.clearRect(0, 0, width, height);
-  ctx.fillStyle = '#0f1319';
-  ctx.fillRect(0, 0, width, height);
-
-  const channel = audioBuffer.getChannelData(0);
-  const samplesPerPixel = Math.max(1, Math.floor(channel.length / width));
-  ctx.strokeStyle = '#1db954';
-  ctx.beginPath();
-  const mid = height / 2;
-  for (let x = 0; x < width; x++) {
-    const start = x * samplesPerPixel;
-    let min = 1.0;
-    let max = -1.0;
-    for (let i = 0; i < samplesPerPixel; i++) {
-      const v = channel[start + i] || 0;
-      if (v < min) min = v;
-      if (v > max) max = v;
-    }
-    ctx.moveTo(x, mid + min * mid);
-    ctx.lineTo(x, mid + max * mid);
-  }
-  ctx.stroke();
-}
-
-/**
- * Transition planner: choose downbeat-aligned points and compute duration by beats
- */
-function planTransition(analysisA, analysisB, beatsLength, tempoStrategy, opts = {}) {
-  const downbeatsA = analysisA.getDownbeats();
-  const downbeatsB = analysisB.getDownbeats();
-
-  const tempoA = analysisA.tempo || 120;
-  const tempoB = analysisB.tempo || 120;
-
-  let targetTempoA = tempoA;
-  let targetTempoB = tempoB;
-  if (tempoStrategy === 'matchBtoA') {
-    targetTempoB = tempoA;
-  } else if (tempoStrategy === 'matchAtoB') {
-    targetTempoA = tempoB;
-  } else if (tempoStrategy === 'average') {
-    const avg = (tempoA + tempoB) / 2;
-    targetTempoA = avg;
-    targetTempoB = avg;
-  }
-
-  const minBeats = clamp(parseInt(opts.minBeats || 0, 10) || 0, 1, 512);
-  const maxBeats = clamp(parseInt(opts.maxBeats || 0, 10) || 0, minBeats || 1, 1024);
-  const chosenBeats = opts.smartLength
-    ? computeSmartBeatsLength(analysisA, analysisB, minBeats, maxBeats)
-    : clamp(isNaN(parseInt(beatsLength, 10)) ? 16 : beatsLength, minBeats || 1, maxBeats || 1024);
-
-  const secondsPerBeatA = 60 / targetTempoA;
-  const secondsPerBeatB = 60 / targetTempoB;
-  // Use slower beat for time span to allow longer crossfade when one song is slower
-  let xfadeDuration = chosenBeats * Math.max(secondsPerBeatA, secondsPerBeatB);
-
-  // Prefer multiples of 4 beats if phrase alignment requested
-  if (opts.phraseAlign) {
-    const beatsPer4 = 4 * Math.max(secondsPerBeatA, secondsPerBeatB);
-    const phrases = Math.max(1, Math.round(xfadeDuration / beatsPer4));
-    xfadeDuration = phrases * beatsPer4;
-  }
-
-  // Choose near-outro downbeat in A and near-intro downbeat in B, respecting xfadeDuration and a safety margin
-  const totalA = analysisA?.raw?.track?.duration || (analysisA.beats.at(-1)?.start || 180);
-  const safeMargin = 5; // seconds
-
-  let startA = [...downbeatsA].reverse().find(t => t < (totalA - xfadeDuration - safeMargin)) ?? Math.max(0, totalA - xfadeDuration - safeMargin);
-  let startB = downbeatsB[0] ?? 0;
-
-  if (opts.phraseAlign) {
-    const phrasesA = analysisA.getPhraseStarts();
-    const phrasesB = analysisB.getPhraseStarts();
-    const targetEndA = totalA - safeMargin;
-    // pick phrase in A such that startA + xfade <= targetEndA
-    const candidateA = [...phrasesA].reverse().find(t => (t + xfadeDuration) <= targetEndA) ?? startA;
-    startA = candidateA;
-    // choose earliest phrase in B (avoid too early if there's awkward silence)
-    startB = phrasesB[0] ?? startB;
-  }
-
-  // Harmonic detune (small semitone nudges)
-  let pitchSemisA = 0;
-  let pitchSemisB = 0;
-  if (opts.harmonicMatch && Number.isFinite(analysisA.key) && Number.isFinite(analysisB.key)) {
-    const deltaToA = nearestSemitoneDelta(analysisA.key, analysisB.key); // how much to move B toward A
-    const maxDetune = clamp(parseInt(opts.maxDetuneSemis || 0, 10) || 0, 0, 6);
-    const applied = clamp(deltaToA, -maxDetune, maxDetune);
-    pitchSemisB = applied;
-  }
-
-  return {
-    startA,
-    startB,
-    xfadeDuration,
-    targetTempoA,
-    targetTempoB,
-    chosenBeats,
-    pitchSemisA,
-    pitchSemisB,
-  };
-}
-
-/**
- * Web Audio Mixer: preview and offline render
- */
-class MixerEngine {
-  constructor() {
-    this.context = null;
-    this.offlineRendering = false;
-  }
-
-  async createContext({ sampleRate }) {
-    if (this.context) this.context.close().catch(() => {});
-    this.context = new (window.AudioContext || window.webkitAudioContext)({ sampleRate });
-    return this.context;
-  }
-
-  schedulePreview(plan, buffers, options) {
-    const ctx = this.context;
-    if (!ctx) throw new Error('AudioContext fehlt');
-
-    const { bufferA, bufferB } = buffers;
-    const { curve, eqEnable, eqLowDuckDb, eqHighBoostDb, tempoRamp, filterSwap } = options;
-
-    const g = ctx.createGain();
-    g.connect(ctx.destination);
-
-    // Sources with playbackRate for tempo matching (naive time-stretch via resample)
-    const srcA = ctx.createBufferSource();
-    srcA.buffer = bufferA;
-
-    const srcB = ctx.createBufferSource();
-    srcB.buffer = bufferB;
-
-    // Per-track gains
-    const gainA = ctx.createGain();
-    const gainB = ctx.createGain();
-
-    // Optional EQ and filter swap
-    let nodeA = srcA;
-    let nodeB = srcB;
-    let lowShelfA, highShelfB, hpA, lpB;
-    if (eqEnable) {
-      lowShelfA = ctx.createBiquadFilter();
-      lowShelfA.type = 'lowshelf';
-      lowShelfA.frequency.value = 150;
-      lowShelfA.gain.value = 0; // automated later
-      nodeA.connect(lowShelfA);
-      nodeA = lowShelfA;
-
-      highShelfB = ctx.createBiquadFilter();
-      highShelfB.type = 'highshelf';
-      highShelfB.frequency.value = 6000;
-      highShelfB.gain.value = 0; // automated later
-      nodeB.connect(highShelfB);
-      nodeB = highShelfB;
-    }
-    if (filterSwap) {
-      hpA = ctx.createBiquadFilter();
-      hpA.type = 'highpass';
-      hpA.frequency.value = 30;
-      nodeA.connect(hpA);
-      nodeA = hpA;
-
-      lpB = ctx.createBiquadFilter();
-      lpB.type = 'lowpass';
-      lpB.frequency.value = 4000;
-      nodeB.connect(lpB);
-      nodeB = lpB;
-    }
-
-    nodeA.connect(gainA).connect(g);
-    nodeB.connect(gainB).connect(g);
-
-    const now = ctx.currentTime + 0.1;
-    const startAInBuffer = plan.startA;
-    const startBInBuffer = plan.startB;
-    const xfade = plan.xfadeDuration;
-
-    const t0 = now; // A starts
-    const tX = t0 + xfade; // end of crossfade
-
-    // Tempo and pitch handling
-    const detuneRatioA = ratioFromSemitones(plan.pitchSemisA || 0);
-    const detuneRatioB = ratioFromSemitones(plan.pitchSemisB || 0);
-    const baseRateA = 1 * detuneRatioA;
-    const baseRateB = 1 * detuneRatioB;
-    const targetRateA = ((plan.targetTempoA || 120) / (buffers.metaA.tempo || 120)) * detuneRatioA;
-    const targetRateB = ((plan.targetTempoB || 120) / (buffers.metaB.tempo || 120)) * detuneRatioB;
-
-    if (tempoRamp) {
-      srcA.playbackRate.setValueAtTime(baseRateA, t0);
-      srcA.playbackRate.linearRampToValueAtTime(targetRateA, tX);
-      srcB.playbackRate.setValueAtTime(baseRateB, t0);
-      srcB.playbackRate.linearRampToValueAtTime(targetRateB, tX);
-    } else {
-      srcA.playbackRate.value = targetRateA;
-      srcB.playbackRate.value = targetRateB;
-    }
-
-    srcA.start(t0, startAInBuffer);
-    srcB.start(t0, startBInBuffer);
-
-    // Automate gains according to curve
-    gainA.gain.setValueAtTime(1, t0);
-    gainB.gain.setValueAtTime(0, t0);
-    const steps = 64;
-    for (let i = 0; i <= steps; i++) {
-      const tt = i / steps;
-      const { gA, gB } = curve(tt);
-      const t = t0 + tt * xfade;
-      gainA.gain.linearRampToValueAtTime(clamp(gA, 0, 1), t);
-      gainB.gain.linearRampToValueAtTime(clamp(gB, 0, 1), t);
-      if (eqEnable) {
-        lowShelfA.gain.linearRampToValueAtTime(eqLowDuckDb * tt, t);
-        highShelfB.gain.linearRampToValueAtTime(eqHighBoostDb * tt, t);
-      }
-      if (filterSwap) {
-        // Thin out lows in A; open highs in B
-        const hpCut = 30 + tt * (220 - 30);
-        const lpCut = 4000 + tt * (20000 - 4000);
-        hpA.frequency.linearRampToValueAtTime(hpCut, t);
-        lpB.frequency.linearRampToValueAtTime(lpCut, t);
-      }
-    }
-
-    // After crossfade, fade out A quickly and keep B
-    gainA.gain.linearRampToValueAtTime(0, tX + 0.01);
-    gainB.gain.linearRampToValueAtTime(1, tX + 0.01);
-
-    return { ctx, srcA, srcB, stopAt: tX + 1.0 };
-  }
-
-  async renderOffline(plan, buffers, options) {
-    const sampleRate = 44100;
-    const renderDuration = plan.xfadeDuration + 8; // seconds
-    const oac = new OfflineAudioContext({ numberOfChannels: 2, length: Math.ceil(renderDuration * sampleRate), sampleRate });
-
-    const { bufferA, bufferB } = buffers;
-    const { curve, eqEnable, eqLowDuckDb, eqHighBoostDb, tempoRamp, filterSwap } = options;
-
-    const srcA = oac.createBufferSource();
-    srcA.buffer = bufferA;
-
-    const srcB = oac.createBufferSource();
-    srcB.buffer = bufferB;
-
-    const gainA = oac.createGain();
-    const gainB = oac.createGain();
-
-    let nodeA = srcA;
-    let nodeB = srcB;
-    let lowShelfA, highShelfB, hpA, lpB;
-    if (eqEnable) {
-      lowShelfA = oac.createBiquadFilter();
-      lowShelfA.type = 'lowshelf';
-      lowShelfA.frequency.value = 150;
-      lowShelfA.gain.value = 0;
-      nodeA.connect(lowShelfA);
-      nodeA = lowShelfA;
-
-      highShelfB = oac.createBiquadFilter();
-      highShelfB.type = 'highshelf';
-      highShelfB.frequency.value = 6000;
-      highShelfB.gain.value = 0;
-      nodeB.connect(highShelfB);
-      nodeB = highShelfB;
-    }
-    if (filterSwap) {
-      hpA = oac.createBiquadFilter();
-      hpA.type = 'highpass';
-      hpA.frequency.value = 30;
-      nodeA.connect(hpA);
-      nodeA = hpA;
-
-      lpB = oac.createBiquadFilter();
-      lpB.type = 'lowpass';
-      lpB.frequency.value = 4000;
-      nodeB.connect(lpB);
-      nodeB = lpB;
-    }
-
-    nodeA.connect(gainA).connect(oac.destination);
-    nodeB.connect(gainB).connect(oac.destination);
-
-    const t0 = 0.05;
-    const xfade = plan.xfadeDuration;
-
-    // Tempo and pitch
-    const detuneRatioA = ratioFromSemitones(plan.pitchSemisA || 0);
-    const detuneRatioB = ratioFromSemitones(plan.pitchSemisB || 0);
-    const baseRateA = 1 * detuneRatioA;
-    const baseRateB = 1 * detuneRatioB;
-    const targetRateA = ((plan.targetTempoA || 120) / (buffers.metaA.tempo || 120)) * detuneRatioA;
-    const targetRateB = ((plan.targetTempoB || 120) / (buffers.metaB.tempo || 120)) * detuneRatioB;
-
-    if (tempoRamp) {
-      srcA.playbackRate.setValueAtTime(baseRateA, t0);
-      srcA.playbackRate.linearRampToValueAtTime(targetRateA, t0 + xfade);
-      srcB.playbackRate.setValueAtTime(baseRateB, t0);
-      srcB.playbackRate.linearRampToValueAtTime(targetRateB, t0 + xfade);
-    } else {
-      srcA.playbackRate.value = targetRateA;
-      srcB.playbackRate.value = targetRateB;
-    }
-
-    srcA.start(t0, plan.startA);
-    srcB.start(t0, plan.startB);
-
-    gainA.gain.setValueAtTime(1, t0);
-    gainB.gain.setValueAtTime(0, t0);
-    const steps = 128;
-    for (let i = 0; i <= steps; i++) {
-      const tt = i / steps;
-      const { gA, gB } = curve(tt);
-      const t = t0 + tt * xfade;
-      gainA.gain.linearRampToValueAtTime(clamp(gA, 0, 1), t);
-      gainB.gain.linearRampToValueAtTime(clamp(gB, 0, 1), t);
-      if (eqEnable) {
-        lowShelfA.gain.linearRampToValueAtTime(eqLowDuckDb * tt, t);
-        highShelfB.gain.linearRampToValueAtTime(eqHighBoostDb * tt, t);
-      }
-      if (filterSwap) {
-        const hpCut = 30 + tt * (220 - 30);
-        const lpCut = 4000 + tt * (20000 - 4000);
-        hpA.frequency.linearRampToValueAtTime(hpCut, t);
-        lpB.frequency.linearRampToValueAtTime(lpCut, t);
-      }
-    }
-
-    gainA.gain.linearRampToValueAtTime(0, t0 + xfade + 0.01);
-    gainB.gain.linearRampToValueAtTime(1, t0 + xfade + 0.01);
-
-    const rendered = await oac.startRendering();
-    return rendered;
-  }
-}
-
-// DOM wiring
 const els = {
   audioA: document.getElementById('audioA'),
   jsonA: document.getElementById('jsonA'),
@@ -474,44 +33,157 @@ const els = {
   jsonB: document.getElementById('jsonB'),
   metaA: document.getElementById('metaA'),
   metaB: document.getElementById('metaB'),
+  syncOffsetA: document.getElementById('syncOffsetA'),
+  syncOffsetB: document.getElementById('syncOffsetB'),
+  syncInfoA: document.getElementById('syncInfoA'),
+  syncInfoB: document.getElementById('syncInfoB'),
   waveA: document.getElementById('waveA'),
   waveB: document.getElementById('waveB'),
+  analyzeA: document.getElementById('analyzeA'),
+  analyzeB: document.getElementById('analyzeB'),
+  downloadJsonA: document.getElementById('downloadJsonA'),
+  downloadJsonB: document.getElementById('downloadJsonB'),
+  chainFiles: document.getElementById('chainFiles'),
+  chainList: document.getElementById('chainList'),
+  orderTracks: document.getElementById('orderTracks'),
+  orderRising: document.getElementById('orderRising'),
+  orderKeepFirst: document.getElementById('orderKeepFirst'),
+  orderKeepLast: document.getElementById('orderKeepLast'),
+  librarySearch: document.getElementById('librarySearch'),
+  libraryList: document.getElementById('libraryList'),
+  saveProject: document.getElementById('saveProject'),
+  openProject: document.getElementById('openProject'),
+  relinkFiles: document.getElementById('relinkFiles'),
+  planAll: document.getElementById('planAll'),
+  renderChain: document.getElementById('renderChain'),
+  transitionStyle: document.getElementById('transitionStyle'),
   curvePreset: document.getElementById('curvePreset'),
   beatsLength: document.getElementById('beatsLength'),
   tempoStrategy: document.getElementById('tempoStrategy'),
   eqEnable: document.getElementById('eqEnable'),
   eqLowDuckDb: document.getElementById('eqLowDuckDb'),
   eqHighBoostDb: document.getElementById('eqHighBoostDb'),
+  bassSwap: document.getElementById('bassSwap'),
+  bassSwapBar: document.getElementById('bassSwapBar'),
   // Smart DJ controls
   smartLength: document.getElementById('smartLength'),
   phraseAlign: document.getElementById('phraseAlign'),
+  phraseBars: document.getElementById('phraseBars'),
   harmonicMatch: document.getElementById('harmonicMatch'),
   tempoRamp: document.getElementById('tempoRamp'),
   filterSwap: document.getElementById('filterSwap'),
+  timeStretch: document.getElementById('timeStretch'),
+  phaseLock: document.getElementById('phaseLock'),
+  avoidClashes: document.getElementById('avoidClashes'),
+  pitchSemisB: document.getElementById('pitchSemisB'),
   maxDetuneSemis: document.getElementById('maxDetuneSemis'),
+  maxTempoChange: document.getElementById('maxTempoChange'),
+  tempoFallback: document.getElementById('tempoFallback'),
   minBeats: document.getElementById('minBeats'),
   maxBeats: document.getElementById('maxBeats'),
   autoPlan: document.getElementById('autoPlan'),
   planInfo: document.getElementById('planInfo'),
+  altPrev: document.getElementById('altPrev'),
+  altNext: document.getElementById('altNext'),
+  clashFix: document.getElementById('clashFix'),
+  snapMode: document.getElementById('snapMode'),
+  automationCanvas: document.getElementById('automationCanvas'),
+  automationLane: document.getElementById('automationLane'),
+  automationPreset: document.getElementById('automationPreset'),
+  automationPresetName: document.getElementById('automationPresetName'),
+  automationSave: document.getElementById('automationSave'),
+  automationDelete: document.getElementById('automationDelete'),
+  crossoverLow: document.getElementById('crossoverLow'),
+  crossoverHigh: document.getElementById('crossoverHigh'),
+  automationInfo: document.getElementById('automationInfo'),
+  performMode: document.getElementById('performMode'),
+  performDiscard: document.getElementById('performDiscard'),
+  performDesk: document.getElementById('performDesk'),
+  performHint: document.getElementById('performHint'),
   previewPlay: document.getElementById('previewPlay'),
   previewStop: document.getElementById('previewStop'),
+  preRoll: document.getElementById('preRoll'),
+  preRollUnit: document.getElementById('preRollUnit'),
+  previewLoop: document.getElementById('previewLoop'),
+  previewSeek: document.getElementById('previewSeek'),
+  previewTime: document.getElementById('previewTime'),
   renderExport: document.getElementById('renderExport'),
+  exportMode: document.getElementById('exportMode'),
+  exportFormat: document.getElementById('exportFormat'),
+  exportSampleRate: document.getElementById('exportSampleRate'),
+  exportDither: document.getElementById('exportDither'),
+  exportCue: document.getElementById('exportCue'),
+  loudnessMatch: document.getElementById('loudnessMatch'),
+  targetLufs: document.getElementById('targetLufs'),
+  limiterEnable: document.getElementById('limiterEnable'),
+  limiterCeiling: document.getElementById('limiterCeiling'),
+  loudnessInfo: document.getElementById('loudnessInfo'),
+  playerPlay: document.getElementById('playerPlay'),
+  playerSkip: document.getElementById('playerSkip'),
+  playerStop: document.getElementById('playerStop'),
+  playerMixing: document.getElementById('playerMixing'),
+  playerNow: document.getElementById('playerNow'),
+  queueList: document.getElementById('queueList'),
+  queueChain: document.getElementById('queueChain'),
+  queueClear: document.getElementById('queueClear'),
   status: document.getElementById('status'),
 };
 
+const waveViews = {
+  A: new WaveformView(els.waveA, { onRegionChange: start => handleRegionChange('A', start) }),
+  B: new WaveformView(els.waveB, { onRegionChange: start => handleRegionChange('B', start) }),
+};
+
+const automationEditor = new AutomationEditor(els.automationCanvas, { onChange: automation => setCustomAutomation(automation) });
+/** Custom automation of the transition on the decks; null while it follows the preset curve, EQ and filter swap */
+let customAutomation = null;
+/** Performance mode: { take, transition, before } (the automation the transition had before the take), or null */
+let liveTake = null;
+const performInputs = [...els.performDesk.querySelectorAll('input[data-control]')];
+const nudgeButtons = [...els.performDesk.querySelectorAll('button[data-nudge]')];
+/** Desk controls under the pointer right now; they do not follow the take while dragged */
+const heldControls = new Set();
+/** Nudge held with the pointer, released wherever the pointer goes up */
+let heldNudge = null;
+const isNudge = control => control === 'nudgeA' || control === 'nudgeB';
+
+let nextTrackId = 1;
+function createTrack(name = '') {
+  return { id: `t${nextTrackId++}`, name, file: null, analysis: null, buffer: null, loudness: null, expected: null, trackId: null, libraryKey: null, sync: null, keptOffset: null };
+}
+
+/**
+ * Analysis as a project or the library stored it: the original JSON and the offset it was moved by.
+ * A stored offset was detected or nudged before, so the sync check leaves it alone (keptOffset).
+ */
+function restoreAnalysis(track, json, offset) {
+  track.analysis = json ? new AnalysisData(json, { offset: offset ?? 0 }) : null;
+  track.keptOffset = json && Number.isFinite(offset) ? json : null;
+}
+
+const library = new TrackLibrary();
+
 const state = {
-  fileA: null,
-  fileB: null,
-  analysisA: null,
-  analysisB: null,
-  bufferA: null,
-  bufferB: null,
+  // Ordered playlist; transitions[i] joins tracks[i] and tracks[i + 1]
+  tracks: [createTrack(), createTrack()],
+  transitions: [],
+  // Index of the transition shown on deck A/B
+  selected: 0,
   engine: new MixerEngine(),
-  currentPlan: null,
-  playing: false,
-  previewNodes: null,
+  get trackA() { return this.tracks[this.selected] || null; },
+  get trackB() { return this.tracks[this.selected + 1] || null; },
+  get analysisA() { return this.trackA?.analysis || null; },
+  get analysisB() { return this.trackB?.analysis || null; },
+  get bufferA() { return this.trackA?.buffer || null; },
+  get bufferB() { return this.trackB?.buffer || null; },
+  get currentTransition() { return this.transitions[this.selected] || null; },
+  get currentPlan() { return this.currentTransition?.plan || null; },
+  set currentPlan(plan) { if (this.currentTransition) this.currentTransition.plan = plan; },
 };
 
+const transport = new PreviewTransport(state.engine, { onTick: showPlayhead, onEnd: updatePreviewButtons });
+const player = new MixPlayer(state.engine, { planFor: queuePlan, trackInput, onChange: renderPlayer, onTick: showPlayerStatus });
+
 function setStatus(text) {
   els.status.textContent = text || '';
 }
@@ -519,6 +191,7 @@ function setStatus(text) {
 function enableTransport(enable) {
   els.previewPlay.disabled = !enable;
   els.previewStop.disabled = !enable;
+  els.previewSeek.disabled = !enable;
   els.renderExport.disabled = !enable;
 }
 
@@ -526,9 +199,278 @@ function updateMeta(side, analysis) {
   const el = side === 'A' ? els.metaA : els.metaB;
   if (!analysis) { el.textContent = ''; return; }
   const tempo = analysis.tempo ? `${analysis.tempo.toFixed(1)} BPM` : '– BPM';
-  const key = Number.isFinite(analysis.key) ? `Key ${analysis.key}` : '– Key';
-  const sig = analysis.timeSignature ? `${analysis.timeSignature}/4` : '–/–';
-  el.textContent = `${tempo} • ${key} • ${sig}`;
+  const uncertain = Math.min(analysis.keyConfidence, analysis.modeConfidence) < 0.3 ? ' (unsicher)' : '';
+  const key = Number.isFinite(analysis.key) && analysis.key >= 0 ? `${formatKey(analysis.key, analysis.mode)}${uncertain}` : '– Key';
+  const sig = `${analysis.meter.label}${analysis.meter.confidence < METER_UNSURE ? ' (unsicher)' : ''}`;
+  const phraseBars = state.currentTransition?.options.smart?.phraseBars ?? 'auto';
+  const phrase = analysis.getPhrase(phraseBars);
+  const detected = phraseBars === 'auto' ? (phrase.confidence < PHRASE_UNSURE ? ', nicht erkannt' : ', erkannt') : '';
+  el.textContent = `${tempo} • ${key} • ${sig} • Phrase ${phrase.bars} Takte${detected}`;
+  // Deck B also shows how well it follows deck A
+  const other = side === 'B' ? state.analysisA : null;
+  const harmony = other && harmonicCompatibility(other, analysis);
+  if (harmony) el.textContent += ` • zu A: ${harmony.label} (${Math.round(harmony.score * 100)} %)`;
+}
+
+/** Options of one transition as plain data, so every transition can keep its own */
+function readOptionsFromControls() {
+  return {
+    style: els.transitionStyle.value,
+    curvePreset: els.curvePreset.value,
+    beatsLength: getBeatsLength(),
+    tempoStrategy: getTempoStrategy(),
+    eqEnable: els.eqEnable.checked,
+    eqLowDuckDb: Number(els.eqLowDuckDb.value) || 0,
+    eqHighBoostDb: Number(els.eqHighBoostDb.value) || 0,
+    bassSwap: els.bassSwap.checked,
+    bassSwapBar: els.bassSwapBar.value ? Number(els.bassSwapBar.value) : null,
+    smart: getSmartOptions(),
+    automation: customAutomation,
+  };
+}
+
+/** Master bus settings, shared by the whole mix */
+function readMasterFromControls() {
+  const targetLufs = Number(els.targetLufs.value);
+  const ceilingDb = Number(els.limiterCeiling.value);
+  return {
+    loudnessMatch: els.loudnessMatch.checked,
+    targetLufs: Number.isFinite(targetLufs) ? clamp(targetLufs, -30, -5) : DEFAULT_MASTER.targetLufs,
+    limiter: els.limiterEnable.checked,
+    ceilingDb: Number.isFinite(ceilingDb) ? clamp(ceilingDb, -6, 0) : DEFAULT_MASTER.ceilingDb,
+  };
+}
+
+function writeMasterToControls(master) {
+  els.loudnessMatch.checked = !!master.loudnessMatch;
+  els.targetLufs.value = master.targetLufs;
+  els.limiterEnable.checked = !!master.limiter;
+  els.limiterCeiling.value = master.ceilingDb;
+}
+
+/** Layout input of a track: buffer, beat grid and its loudness-matching trim */
+function trackInput(track) {
+  const master = readMasterFromControls();
+  const trim = master.loudnessMatch && track.loudness != null ? loudnessTrim(track.loudness, master.targetLufs) : 1;
+  return { buffer: track.buffer, ...trackMeta(track.analysis), trim };
+}
+
+function writeOptionsToControls(options) {
+  els.transitionStyle.value = options.style || 'blend';
+  els.curvePreset.value = options.curvePreset;
+  els.beatsLength.value = options.beatsLength;
+  els.tempoStrategy.value = options.tempoStrategy;
+  els.eqEnable.checked = options.eqEnable;
+  els.eqLowDuckDb.value = options.eqLowDuckDb;
+  els.eqHighBoostDb.value = options.eqHighBoostDb;
+  els.bassSwap.checked = !!options.bassSwap;
+  setBassSwapBar(options.bassSwapBar);
+  const smart = options.smart || {};
+  els.smartLength.checked = !!smart.smartLength;
+  els.phraseAlign.checked = !!smart.phraseAlign;
+  els.phraseBars.value = String(smart.phraseBars ?? 'auto');
+  els.harmonicMatch.checked = !!smart.harmonicMatch;
+  els.tempoRamp.checked = !!smart.tempoRamp;
+  els.filterSwap.checked = !!smart.filterSwap;
+  els.timeStretch.checked = !!smart.timeStretch;
+  els.phaseLock.checked = !!smart.phaseLock;
+  els.avoidClashes.checked = !!smart.avoidClashes;
+  els.pitchSemisB.value = smart.pitchSemisB ?? '';
+  els.maxDetuneSemis.value = smart.maxDetuneSemis ?? 0;
+  els.maxTempoChange.value = smart.maxTempoChange ?? 0;
+  els.tempoFallback.value = smart.tempoFallback ?? 'echo';
+  els.minBeats.value = smart.minBeats ?? '';
+  els.maxBeats.value = smart.maxBeats ?? '';
+  customAutomation = options.automation || null;
+}
+
+/** Keep one transition per adjacent track pair, reusing the ones whose pair is unchanged */
+function syncTransitions() {
+  const previous = state.transitions;
+  state.transitions = state.tracks.slice(1).map((trackB, i) => {
+    const trackA = state.tracks[i];
+    return previous.find(t => t.fromId === trackA.id && t.toId === trackB.id)
+      || { fromId: trackA.id, toId: trackB.id, options: readOptionsFromControls(), plan: null };
+  });
+  state.selected = clamp(state.selected, 0, Math.max(0, state.transitions.length - 1));
+}
+
+/** Make sure the deck has a track slot to load files into */
+function deckTrack(side) {
+  const index = state.selected + (side === 'A' ? 0 : 1);
+  while (state.tracks.length <= index) state.tracks.push(createTrack());
+  syncTransitions();
+  return state.tracks[index];
+}
+
+function trackLabel(track, index) {
+  return track.name || `Track ${index + 1}`;
+}
+
+function renderDecks() {
+  const layout = layoutTransitionAt(state.selected);
+  for (const side of ['A', 'B']) {
+    const track = side === 'A' ? state.trackA : state.trackB;
+    updateMeta(side, track?.analysis || null);
+    updateSync(side, track);
+    els[`analyze${side}`].disabled = !track?.buffer;
+    els[`downloadJson${side}`].disabled = !track?.analysis;
+    const view = waveViews[side];
+    view.snap = els.snapMode.value;
+    view.phraseBars = state.currentTransition?.options.smart?.phraseBars ?? 'auto';
+    view.setTrack(track?.buffer || null, track?.analysis || null);
+    view.setRegion(layout ? transitionRegion(layout, side) : null);
+    view.draw();
+  }
+  updatePlanInfo(layout);
+  renderAutomation();
+  syncPreview();
+}
+
+function renderAutomation() {
+  const options = state.currentTransition?.options || readOptionsFromControls();
+  const automation = toMixOptions(options, state.currentPlan).automation;
+  automationEditor.lane = els.automationLane.value;
+  automationEditor.show(automation, state.currentPlan?.chosenBeats || options.beatsLength, state.currentPlan?.meter?.barBeats);
+  els.crossoverLow.value = automation.crossovers?.low ?? DEFAULT_CROSSOVERS.low;
+  els.crossoverHigh.value = automation.crossovers?.high ?? DEFAULT_CROSSOVERS.high;
+  els.automationInfo.textContent = liveTake
+    ? 'Performance-Aufnahme – Bewegungen am Pult werden beim Abspielen der Vorschau in diese Automation geschrieben.'
+    : options.automation
+    ? 'Eigene Automation – Stil-Kurven, Preset-Kurve, EQ-Werte und Filter-Swap werden für diesen Übergang ignoriert (Loop-Roll, Backspin und Bremse bleiben aktiv).'
+    : 'Abgeleitet aus Übergangsstil, Preset-Kurve, EQ und Filter-Swap.';
+}
+
+function setCustomAutomation(automation) {
+  if (liveTake) {
+    if (automation) liveTake.take.automation = automation;
+    else endPerformance();
+  }
+  customAutomation = automation;
+  if (state.currentTransition) state.currentTransition.options.automation = automation;
+  renderAutomation();
+  syncPreview();
+}
+
+const AUTOMATION_PRESETS_KEY = 'smartMixAutomationPresets';
+
+function loadAutomationPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(AUTOMATION_PRESETS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function renderAutomationPresets(selected = '') {
+  const names = Object.keys(loadAutomationPresets()).sort();
+  els.automationPreset.innerHTML = '';
+  els.automationPreset.append(new Option('Abgeleitet (Preset-Kurve & EQ)', ''), ...names.map(name => new Option(name, name)));
+  els.automationPreset.value = selected;
+  els.automationDelete.disabled = !selected;
+}
+
+function updatePlanInfo(layout = layoutTransitionAt(state.selected)) {
+  const plan = state.currentPlan;
+  const fixes = currentClashFixes();
+  els.planInfo.textContent = plan ? describePlan(plan, layout?.transitions[0] || null, fixes) : '';
+  els.altPrev.disabled = els.altNext.disabled = !(plan?.alternatives?.length > 1);
+  els.clashFix.disabled = fixes.length === 0;
+  els.clashFix.title = fixes.length ? describeClashFix(fixes[0]) : 'Keine Überschneidung zu umgehen';
+  renderBassSwapBars(layout?.transitions[0]?.bassSwap ?? null);
+}
+
+/** One entry per downbeat of A inside the transition, the bass swap can be put on any of them */
+function renderBassSwapBars(bassSwap) {
+  const chosen = state.currentTransition?.options.bassSwapBar ?? null;
+  const count = Math.max(bassSwap?.bars ?? 0, chosen ?? 0);
+  els.bassSwapBar.length = 1;
+  for (let bar = 1; bar <= count; bar++) els.bassSwapBar.add(new Option(`Takt ${bar} von ${count}`, bar));
+  setBassSwapBar(chosen);
+}
+
+function setBassSwapBar(bar) {
+  if (bar != null && bar >= els.bassSwapBar.length) els.bassSwapBar.add(new Option(`Takt ${bar}`, bar));
+  els.bassSwapBar.value = bar ?? '';
+}
+
+/** The stretch of A's or B's buffer that the transition covers */
+function transitionRegion(layout, side) {
+  const deck = layout.decks[side === 'A' ? 0 : 1];
+  const { start, end } = layout.transitions[0];
+  const from = positionAt(rateSegments(deck, end), start);
+  return { start: from, length: positionAt(rateSegments(deck, end), end) - from };
+}
+
+/** Dragging a region start writes straight back into the selected plan */
+function handleRegionChange(side, start) {
+  const plan = state.currentPlan;
+  if (!plan) return;
+  if (side === 'A') plan.startA = start; else plan.startB = start;
+  plan.manual = true;
+  if (state.analysisA && state.analysisB) plan.clash = planClash(state.analysisA, state.analysisB, plan);
+  renderDecks();
+  renderChainList();
+}
+
+function renderChainList() {
+  els.chainList.innerHTML = '';
+  state.tracks.forEach((track, i) => {
+    const li = document.createElement('li');
+    li.className = 'chain-track';
+    const tempo = track.analysis?.tempo ? `${track.analysis.tempo.toFixed(1)} BPM • ${formatKey(track.analysis.key, track.analysis.mode)}` : '– BPM';
+    const missing = [
+      !track.buffer && (track.expected?.fileName ? `Audio (${track.expected.fileName})` : 'Audio'),
+      !track.analysis && 'JSON',
+    ].filter(Boolean);
+    const label = document.createElement('span');
+    const loudness = Number.isFinite(track.loudness) ? ` • ${track.loudness.toFixed(1)} LUFS` : '';
+    label.textContent = `${trackLabel(track, i)} • ${tempo}${loudness}${missing.length ? ` • fehlt: ${missing.join(', ')}` : ''}`;
+    li.append(label);
+    for (const [action, text] of [['up', '▲'], ['down', '▼'], ['remove', '✕']]) {
+      const btn = document.createElement('button');
+      btn.dataset.action = action;
+      btn.dataset.index = i;
+      btn.textContent = text;
+      li.append(btn);
+    }
+    els.chainList.append(li);
+
+    const transition = state.transitions[i];
+    if (!transition) return;
+    const row = document.createElement('li');
+    row.className = 'chain-transition' + (i === state.selected ? ' selected' : '');
+    const info = document.createElement('span');
+    const plan = transition.plan;
+    info.textContent = `Übergang ${i + 1} → ${i + 2}: ${plan ? `${plan.chosenBeats} Beats, ${plan.xfadeDuration.toFixed(2)}s` : 'nicht geplant'}`;
+    const next = state.tracks[i + 1];
+    if (track.analysis && next.analysis) {
+      const { score, parts } = pairScore(track.analysis, next.analysis);
+      info.textContent += ` • Passung ${Math.round(score * 100)} %`;
+      info.title = `Tempo ${Math.round(parts.tempo * 100)} % • Tonart ${Math.round(parts.harmony * 100)} % • Energie ${Math.round(parts.energy * 100)} % • Länge ${Math.round(parts.length * 100)} %`;
+    }
+    const btn = document.createElement('button');
+    btn.dataset.action = 'select';
+    btn.dataset.index = i;
+    btn.textContent = 'Bearbeiten';
+    row.append(info, btn);
+    els.chainList.append(row);
+  });
+  const complete = state.tracks.length >= 2 && state.tracks.every(t => t.buffer && t.analysis);
+  els.planAll.disabled = !state.tracks.every(t => t.analysis) || state.transitions.length === 0;
+  els.orderTracks.disabled = state.tracks.filter(t => t.analysis).length < 3;
+  els.renderChain.disabled = !complete;
+}
+
+function selectTransition(index) {
+  state.selected = clamp(index, 0, Math.max(0, state.transitions.length - 1));
+  const transition = state.currentTransition;
+  if (liveTake && liveTake.transition !== transition) endPerformance();
+  if (transition) writeOptionsToControls(transition.options);
+  for (const input of [els.audioA, els.jsonA, els.audioB, els.jsonB]) input.value = '';
+  renderDecks();
+  renderChainList();
+  maybeEnablePlan();
 }
 
 async function readFileAsArrayBuffer(file) {
@@ -549,53 +491,469 @@ async function readFileAsText(file) {
   });
 }
 
+// Files are decoded at the selected export rate, so a render does not resample them a second time
+let decoder = null;
+
 async function decodeAudio(arrayBuffer) {
-  const ac = new (window.AudioContext || window.webkitAudioContext)();
-  const buf = await ac.decodeAudioData(arrayBuffer.slice(0));
-  await ac.close();
-  return buf;
+  const sampleRate = Number(els.exportSampleRate.value) || 44100;
+  if (decoder?.sampleRate !== sampleRate) decoder = new OfflineAudioContext({ numberOfChannels: 2, length: 1, sampleRate });
+  return decoder.decodeAudioData(arrayBuffer.slice(0));
 }
 
-async function handleAudio(side, file) {
-  if (!file) return;
-  setStatus('Dekodiere Audio …');
+async function loadTrackAudio(track, file) {
   const ab = await readFileAsArrayBuffer(file);
-  const buffer = await decodeAudio(ab);
-  if (side === 'A') {
-    state.bufferA = buffer;
-    drawWaveform(els.waveA, buffer);
+  track.buffer = await decodeAudio(ab);
+  track.loudness = integratedLoudness(track.buffer);
+  track.file = file;
+  track.name = file.name.replace(/\.[^.]+$/, '');
+  // A beatgrid from Serato in the file's tags stands in until an analysis file is loaded
+  if (!track.analysis) {
+    try {
+      const serato = seratoAnalysis(ab, track.buffer.duration, file.name);
+      if (serato) track.analysis = new AnalysisData(serato);
+    } catch {
+      // Unreadable Serato tags count as none; the track is analyzed like any other
+    }
+  }
+}
+
+/** Analysis from a Spotify JSON, a beat JSON or a Rekordbox/Traktor collection; throws if unusable */
+async function loadTrackAnalysis(track, file) {
+  const txt = await readFileAsText(file);
+  const base = file.name.replace(/\.[^.]+$/, '');
+  const trackName = track.file?.name ?? track.name ?? null;
+  track.analysis = new AnalysisData(importAnalysis(txt, file.name, { trackName }));
+  if (!track.name) track.name = base;
+  // The download bookmarklet names analysis files after the Spotify track id
+  if (/^[0-9A-Za-z]{22}$/.test(base)) track.trackId = base;
+}
+
+/**
+ * Store a track in the library and take over what the library already has for it: analysis for
+ * new audio or audio for a new analysis, paired by duration. Failures only cost the library.
+ */
+async function rememberTrack(track) {
+  if (!track.buffer && !track.analysis) return;
+  verifySync(track);
+  try {
+    const entry = await library.put({
+      name: track.name,
+      fileName: track.file?.name,
+      trackId: track.trackId,
+      audio: track.file,
+      audioDuration: track.buffer?.duration,
+      analysis: track.analysis?.source,
+      analysisOffset: track.analysis?.offset,
+    }, track.libraryKey);
+    track.libraryKey = entry.key;
+    track.trackId ??= entry.trackId ?? null;
+    if (!track.analysis && entry.analysis) restoreAnalysis(track, entry.analysis, entry.analysisOffset);
+    if (!track.buffer && entry.audio) await loadTrackAudio(track, entry.audio);
+    track.name = entry.name || track.name;
+    verifySync(track);
+  } catch {
+    // renderLibrary() shows that the library is unavailable
+  }
+  renderLibrary();
+}
+
+/**
+ * Check once per audio/analysis pair that they describe the same recording and move the analysis
+ * by the detected offset. A poor match is only reported, the analysis stays where it was.
+ */
+function verifySync(track) {
+  if (!track.buffer || !track.analysis) return;
+  if (track.sync?.buffer === track.buffer && track.sync.source === track.analysis.source) return;
+  const result = checkSync(track.buffer, track.analysis.source);
+  track.sync = { ...result, buffer: track.buffer, source: track.analysis.source };
+  if (result?.matches && track.keptOffset !== track.analysis.source && Math.abs(result.offset - track.analysis.offset) >= SYNC_MIN_OFFSET) {
+    setAnalysisOffset(track, result.offset);
+  }
+}
+
+/** Move a track's analysis to `offset` seconds from its JSON; planned transitions with it are planned again */
+function setAnalysisOffset(track, offset) {
+  track.analysis = track.analysis.withOffset(offset);
+  state.transitions.forEach((transition, i) => {
+    if (transition.plan && (state.tracks[i] === track || state.tracks[i + 1] === track)) planTransitionAt(i);
+  });
+}
+
+function updateSync(side, track) {
+  const input = els[`syncOffset${side}`];
+  const info = els[`syncInfo${side}`];
+  input.disabled = !track?.analysis;
+  input.value = Math.round((track?.analysis?.offset ?? 0) * 1000);
+  const sync = track?.analysis && track.sync?.source === track.analysis.source ? track.sync : null;
+  info.className = sync?.matches === false ? 'warn' : '';
+  if (!sync?.buffer) {
+    info.textContent = '';
+  } else if (sync.confidence == null) {
+    info.textContent = 'Sync: keine Segmente zum Prüfen';
   } else {
-    state.bufferB = buffer;
-    drawWaveform(els.waveB, buffer);
+    const length = Math.abs(sync.durationDelta) >= 1 ? ` • Länge ${sync.durationDelta > 0 ? '+' : '−'}${Math.abs(sync.durationDelta).toFixed(1)} s` : '';
+    const found = `erkannt ${Math.round(sync.offset * 1000)} ms`;
+    info.textContent = sync.matches
+      ? `Sync ${Math.round(sync.confidence * 100)} % (${found})${length}`
+      : `Sync ${Math.round(sync.confidence * 100)} %: Audio passt womöglich nicht zur Analyse${length}`;
+  }
+}
+
+function handleSyncNudge(side) {
+  const track = side === 'A' ? state.trackA : state.trackB;
+  const ms = Number(els[`syncOffset${side}`].value);
+  if (!track?.analysis || !Number.isFinite(ms)) return;
+  setAnalysisOffset(track, ms / 1000);
+  track.keptOffset = track.analysis.source;
+  renderDecks();
+  renderChainList();
+}
+
+/** Put a library entry on a deck, replacing the track in that slot */
+async function loadFromLibrary(side, key) {
+  let entry;
+  try {
+    entry = await library.get(key);
+  } catch (err) {
+    setStatus(`Bibliothek nicht verfügbar: ${err.message}`);
+    return;
+  }
+  if (!entry) return;
+  stopPreview();
+  const track = deckTrack(side);
+  Object.assign(track, createTrack(entry.name), { id: track.id, trackId: entry.trackId ?? null, libraryKey: entry.key });
+  restoreAnalysis(track, entry.analysis, entry.analysisOffset);
+  if (entry.audio) {
+    setStatus('Dekodiere Audio …');
+    try {
+      await loadTrackAudio(track, entry.audio);
+      track.name = entry.name || track.name;
+      setStatus('');
+    } catch (err) {
+      // The deck keeps the analysis; the audio can still be loaded by hand
+      setStatus(`Audio von ${entry.name} nicht lesbar: ${err.message}`);
+    }
+  }
+  verifySync(track);
+  renderDecks();
+  renderChainList();
+  maybeEnablePlan();
+}
+
+/** Audio for the tracks of an opened project that the library has, by Spotify id or file name and length */
+async function relinkFromLibrary() {
+  const missing = missingAudioTracks();
+  if (!missing.length) return;
+  let entries;
+  try {
+    entries = (await library.list()).filter(e => e.audio);
+  } catch {
+    return; // promptRelink() asks for the files instead
+  }
+  for (const track of missing) {
+    const entry = entries.find(e => track.trackId && e.trackId === track.trackId)
+      ?? entries.find(e => e.fileName === track.expected.fileName
+        && (!Number.isFinite(track.expected.duration) || Math.abs(entryDuration(e) - track.expected.duration) < 0.5));
+    if (!entry) continue;
+    await loadTrackAudio(track, entry.audio);
+    track.name = entry.name || track.name;
+    track.libraryKey = entry.key;
+    verifySync(track);
+  }
+  selectTransition(state.selected);
+}
+
+const formatDuration = seconds => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+async function renderLibrary() {
+  let entries;
+  try {
+    entries = await library.list();
+  } catch {
+    els.libraryList.innerHTML = '<li>Bibliothek nicht verfügbar (IndexedDB gesperrt)</li>';
+    return;
+  }
+  els.libraryList.innerHTML = '';
+  for (const entry of searchEntries(entries, els.librarySearch.value, formatKey)) {
+    const analysis = entry.analysis ? new AnalysisData(entry.analysis) : null;
+    const duration = entryDuration(entry);
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = [
+      entry.name || entry.fileName || 'ohne Namen',
+      analysis?.tempo ? `${analysis.tempo.toFixed(1)} BPM` : '– BPM',
+      analysis ? formatKey(analysis.key, analysis.mode) : null,
+      Number.isFinite(duration) ? formatDuration(duration) : null,
+      !entry.audio && 'nur Analyse',
+      !entry.analysis && 'nur Audio',
+    ].filter(Boolean).join(' • ');
+    li.append(label);
+    for (const [action, text, title] of [['A', 'A', 'Auf Deck A laden'], ['B', 'B', 'Auf Deck B laden'], ['queue', '+', 'An die Warteschlange anhängen'], ['delete', '✕', 'Aus der Bibliothek löschen']]) {
+      const btn = document.createElement('button');
+      btn.dataset.action = action;
+      btn.dataset.key = entry.key;
+      btn.textContent = text;
+      btn.title = title;
+      li.append(btn);
+    }
+    els.libraryList.append(li);
   }
+}
+
+/** Run the built-in analyzer on a track's decoded audio */
+async function analyzeTrack(track) {
+  setStatus('Analysiere …');
+  const json = await analyzeAudioBuffer(track.buffer, p => setStatus(`Analysiere … ${Math.round(p * 100)} %`));
+  track.analysis = new AnalysisData(json);
   setStatus('');
+}
+
+async function handleAnalyze(side) {
+  const track = deckTrack(side);
+  if (!track.buffer) return;
+  try {
+    await analyzeTrack(track);
+  } catch (err) {
+    setStatus(`Analyse fehlgeschlagen: ${err.message}`);
+    return;
+  }
+  await rememberTrack(track);
+  renderDecks();
+  renderChainList();
+  maybeEnablePlan();
+}
+
+function handleDownloadAnalysis(side) {
+  const track = side === 'A' ? state.trackA : state.trackB;
+  if (!track?.analysis) return;
+  const blob = new Blob([JSON.stringify(track.analysis.raw)], { type: 'application/json' });
+  downloadBlob(blob, `${track.name || `track-${side}`}.analysis.json`);
+}
+
+async function handleAudio(side, file) {
+  if (!file) return;
+  setStatus('Dekodiere Audio …');
+  const track = deckTrack(side);
+  // Other audio for the same analysis needs its own sync check
+  track.keptOffset = null;
+  await loadTrackAudio(track, file);
+  await rememberTrack(track);
+  setStatus('');
+  renderDecks();
+  renderChainList();
   maybeEnablePlan();
 }
 
 async function handleJSON(side, file) {
   if (!file) return;
-  const txt = await readFileAsText(file);
-  const json = JSON.parse(txt);
-  const analysis = new AnalysisData(json);
-  if (side === 'A') {
-    state.analysisA = analysis;
-    updateMeta('A', analysis);
-  } else {
-    state.analysisB = analysis;
-    updateMeta('B', analysis);
+  const track = deckTrack(side);
+  try {
+    await loadTrackAnalysis(track, file);
+  } catch (err) {
+    setStatus(`Analyse nicht geladen: ${err.message}`);
+    return;
   }
+  await rememberTrack(track);
+  setStatus('');
+  renderDecks();
+  renderChainList();
   maybeEnablePlan();
 }
 
+/**
+ * Append tracks from a multi-file selection, audio and analysis files paired up. Rekordbox/Traktor
+ * collections among the files supply the analysis of every audio file they list.
+ */
+async function addTracksFromFiles(files) {
+  const collections = [];
+  const problems = [];
+  for (const file of files.filter(f => COLLECTION_FILE.test(f.name))) {
+    try {
+      collections.push({ file, entries: readCollection(await readFileAsText(file), file.name) });
+    } catch (err) {
+      problems.push(err.message);
+    }
+  }
+  const groups = pairTrackFiles(files.filter(f => !COLLECTION_FILE.test(f.name)));
+
+  // Fill the empty placeholder slots first, then append
+  const slots = state.tracks.filter(t => !t.buffer && !t.analysis);
+  setStatus('Dekodiere Audio …');
+  for (const group of groups) {
+    let track = slots.shift();
+    if (!track) {
+      track = createTrack();
+      state.tracks.push(track);
+    }
+    track.name = group.base;
+    try {
+      if (group.audio) await loadTrackAudio(track, group.audio);
+      if (group.json) await loadTrackAnalysis(track, group.json);
+      for (const { file, entries } of collections) {
+        const entry = !group.json && findCollectionEntry(entries, group.audio?.name ?? group.base);
+        if (entry) track.analysis = new AnalysisData(collectionAnalysis(entry, file.name));
+      }
+    } catch (err) {
+      problems.push(err.message);
+    }
+    // The library may know the other half; otherwise analyze the audio locally
+    await rememberTrack(track);
+    if (track.buffer && !track.analysis) {
+      try {
+        await analyzeTrack(track);
+        await rememberTrack(track);
+      } catch (err) {
+        problems.push(`Analyse von ${track.name} fehlgeschlagen: ${err.message}`);
+      }
+    }
+  }
+  setStatus(problems.join(' • '));
+  syncTransitions();
+  selectTransition(state.selected);
+}
+
+function saveProject() {
+  const project = createProject({
+    tracks: state.tracks,
+    transitions: state.transitions,
+    selected: state.selected,
+    controls: readOptionsFromControls(),
+    master: readMasterFromControls(),
+  });
+  const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+  const name = state.tracks.map(t => t.name).filter(Boolean).slice(0, 3).join(' - ') || 'mix';
+  downloadBlob(blob, `${name}.mixproject.json`);
+}
+
+async function openProject(file) {
+  let project;
+  try {
+    project = readProject(JSON.parse(await readFileAsText(file)));
+  } catch (err) {
+    setStatus(`Projekt konnte nicht geöffnet werden: ${err.message}`);
+    return;
+  }
+  stopPreview();
+
+  // Fresh track ids, the transitions are remapped onto them
+  const ids = new Map();
+  state.tracks = project.tracks.map(ref => {
+    const track = createTrack(ref.name || '');
+    ids.set(ref.id, track.id);
+    restoreAnalysis(track, ref.analysis, ref.analysisOffset);
+    track.expected = { fileName: ref.fileName, fileSize: ref.fileSize, duration: ref.duration };
+    track.trackId = ref.trackId ?? null;
+    return track;
+  });
+  while (state.tracks.length < 2) state.tracks.push(createTrack());
+  state.transitions = project.transitions.map(t => ({ ...t, fromId: ids.get(t.fromId), toId: ids.get(t.toId) }));
+  syncTransitions();
+  if (project.controls) writeOptionsToControls(project.controls);
+  if (project.master) writeMasterToControls({ ...DEFAULT_MASTER, ...project.master });
+  selectTransition(project.selected ?? 0);
+  await relinkFromLibrary();
+  promptRelink();
+}
+
+function missingAudioTracks() {
+  return state.tracks.filter(t => !t.buffer && t.expected?.fileName);
+}
+
+function promptRelink() {
+  const missing = missingAudioTracks();
+  els.relinkFiles.disabled = missing.length === 0;
+  setStatus(missing.length ? `Bitte Audio neu zuordnen: ${missing.map(t => t.expected.fileName).join(', ')}` : '');
+}
+
+/**
+ * Attach audio to the tracks of an opened project: by file name first, otherwise by duration.
+ * A duration that does not fit the saved one is attached anyway but reported, the analysis may be off;
+ * files that cannot be decoded are skipped and reported.
+ */
+async function relinkAudio(files) {
+  const unmatched = [];
+  const mismatched = [];
+  const failed = [];
+  setStatus('Dekodiere Audio …');
+  for (const file of files) {
+    const open = missingAudioTracks();
+    let track = open.find(t => t.expected.fileName === file.name);
+    let buffer;
+    try {
+      buffer = await decodeAudio(await readFileAsArrayBuffer(file));
+    } catch (err) {
+      failed.push(`${file.name} (${err.message})`);
+      continue;
+    }
+    track ??= open.find(t => Number.isFinite(t.expected.duration) && Math.abs(t.expected.duration - buffer.duration) < 0.5);
+    if (!track) {
+      unmatched.push(file.name);
+      continue;
+    }
+    if (Number.isFinite(track.expected.duration) && Math.abs(track.expected.duration - buffer.duration) >= 0.5) {
+      mismatched.push(`${file.name} (${buffer.duration.toFixed(1)} s statt ${track.expected.duration.toFixed(1)} s)`);
+    }
+    track.buffer = buffer;
+    track.loudness = integratedLoudness(buffer);
+    track.file = file;
+    await rememberTrack(track);
+  }
+  selectTransition(state.selected);
+  promptRelink();
+  const notes = [
+    unmatched.length && `nicht zugeordnet: ${unmatched.join(', ')}`,
+    mismatched.length && `andere Länge: ${mismatched.join(', ')}`,
+    failed.length && `nicht lesbar: ${failed.join(', ')}`,
+  ].filter(Boolean);
+  if (notes.length) setStatus([els.status.textContent, ...notes].filter(Boolean).join(' • '));
+}
+
+/** Reorder the chain for the best pair scores; empty slots stay at the end, transitions keep their settings */
+function handleOrderTracks() {
+  const filled = state.tracks.filter(t => t.buffer || t.analysis);
+  const tracks = filled.filter(t => t.analysis);
+  if (tracks.length < filled.length) {
+    setStatus('Zum Sortieren braucht jeder Track eine Analyse');
+    return;
+  }
+  let result;
+  try {
+    result = orderTracks(tracks.map(t => t.analysis), {
+      rising: els.orderRising.checked,
+      first: els.orderKeepFirst.checked ? 0 : null,
+      last: els.orderKeepLast.checked ? tracks.length - 1 : null,
+    });
+  } catch (err) {
+    setStatus(err.message);
+    return;
+  }
+  state.tracks = [...result.order.map(i => tracks[i]), ...state.tracks.filter(t => !filled.includes(t))];
+  syncTransitions();
+  selectTransition(0);
+  setStatus(`Reihenfolge optimiert: Ø Passung ${Math.round(result.score * 100)} %`);
+}
+
+function moveTrack(index, delta) {
+  const to = index + delta;
+  if (to < 0 || to >= state.tracks.length) return;
+  const [track] = state.tracks.splice(index, 1);
+  state.tracks.splice(to, 0, track);
+  syncTransitions();
+  selectTransition(state.selected);
+}
+
+function removeTrack(index) {
+  state.tracks.splice(index, 1);
+  while (state.tracks.length < 2) state.tracks.push(createTrack());
+  syncTransitions();
+  selectTransition(state.selected);
+}
+
 function maybeEnablePlan() {
   const ready = !!(state.bufferA && state.bufferB && state.analysisA && state.analysisB);
   els.autoPlan.disabled = !ready;
-  if (ready) enableTransport(true);
-}
-
-function getCurveFn() {
-  const name = els.curvePreset.value;
-  return chooseCurve(name);
+  enableTransport(ready);
+  els.renderExport.disabled = !(ready && state.currentPlan);
 }
 
 function getTempoStrategy() {
@@ -611,151 +969,672 @@ function getSmartOptions() {
   return {
     smartLength: !!els.smartLength?.checked,
     phraseAlign: !!els.phraseAlign?.checked,
+    phraseBars: PHRASE_LENGTHS.includes(Number(els.phraseBars?.value)) ? Number(els.phraseBars.value) : 'auto',
     harmonicMatch: !!els.harmonicMatch?.checked,
     tempoRamp: !!els.tempoRamp?.checked,
     filterSwap: !!els.filterSwap?.checked,
+    timeStretch: !!els.timeStretch?.checked,
+    phaseLock: !!els.phaseLock?.checked,
+    avoidClashes: !!els.avoidClashes?.checked,
+    pitchSemisB: els.pitchSemisB?.value === '' ? undefined : Number(els.pitchSemisB?.value),
     maxDetuneSemis: Number(els.maxDetuneSemis?.value) || 0,
+    maxTempoChange: Number(els.maxTempoChange?.value) || 0,
+    tempoFallback: els.tempoFallback?.value || 'echo',
     minBeats: Number(els.minBeats?.value) || undefined,
     maxBeats: Number(els.maxBeats?.value) || undefined,
   };
 }
 
+/** Plan transition i with its own stored options */
+function planTransitionAt(index) {
+  const transition = state.transitions[index];
+  const analysisA = state.tracks[index]?.analysis;
+  const analysisB = state.tracks[index + 1]?.analysis;
+  if (!transition || !analysisA || !analysisB) return null;
+  transition.plan = planWithOptions(analysisA, analysisB, transition.options);
+  return transition.plan;
+}
+
+function currentClashFixes() {
+  const plan = state.currentPlan;
+  return plan && state.analysisA && state.analysisB ? clashSuggestions(state.analysisA, state.analysisB, plan) : [];
+}
+
+const CLASH_PART = 0.25; // harmonic or vocal clash from here on is named in the plan info
+
+function describeClash(clash) {
+  if (!clash) return '';
+  const kinds = [clash.vocal >= CLASH_PART && 'Gesang', clash.harmonic >= CLASH_PART && 'dissonant'].filter(Boolean);
+  return ` • Clash ${Math.round(clash.score * 100)} %${kinds.length ? ` (${kinds.join('/')})` : ''}`;
+}
+
+function describeClashFix(fix) {
+  const what = fix.kind === 'shift'
+    ? `Variante ${fix.alternativeIndex + 1} nehmen`
+    : `auf ${fix.chosenBeats} Beats kürzen (A ab ${fix.startA.toFixed(2)}s)`;
+  return `${what}: Clash ${Math.round(fix.clash.score * 100)} %`;
+}
+
+function describePlan(plan, overlap = null, fixes = []) {
+  const smart = plan.smart || {};
+  const alt = plan.manual ? null : plan.alternatives?.[plan.alternativeIndex];
+  const why = alt ? `${alt.reasonsA.length ? ` • Aus: ${alt.reasonsA.join(', ')}` : ''}${alt.reasonsB.length ? ` • Ein: ${alt.reasonsB.join(', ')}` : ''}` : '';
+  const variant = plan.manual ? ' • manuell verschoben' : plan.alternatives?.length > 1 ? ` • Variante ${plan.alternativeIndex + 1}/${plan.alternatives.length}` : '';
+  return `Start A: ${plan.startA.toFixed(2)}s • Start B: ${plan.startB.toFixed(2)}s • Dauer: ${plan.xfadeDuration.toFixed(2)}s • Beats: ${plan.chosenBeats} • Zieltempi: A ${plan.targetTempoA.toFixed(1)}, B ${plan.targetTempoB.toFixed(1)}${describeStrategy(plan.strategy)}${smart.harmonicMatch || Number.isFinite(smart.pitchSemisB) ? ` • Detune B: ${plan.pitchSemisB}st` : ''}${plan.harmony?.after ? ` • Harmonie: ${plan.harmony.keyA} → ${plan.harmony.keyB}, ${plan.harmony.after.label} (${Math.round(plan.harmony.after.score * 100)} %)` : ''}${describeMeter(plan.meter, smart.phraseAlign)}${smart.timeStretch ? ' • Time-Stretch' : ''}${why}${describePhase(overlap)}${describeClash(plan.clash)}${fixes.length ? ` • Vorschlag: ${describeClashFix(fixes[0])}` : ''}${variant}`;
+}
+
+const TEMPO_STRATEGY_LABELS = { matchBtoA: 'B an A', matchAtoB: 'A an B', average: 'Mittelwert' };
+
+/** How the tempi are joined and why */
+function describeStrategy(strategy) {
+  if (!strategy) return '';
+  const limit = strategy.maxTempoChange != null ? ` (max ${strategy.maxTempoChange} %)` : '';
+  if (strategy.fallback) {
+    return ` • Tempi zu weit auseinander: ${strategy.deviation.toFixed(1)} % nötig${limit}, daher ${TRANSITION_STYLES[strategy.fallback]?.label ?? strategy.fallback} ohne Tempoangleich`;
+  }
+  const counted = strategy.multiple === 2 ? ', B in halbem Tempo gezählt' : strategy.multiple === 0.5 ? ', B in doppeltem Tempo gezählt' : '';
+  return ` • Tempo: ${TEMPO_STRATEGY_LABELS[strategy.tempo] ?? strategy.tempo}${counted}, ${strategy.deviation.toFixed(1)} % Änderung${limit}`;
+}
+
+function describeMeter(meter, phraseAlign) {
+  if (!meter) return phraseAlign ? ' • Phrase' : '';
+  const phrase = phraseAlign
+    ? ` • Phrase ${meter.phraseBarsA === meter.phraseBarsB ? meter.phraseBarsA : `${meter.phraseBarsA}/${meter.phraseBarsB}`} Takte`
+    : '';
+  const mismatch = meter.mismatch ? ` • Takt ${meter.a} → ${meter.b}, gezählt in ${meter.barBeats} Beats` : '';
+  return `${phrase}${mismatch}`;
+}
+
+function describePhase(overlap) {
+  if (!overlap?.phase) return '';
+  const { maxOffsetMs, meanOffsetMs } = overlap.phase;
+  const swap = overlap.bassSwap
+    ? ` • Bass-Swap ${overlap.bassSwap.bar ? `auf Takt ${overlap.bassSwap.bar}/${overlap.bassSwap.bars}` : 'in der Mitte (kein Downbeat im Übergang)'}`
+    : '';
+  return ` • Beat-Versatz max ${maxOffsetMs.toFixed(1)} ms (Ø ${meanOffsetMs.toFixed(1)} ms${overlap.locked ? ', gelockt' : ''})${overlap.detuneDropped ? ' • Detune braucht Time-Stretch' : ''}${swap}`;
+}
+
+function deckBuffers() {
+  return {
+    bufferA: state.bufferA,
+    bufferB: state.bufferB,
+    metaA: trackInput(state.trackA),
+    metaB: trackInput(state.trackB),
+  };
+}
+
+/** Transition i laid out on its own, the way the preview plays it */
+function layoutTransitionAt(index) {
+  const transition = state.transitions[index];
+  const analysisA = state.tracks[index]?.analysis;
+  const analysisB = state.tracks[index + 1]?.analysis;
+  if (!transition?.plan || !analysisA || !analysisB) return null;
+  return layoutChain(
+    [{ buffer: null, ...trackMeta(analysisA) }, { buffer: null, ...trackMeta(analysisB) }],
+    [{ plan: transition.plan, options: toMixOptions(transition.options, transition.plan) }],
+    { from: transition.plan.startA }
+  );
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
 els.audioA.addEventListener('change', e => handleAudio('A', e.target.files?.[0] || null));
 els.audioB.addEventListener('change', e => handleAudio('B', e.target.files?.[0] || null));
 els.jsonA.addEventListener('change', e => handleJSON('A', e.target.files?.[0] || null));
 els.jsonB.addEventListener('change', e => handleJSON('B', e.target.files?.[0] || null));
+els.syncOffsetA.addEventListener('change', () => handleSyncNudge('A'));
+els.syncOffsetB.addEventListener('change', () => handleSyncNudge('B'));
+els.analyzeA.addEventListener('click', () => handleAnalyze('A'));
+els.analyzeB.addEventListener('click', () => handleAnalyze('B'));
+els.downloadJsonA.addEventListener('click', () => handleDownloadAnalysis('A'));
+els.downloadJsonB.addEventListener('click', () => handleDownloadAnalysis('B'));
+els.chainFiles.addEventListener('change', e => {
+  addTracksFromFiles([...(e.target.files || [])]);
+  e.target.value = '';
+});
+
+els.saveProject.addEventListener('click', saveProject);
+els.openProject.addEventListener('change', e => {
+  const file = e.target.files?.[0];
+  e.target.value = '';
+  if (file) openProject(file);
+});
+els.relinkFiles.addEventListener('change', e => {
+  const files = [...(e.target.files || [])];
+  e.target.value = '';
+  if (files.length) relinkAudio(files);
+});
+
+els.orderTracks.addEventListener('click', handleOrderTracks);
+els.chainList.addEventListener('click', e => {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const index = Number(btn.dataset.index);
+  switch (btn.dataset.action) {
+    case 'up': moveTrack(index, -1); break;
+    case 'down': moveTrack(index, 1); break;
+    case 'remove': removeTrack(index); break;
+    case 'select': selectTransition(index); break;
+  }
+});
+
+els.librarySearch.addEventListener('input', () => renderLibrary());
+els.libraryList.addEventListener('click', async e => {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const { action, key } = btn.dataset;
+  if (action === 'delete') {
+    try {
+      await library.delete(key);
+    } catch (err) {
+      setStatus(`Löschen fehlgeschlagen: ${err.message}`);
+      return;
+    }
+    for (const track of state.tracks) if (track.libraryKey === key) track.libraryKey = null;
+    renderLibrary();
+  } else if (action === 'queue') {
+    queueFromLibrary(key);
+  } else {
+    loadFromLibrary(action, key);
+  }
+});
+
+// Control edits belong to the transition that is currently on the decks
+document.querySelector('.planner').addEventListener('change', () => {
+  if (!state.currentTransition) return;
+  state.currentTransition.options = readOptionsFromControls();
+  renderDecks();
+});
 
 els.autoPlan.addEventListener('click', () => {
   if (!state.analysisA || !state.analysisB) return;
-  const beats = getBeatsLength();
-  const smart = getSmartOptions();
-  const plan = planTransition(state.analysisA, state.analysisB, beats, getTempoStrategy(), smart);
-  state.currentPlan = { ...plan, smart };
-  const text = `Start A: ${plan.startA.toFixed(2)}s • Start B: ${plan.startB.toFixed(2)}s • Dauer: ${plan.xfadeDuration.toFixed(2)}s • Beats: ${plan.chosenBeats} • Zieltempi: A ${plan.targetTempoA.toFixed(1)}, B ${plan.targetTempoB.toFixed(1)}${smart.harmonicMatch ? ` • Detune B: ${plan.pitchSemisB}st` : ''}${smart.phraseAlign ? ' • Phrase' : ''}`;
-  els.planInfo.textContent = text;
+  state.currentTransition.options = readOptionsFromControls();
+  planTransitionAt(state.selected);
+  renderDecks();
+  renderChainList();
 });
 
-els.previewPlay.addEventListener('click', async () => {
-  if (!state.currentPlan || !state.bufferA || !state.bufferB) return;
-  if (!state.engine.context) await state.engine.createContext({ sampleRate: 44100 });
-  const nodes = state.engine.schedulePreview(
-    state.currentPlan,
-    {
-      bufferA: state.bufferA,
-      bufferB: state.bufferB,
-      metaA: { tempo: state.analysisA.tempo || 120 },
-      metaB: { tempo: state.analysisB.tempo || 120 },
-    },
-    {
-      curve: getCurveFn(),
-      eqEnable: els.eqEnable.checked,
-      eqLowDuckDb: Number(els.eqLowDuckDb.value) || 0,
-      eqHighBoostDb: Number(els.eqHighBoostDb.value) || 0,
-      tempoRamp: !!state.currentPlan.smart?.tempoRamp,
-      filterSwap: !!state.currentPlan.smart?.filterSwap,
-    }
-  );
-  state.previewNodes = nodes;
-  state.playing = true;
-  setStatus('Spiele Vorschau …');
-  setTimeout(() => setStatus(''), (state.currentPlan.xfadeDuration + 1) * 1000);
+function fixClash() {
+  const [fix] = currentClashFixes();
+  if (!fix) return;
+  applyClashSuggestion(state.currentPlan, fix);
+  renderDecks();
+  renderChainList();
+}
+
+function cycleAlternative(delta) {
+  const plan = state.currentPlan;
+  if (!plan) return;
+  applyAlternative(plan, plan.alternativeIndex + delta);
+  renderDecks();
+  renderChainList();
+}
+
+els.snapMode.addEventListener('change', () => {
+  waveViews.A.snap = waveViews.B.snap = els.snapMode.value;
+});
+els.automationLane.addEventListener('change', renderAutomation);
+els.automationPreset.addEventListener('change', () => {
+  const name = els.automationPreset.value;
+  const preset = loadAutomationPresets()[name];
+  els.automationPresetName.value = name;
+  els.automationDelete.disabled = !name;
+  setCustomAutomation(preset ? structuredClone(preset) : null);
+});
+els.automationSave.addEventListener('click', () => {
+  const name = els.automationPresetName.value.trim();
+  if (!name) {
+    setStatus('Bitte einen Namen für das Automations-Preset eingeben.');
+    return;
+  }
+  const presets = loadAutomationPresets();
+  presets[name] = automationEditor.automation;
+  localStorage.setItem(AUTOMATION_PRESETS_KEY, JSON.stringify(presets));
+  renderAutomationPresets(name);
+  setStatus(`Automations-Preset „${name}“ gespeichert.`);
+});
+els.automationDelete.addEventListener('click', () => {
+  const presets = loadAutomationPresets();
+  delete presets[els.automationPreset.value];
+  localStorage.setItem(AUTOMATION_PRESETS_KEY, JSON.stringify(presets));
+  renderAutomationPresets();
+});
+for (const [input, name] of [[els.crossoverLow, 'low'], [els.crossoverHigh, 'high']]) {
+  input.addEventListener('change', () => {
+    const automation = structuredClone(automationEditor.automation);
+    automation.crossovers = { ...DEFAULT_CROSSOVERS, ...automation.crossovers, [name]: clamp(Number(input.value) || DEFAULT_CROSSOVERS[name], 20, 20000) };
+    setCustomAutomation(automation);
+  });
+}
+els.altPrev.addEventListener('click', () => cycleAlternative(-1));
+els.altNext.addEventListener('click', () => cycleAlternative(1));
+els.clashFix.addEventListener('click', fixClash);
+
+els.planAll.addEventListener('click', () => {
+  if (state.currentTransition) state.currentTransition.options = readOptionsFromControls();
+  state.transitions.forEach((_, i) => planTransitionAt(i));
+  renderDecks();
+  renderChainList();
 });
 
+/** What the preview plays: the transition on the decks, from the chosen lead-in on */
+function previewSource() {
+  const lead = { amount: Number(els.preRoll.value) || 0, unit: els.preRollUnit.value };
+  return {
+    plan: state.currentPlan,
+    buffers: deckBuffers(),
+    options: toMixOptions(state.currentTransition.options, state.currentPlan),
+    master: readMasterFromControls(),
+    from: leadInStart(state.currentPlan, state.analysisA.getDownbeats(), lead),
+  };
+}
+
+/** Hand changed settings to a loaded preview; while playing it carries on from where it is */
+function syncPreview() {
+  if (!transport.source) return;
+  if (!state.currentPlan || !state.bufferA || !state.bufferB) {
+    stopPreview();
+    return;
+  }
+  transport.load(previewSource());
+  showPlayhead(transport.currentPosition());
+}
+
+function stopPreview() {
+  transport.unload();
+  showPlayhead(null);
+  updatePreviewButtons();
+}
+
+const formatPosition = seconds => `${seconds < 0 ? '−' : ''}${Math.floor(Math.abs(seconds) / 60)}:${(Math.abs(seconds) % 60).toFixed(1).padStart(4, '0')}`;
+
+/** Seek bar, time readout and the playheads on both waveforms; position null clears them */
+function showPlayhead(position) {
+  const loaded = position != null && transport.loaded;
+  const [posA, posB] = loaded ? transport.bufferPositions(position) : [null, null];
+  waveViews.A.setPlayhead(posA);
+  waveViews.B.setPlayhead(posB);
+  waveViews.A.draw();
+  waveViews.B.draw();
+  if (liveTake) showPerformanceControls(loaded ? position : 0);
+  if (!loaded) {
+    els.previewTime.textContent = '';
+    return;
+  }
+  const { start, end } = transport.range;
+  els.previewSeek.min = start;
+  els.previewSeek.max = end;
+  if (!seekDragging) els.previewSeek.value = position;
+  els.previewTime.textContent = `${formatPosition(position)} (Übergang ${formatPosition(0)}–${formatPosition(state.currentPlan?.xfadeDuration ?? 0)})`;
+}
+
+/** Status text for worklets that did not load where they were wanted, naming what stands in for them */
+function workletFallbacks({ stretchReady, limiterReady }, { timeStretch, limiter }) {
+  return [
+    timeStretch && !stretchReady && 'Time-Stretch nicht verfügbar, Tempo wird per Resampling angepasst',
+    limiter && !limiterReady && 'True-Peak-Limiter nicht verfügbar, es wird ein Kompressor verwendet',
+  ].filter(Boolean).join(' • ');
+}
+
+function updatePreviewButtons() {
+  els.previewPlay.textContent = transport.playing ? 'Pause' : 'Vorschau abspielen';
+}
+
+let seekDragging = false;
+
+els.previewPlay.addEventListener('click', async () => {
+  if (transport.playing) {
+    transport.pause();
+  } else {
+    if (!state.currentPlan || !state.bufferA || !state.bufferB) return;
+    player.pause();
+    const source = previewSource();
+    transport.load(source);
+    await transport.play();
+    const fallbacks = workletFallbacks(state.engine, { timeStretch: source.options.timeStretch, limiter: source.master.limiter });
+    if (fallbacks) setStatus(fallbacks);
+  }
+  updatePreviewButtons();
+});
 els.previewStop.addEventListener('click', () => {
-  try { state.engine?.context?.close(); } catch {}
-  state.engine.context = null;
-  state.playing = false;
+  transport.stop();
+  updatePreviewButtons();
+});
+els.previewLoop.addEventListener('change', () => transport.setLoop(els.previewLoop.checked));
+els.previewSeek.addEventListener('pointerdown', () => { seekDragging = true; });
+els.previewSeek.addEventListener('pointerup', () => { seekDragging = false; });
+els.previewSeek.addEventListener('change', () => { seekDragging = false; });
+els.previewSeek.addEventListener('input', () => {
+  if (!transport.source) {
+    if (!state.currentPlan || !state.bufferA || !state.bufferB) return;
+    transport.load(previewSource());
+  }
+  transport.seek(Number(els.previewSeek.value));
+});
+for (const input of [els.preRoll, els.preRollUnit, els.loudnessMatch, els.targetLufs, els.limiterEnable, els.limiterCeiling]) {
+  input.addEventListener('change', syncPreview);
+}
+
+/**
+ * Transition the mix player uses from A into B: the chain's own when the two follow each other in
+ * the chain, otherwise planned with the current control settings
+ */
+function queuePlan(trackA, trackB) {
+  const index = state.tracks.findIndex((t, i) => t === trackA && state.tracks[i + 1] === trackB);
+  const transition = state.transitions[index];
+  if (transition?.plan) return { plan: transition.plan, options: toMixOptions(transition.options, transition.plan) };
+  const options = readOptionsFromControls();
+  const plan = planWithOptions(trackA.analysis, trackB.analysis, options);
+  return { plan, options: toMixOptions(options, plan) };
+}
+
+/** The player needs decoded audio and an analysis for every track */
+const playable = track => !!(track?.buffer && track.analysis);
+
+function queueChain() {
+  const tracks = state.tracks.filter(playable);
+  const skipped = state.tracks.filter(t => (t.buffer || t.analysis) && !playable(t)).length;
+  player.enqueue(...tracks);
+  setStatus(skipped ? `${skipped} Track(s) ohne Audio oder Analyse nicht angehängt` : '');
+}
+
+/** Append a library entry to the queue as a track of its own, outside the chain */
+async function queueFromLibrary(key) {
+  let entry;
+  try {
+    entry = await library.get(key);
+  } catch (err) {
+    setStatus(`Bibliothek nicht verfügbar: ${err.message}`);
+    return;
+  }
+  if (!entry?.audio || !entry.analysis) {
+    setStatus('Für die Warteschlange braucht der Eintrag Audio und Analyse');
+    return;
+  }
+  const track = Object.assign(createTrack(entry.name), { trackId: entry.trackId ?? null, libraryKey: entry.key });
+  restoreAnalysis(track, entry.analysis, entry.analysisOffset);
+  setStatus('Dekodiere Audio …');
+  try {
+    await loadTrackAudio(track, entry.audio);
+  } catch (err) {
+    setStatus(`Audio von ${entry.name} nicht lesbar: ${err.message}`);
+    return;
+  }
+  track.name = entry.name || track.name;
+  verifySync(track);
   setStatus('');
+  player.enqueue(track);
+}
+
+const queueLabel = track => [
+  track.name || 'ohne Namen',
+  track.analysis.tempo ? `${track.analysis.tempo.toFixed(1)} BPM` : null,
+  formatKey(track.analysis.key, track.analysis.mode),
+].filter(Boolean).join(' • ');
+
+function renderPlayer() {
+  els.playerPlay.textContent = player.playing ? 'Pause' : player.session ? 'Weiter abspielen' : 'Mix abspielen';
+  els.playerPlay.disabled = !player.session && !player.queue.length;
+  els.playerSkip.disabled = !player.playing;
+  els.playerStop.disabled = !player.session;
+  els.queueClear.disabled = !player.queue.length;
+  els.queueList.innerHTML = '';
+  const entries = [...(player.next ? [player.next] : []), ...player.queue];
+  entries.forEach((track, i) => {
+    const fixed = !!player.next && i === 0;
+    const index = i - (player.next ? 1 : 0);
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = `${queueLabel(track)}${fixed ? ' • Übergang steht fest' : ''}`;
+    if (fixed) label.className = 'queue-fixed';
+    li.append(label);
+    if (!fixed) {
+      for (const [action, text, title] of [['up', '▲', 'Früher spielen'], ['down', '▼', 'Später spielen'], ['remove', '✕', 'Aus der Warteschlange entfernen']]) {
+        const btn = document.createElement('button');
+        btn.dataset.action = action;
+        btn.dataset.index = index;
+        btn.textContent = text;
+        btn.title = title;
+        li.append(btn);
+      }
+    }
+    els.queueList.append(li);
+  });
+  showPlayerStatus(player.status());
+}
+
+function showPlayerStatus(status) {
+  if (!status) {
+    els.playerNow.textContent = player.queue.length ? '' : 'Warteschlange leer';
+    return;
+  }
+  const { track, position, duration, next } = status;
+  els.playerNow.textContent = `Läuft: ${track.name || 'ohne Namen'} ${formatDuration(Math.max(0, position))} / ${formatDuration(duration)}${next ? ` • Als Nächstes: ${next.name || 'ohne Namen'}` : ' • letzter Track'}`;
+}
+
+els.playerPlay.addEventListener('click', async () => {
+  if (player.playing) {
+    player.pause();
+    return;
+  }
+  transport.pause();
+  updatePreviewButtons();
+  await player.play(readMasterFromControls());
+});
+els.playerSkip.addEventListener('click', () => player.skip());
+els.playerStop.addEventListener('click', () => player.stop());
+els.playerMixing.addEventListener('change', () => player.setMixing(els.playerMixing.checked));
+els.queueChain.addEventListener('click', queueChain);
+els.queueClear.addEventListener('click', () => player.clearQueue());
+els.queueList.addEventListener('click', e => {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const index = Number(btn.dataset.index);
+  switch (btn.dataset.action) {
+    case 'up': player.moveInQueue(index, -1); break;
+    case 'down': player.moveInQueue(index, 1); break;
+    case 'remove': player.removeFromQueue(index); break;
+  }
+});
+
+/** Start recording the transition on the decks: its automation becomes a take the desk writes into */
+function startPerformance() {
+  const transition = state.currentTransition;
+  if (!transition?.plan) {
+    els.performMode.checked = false;
+    setStatus('Erst einen Übergang planen.');
+    return;
+  }
+  const take = new PerformanceTake(toMixOptions(transition.options, transition.plan).automation, {
+    duration: transition.plan.xfadeDuration,
+    curvePreset: transition.options.curvePreset,
+  });
+  liveTake = { take, transition, before: transition.options.automation };
+  setCustomAutomation(take.automation);
+  showPerformance();
+}
+
+/** Leave the performance mode; the take stays the transition's automation unless it is discarded */
+function endPerformance({ discard = false } = {}) {
+  if (!liveTake) return;
+  const { before } = liveTake;
+  liveTake = null;
+  els.performMode.checked = false;
+  if (discard) setCustomAutomation(before);
+  else renderAutomation();
+  showPerformance();
+}
+
+function showPerformance() {
+  els.performDesk.hidden = els.performHint.hidden = !liveTake;
+  els.performDiscard.disabled = !liveTake;
+  if (liveTake) showPerformanceControls(transport.currentPosition());
+}
+
+/** The desk shows the take at a preview position, except for the controls being dragged */
+function showPerformanceControls(position) {
+  const values = liveTake.take.controlValues(position);
+  for (const input of performInputs) {
+    if (!heldControls.has(input.dataset.control)) input.value = values[input.dataset.control];
+  }
+  for (const btn of nudgeButtons) btn.classList.toggle('active', values[btn.dataset.nudge] === Number(btn.dataset.direction));
+}
+
+/** A desk move: written into the take at the preview position and applied to what is playing */
+function performControl(control, value) {
+  if (!liveTake) return;
+  if (!transport.playing) {
+    setStatus('Aufgenommen wird nur, während die Vorschau läuft.');
+    showPerformanceControls(transport.currentPosition());
+    return;
+  }
+  const { take } = liveTake;
+  take.duration = state.currentPlan.xfadeDuration;
+  const values = take.record(control, value, transport.currentPosition());
+  if (!values) return;
+  // A nudge moves where the decks are in their buffers, which only a new layout can follow
+  if (isNudge(control)) syncPreview();
+  else transport.setLaneValues(values);
+}
+
+/** Desk keys: [control, direction]. Nudges act while the key is held, the other controls step per press */
+const PERFORMANCE_KEYS = {
+  q: ['highA', 1], a: ['highA', -1], w: ['midA', 1], s: ['midA', -1], e: ['lowA', 1], d: ['lowA', -1], r: ['filterA', 1], f: ['filterA', -1],
+  u: ['highB', 1], j: ['highB', -1], i: ['midB', 1], k: ['midB', -1], o: ['lowB', 1], l: ['lowB', -1], p: ['filterB', 1], ö: ['filterB', -1], ';': ['filterB', -1],
+  1: ['nudgeA', -1], 2: ['nudgeA', 1], 9: ['nudgeB', -1], 0: ['nudgeB', 1],
+  ArrowLeft: ['crossfader', -1], ArrowRight: ['crossfader', 1],
+};
+
+/** Binding of a key event, or null outside the performance mode, with modifiers or while typing */
+function performanceKey(e) {
+  if (!liveTake || e.ctrlKey || e.metaKey || e.altKey) return null;
+  if (e.target.matches?.('input:not([type=range]):not([type=checkbox]), select, textarea')) return null;
+  return PERFORMANCE_KEYS[e.key.length === 1 ? e.key.toLowerCase() : e.key] ?? null;
+}
+
+els.performMode.addEventListener('change', () => {
+  if (els.performMode.checked) startPerformance();
+  else endPerformance();
+});
+els.performDiscard.addEventListener('click', () => endPerformance({ discard: true }));
+els.performDesk.addEventListener('pointerdown', e => {
+  const { control, nudge, direction } = e.target.dataset;
+  if (control) heldControls.add(control);
+  if (nudge) {
+    heldNudge = nudge;
+    performControl(nudge, Number(direction));
+  }
+});
+document.addEventListener('pointerup', () => {
+  heldControls.clear();
+  if (!heldNudge) return;
+  performControl(heldNudge, 0);
+  heldNudge = null;
+  renderAutomation();
+});
+els.performDesk.addEventListener('input', e => {
+  const { control } = e.target.dataset;
+  if (control) performControl(control, Number(e.target.value));
+});
+els.performDesk.addEventListener('change', e => {
+  if (e.target.dataset.control) renderAutomation();
+});
+document.addEventListener('keydown', e => {
+  const binding = performanceKey(e);
+  if (!binding) return;
+  e.preventDefault();
+  const [control, direction] = binding;
+  if (isNudge(control)) {
+    if (!e.repeat) performControl(control, direction);
+    return;
+  }
+  const input = performInputs.find(i => i.dataset.control === control);
+  performControl(control, Number(input.value) + direction * PERFORMANCE_CONTROLS[control].step);
+  showPerformanceControls(transport.currentPosition());
+});
+document.addEventListener('keyup', e => {
+  const binding = performanceKey(e);
+  if (!binding) return;
+  if (isNudge(binding[0])) performControl(binding[0], 0);
+  renderAutomation();
 });
 
+/** Loudness and peaks of a rendered result */
+function showLoudness(buffer) {
+  const { integrated, truePeakDb, samplePeakDb, clipped } = measureLoudness(buffer);
+  const clipNote = clipped && !els.exportFormat.value.endsWith('f')
+    ? ` • ${clipped} Samples über 0 dBFS werden beim Export abgeschnitten`
+    : '';
+  els.loudnessInfo.textContent = `Ergebnis: ${integrated.toFixed(1)} LUFS integriert • True Peak ${truePeakDb.toFixed(1)} dBTP • Sample-Peak ${samplePeakDb.toFixed(1)} dBFS${clipNote}`;
+}
+
+/** Encode a render with the chosen export format and download it, plus the cue sheet if wanted */
+function downloadRender({ buffer, layout, t0 }, names, suffix) {
+  showLoudness(buffer);
+  const format = EXPORT_FORMATS[els.exportFormat.value];
+  const markers = mixMarkers(layout, names, { t0, duration: buffer.duration });
+  const fileName = exportFileName(names, suffix, format.extension);
+  const encoded = format.encode(buffer, { dither: els.exportDither.checked, markers });
+  downloadBlob(new Blob([encoded], { type: format.mime }), fileName);
+  if (els.exportCue.checked) {
+    const cue = cueSheet(markers, { fileName, title: names.join(' - ') });
+    downloadBlob(new Blob([cue], { type: 'application/x-cue' }), fileName.replace(/\.[^.]+$/, '.cue'));
+  }
+}
+
 els.renderExport.addEventListener('click', async () => {
   if (!state.currentPlan || !state.bufferA || !state.bufferB) return;
   setStatus('Rendern …');
-  const rendered = await state.engine.renderOffline(
-    state.currentPlan,
-    {
-      bufferA: state.bufferA,
-      bufferB: state.bufferB,
-      metaA: { tempo: state.analysisA.tempo || 120 },
-      metaB: { tempo: state.analysisB.tempo || 120 },
-    },
-    {
-      curve: getCurveFn(),
-      eqEnable: els.eqEnable.checked,
-      eqLowDuckDb: Number(els.eqLowDuckDb.value) || 0,
-      eqHighBoostDb: Number(els.eqHighBoostDb.value) || 0,
-      tempoRamp: !!state.currentPlan.smart?.tempoRamp,
-      filterSwap: !!state.currentPlan.smart?.filterSwap,
-    }
-  );
-  // Export WAV
-  const wav = audioBufferToWav(rendered);
-  const blob = new Blob([wav], { type: 'audio/wav' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'mix-transition.wav';
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
-  setStatus('');
+  const mode = els.exportMode.value;
+  const options = toMixOptions(state.currentTransition.options, state.currentPlan);
+  const master = readMasterFromControls();
+  try {
+    const rendered = await state.engine.renderOffline(state.currentPlan, deckBuffers(), options, {
+      mode,
+      sampleRate: Number(els.exportSampleRate.value),
+      master,
+    });
+    downloadRender(rendered, [state.trackA.name || 'A', state.trackB.name || 'B'], mode === 'transition' ? 'Übergang' : '');
+    setStatus(workletFallbacks(rendered, { timeStretch: options.timeStretch, limiter: master.limiter }));
+  } catch (err) {
+    setStatus(`Export fehlgeschlagen: ${err.message}`);
+  }
 });
 
-// WAV encoding (stereo, 16-bit PCM)
-function audioBufferToWav(buffer) {
-  const numOfChannels = buffer.numberOfChannels;
-  const sampleRate = buffer.sampleRate;
-  const format = 1; // PCM
-  const bitDepth = 16;
-  const samples = buffer.length * numOfChannels;
-  const blockAlign = numOfChannels * bitDepth / 8;
-  const byteRate = sampleRate * blockAlign;
-  const dataSize = buffer.length * blockAlign;
-  const bufferSize = 44 + dataSize;
-  const ab = new ArrayBuffer(bufferSize);
-  const dv = new DataView(ab);
-  let offset = 0;
-
-  function writeString(s) {
-    for (let i = 0; i < s.length; i++) dv.setUint8(offset + i, s.charCodeAt(i));
-    offset += s.length;
-  }
-  function writeUint32(v) { dv.setUint32(offset, v, true); offset += 4; }
-  function writeUint16(v) { dv.setUint16(offset, v, true); offset += 2; }
-
-  // RIFF header
-  writeString('RIFF');
-  writeUint32(36 + dataSize);
-  writeString('WAVE');
-
-  // fmt chunk
-  writeString('fmt ');
-  writeUint32(16);
-  writeUint16(format);
-  writeUint16(numOfChannels);
-  writeUint32(sampleRate);
-  writeUint32(byteRate);
-  writeUint16(blockAlign);
-  writeUint16(bitDepth);
-
-  // data chunk
-  writeString('data');
-  writeUint32(dataSize);
-
-  // interleave channels
-  const channels = [];
-  for (let i = 0; i < numOfChannels; i++) channels.push(buffer.getChannelData(i));
-  let sampleIndex = 0;
-  for (let i = 0; i < buffer.length; i++) {
-    for (let ch = 0; ch < numOfChannels; ch++) {
-      const v = clamp(channels[ch][i], -1, 1);
-      dv.setInt16(44 + sampleIndex * 2, v < 0 ? v * 0x8000 : v * 0x7FFF, true);
-      sampleIndex++;
-    }
+els.renderChain.addEventListener('click', async () => {
+  if (state.tracks.length < 2 || !state.tracks.every(t => t.buffer && t.analysis)) return;
+  // Unplanned transitions get planned with their own options, planned ones are left untouched
+  state.transitions.forEach((t, i) => { if (!t.plan) planTransitionAt(i); });
+  renderChainList();
+  const tracks = state.tracks.map(trackInput);
+  const transitions = state.transitions.map(t => ({ plan: t.plan, options: toMixOptions(t.options, t.plan) }));
+  const { warnings } = layoutChain(tracks, transitions);
+  if (warnings.length) {
+    setStatus(warnings.map(w => `Übergang ${w.transition + 1}: Ausstiegspunkt liegt vor dem Ende des vorherigen Übergangs`).join(' • '));
+    return;
   }
-  return ab;
-}
+  setStatus('Rendere ganzen Mix …');
+  const master = readMasterFromControls();
+  try {
+    const rendered = await state.engine.renderChain(tracks, transitions, {
+      sampleRate: Number(els.exportSampleRate.value),
+      master,
+    });
+    downloadRender(rendered, state.tracks.map((t, i) => t.name || `Track ${i + 1}`), 'Mix');
+    setStatus(workletFallbacks(rendered, { timeStretch: transitions.some(t => t.options.timeStretch), limiter: master.limiter }));
+  } catch (err) {
+    setStatus(`Export fehlgeschlagen: ${err.message}`);
+  }
+});
 
 // Enable export when files ready
 const observer = new MutationObserver(() => {
@@ -764,4 +1643,9 @@ const observer = new MutationObserver(() => {
 });
 observer.observe(els.planInfo, { childList: true });
 
-
+syncTransitions();
+renderChainList();
+renderLibrary();
+renderPlayer();
+renderAutomationPresets();
+renderAutomation();
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// Regression check of the planner on the sample analyses: plans mockingbird → dynamite with a few
+// option sets and compares the fields a planner change is most likely to move by accident.
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { AnalysisData } from '../src/analysis.js';
+import { importAnalysis } from '../src/importers.js';
+import { DEFAULT_OPTIONS, planWithOptions } from '../src/planner.js';
+
+const SAMPLES = { mockingbird: 'mockingbird.json', dynamite: 'dynamite (2).json' };
+const XFADE_TOLERANCE = 0.01; // seconds
+
+/** Option sets on top of DEFAULT_OPTIONS and the plan fields they must produce */
+const CASES = [
+  {
+    name: 'defaults: tempi too far apart, echo without beat-matching',
+    from: 'mockingbird', to: 'dynamite',
+    smart: {},
+    expect: { chosenBeats: 8, fallback: 'echo', xfadeDuration: 5.712, pitchSemisB: 0 },
+  },
+  {
+    name: 'no tempo limit: B matched to A, smart phrase-aligned length',
+    from: 'mockingbird', to: 'dynamite',
+    smart: { maxTempoChange: 0 },
+    expect: { chosenBeats: 24, fallback: null, xfadeDuration: 17.135 },
+  },
+  {
+    name: 'no tempo limit, fixed 32 beats',
+    from: 'mockingbird', to: 'dynamite',
+    smart: { maxTempoChange: 0, smartLength: false },
+    beatsLength: 32,
+    expect: { chosenBeats: 32, fallback: null, xfadeDuration: 22.847 },
+  },
+];
+
+async function loadSample(name) {
+  const file = SAMPLES[name];
+  const text = await readFile(fileURLToPath(new URL(`../${file}`, import.meta.url)), 'utf8');
+  return new AnalysisData(importAnalysis(text, file, { trackName: name }));
+}
+
+/** Differences between a plan and what a case expects, as readable lines */
+function compare(plan, expect) {
+  const actual = {
+    chosenBeats: plan.chosenBeats,
+    fallback: plan.strategy.fallback,
+    xfadeDuration: plan.xfadeDuration,
+    pitchSemisB: plan.pitchSemisB,
+  };
+  return Object.entries(expect)
+    .filter(([key, value]) => (key === 'xfadeDuration' ? Math.abs(actual[key] - value) > XFADE_TOLERANCE : actual[key] !== value))
+    .map(([key, value]) => `${key}: expected ${value}, got ${actual[key]}`);
+}
+
+async function main() {
+  const analyses = Object.fromEntries(await Promise.all(Object.keys(SAMPLES).map(async name => [name, await loadSample(name)])));
+  let failed = 0;
+  for (const { name, from, to, smart, beatsLength, expect } of CASES) {
+    const options = { ...DEFAULT_OPTIONS, beatsLength: beatsLength ?? DEFAULT_OPTIONS.beatsLength, smart: { ...DEFAULT_OPTIONS.smart, ...smart } };
+    const problems = compare(planWithOptions(analyses[from], analyses[to], options), expect);
+    if (problems.length) failed++;
+    console.log(`${problems.length ? 'FAIL' : 'ok  '} ${from} → ${to}, ${name}`);
+    for (const problem of problems) console.log(`       ${problem}`);
+  }
+  return failed ? 1 : 0;
+}
+
+main().then(
+  code => { process.exitCode = code; },
+  err => {
+    console.error(`check-plans: ${err.message}`);
+    process.exitCode = 1;
+  }
+);
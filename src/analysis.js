@@ -0,0 +1,193 @@
+// Analysis JSON model (Spotify audio-analysis shape) and its schema check
+
+import { PHRASE_LENGTHS, detectPhrase, meterOf, phraseStarts } from './meter.js';
+
+const MAX_PROBLEMS = 8;
+
+/** Field checks; each returns an error text or null */
+const number = ({ min = -Infinity, max = Infinity, integer = false } = {}) => value => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return `Zahl erwartet, gefunden ${describeValue(value)}`;
+  if (integer && !Number.isInteger(value)) return `ganze Zahl erwartet, gefunden ${value}`;
+  if (value < min || value > max) return `${value} liegt nicht zwischen ${min} und ${max}`;
+  return null;
+};
+const oneOf = (...allowed) => value => (allowed.includes(value) ? null : `${allowed.join(' oder ')} erwartet, gefunden ${describeValue(value)}`);
+const numbers = length => value => (Array.isArray(value) && value.length === length && value.every(Number.isFinite)
+  ? null : `Liste von ${length} Zahlen erwartet`);
+
+function describeValue(value) {
+  if (value === undefined) return 'nichts';
+  if (Array.isArray(value)) return 'eine Liste';
+  return typeof value === 'string' ? `"${value.slice(0, 20)}"` : String(value);
+}
+
+const TRACK_SCHEMA = {
+  duration: { check: number({ min: 1 }), required: true },
+  tempo: { check: number({ min: 20, max: 400 }), required: true },
+  time_signature: { check: number({ min: 1, max: 16, integer: true }) },
+  time_signature_confidence: { check: number({ min: 0, max: 1 }) },
+  key: { check: number({ min: -1, max: 11, integer: true }) },
+  mode: { check: oneOf(-1, 0, 1) },
+  key_confidence: { check: number({ min: 0, max: 1 }) },
+  mode_confidence: { check: number({ min: 0, max: 1 }) },
+  loudness: { check: number({ max: 10 }) },
+  end_of_fade_in: { check: number({ min: 0 }) },
+  start_of_fade_out: { check: number({ min: 0 }) },
+};
+
+const INTERVAL_SCHEMA = {
+  start: { check: number({ min: 0 }), required: true },
+  duration: { check: number({ min: 0 }), required: true },
+  confidence: { check: number({ min: -1, max: 1 }) },
+};
+
+const LIST_SCHEMAS = {
+  beats: { fields: INTERVAL_SCHEMA, required: true },
+  bars: { fields: INTERVAL_SCHEMA },
+  tatums: { fields: INTERVAL_SCHEMA },
+  sections: {
+    fields: { ...INTERVAL_SCHEMA, loudness: { check: number({ max: 10 }) }, tempo: { check: number({ min: 0 }) } },
+  },
+  segments: {
+    fields: {
+      ...INTERVAL_SCHEMA,
+      loudness_max: { check: number({ max: 10 }) },
+      pitches: { check: numbers(12) },
+      timbre: { check: numbers(12) },
+    },
+  },
+};
+
+function checkFields(object, schema, path, problems) {
+  for (const [name, { check, required }] of Object.entries(schema)) {
+    const value = object[name];
+    if (value == null) {
+      if (required) problems.push(`${path}${name} fehlt`);
+      continue;
+    }
+    const problem = check(value);
+    if (problem) problems.push(`${path}${name}: ${problem}`);
+  }
+}
+
+/**
+ * Problems that keep a parsed file from being used as a Spotify audio analysis, one readable text
+ * per field (e.g. "beats[3].start: Zahl erwartet, gefunden nichts"); empty if the file is fine.
+ * Only the first few problems of long lists are reported.
+ */
+export function validateAnalysis(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) return ['Kein JSON-Objekt'];
+  const problems = [];
+  if (!json.track || typeof json.track !== 'object') problems.push('track fehlt');
+  else checkFields(json.track, TRACK_SCHEMA, 'track.', problems);
+
+  for (const [name, { fields, required }] of Object.entries(LIST_SCHEMAS)) {
+    const list = json[name];
+    if (list == null) {
+      if (required) problems.push(`${name} fehlt`);
+      continue;
+    }
+    if (!Array.isArray(list)) {
+      problems.push(`${name}: Liste erwartet`);
+      continue;
+    }
+    if (required && list.length === 0) problems.push(`${name} ist leer`);
+    let previous = -Infinity;
+    list.forEach((item, i) => {
+      if (problems.length > MAX_PROBLEMS) return;
+      if (!item || typeof item !== 'object') {
+        problems.push(`${name}[${i}]: Objekt erwartet`);
+        return;
+      }
+      checkFields(item, fields, `${name}[${i}].`, problems);
+      if (item.start < previous) problems.push(`${name}[${i}].start: liegt vor dem vorigen Eintrag`);
+      previous = item.start;
+    });
+  }
+  if (problems.length > MAX_PROBLEMS) problems.splice(MAX_PROBLEMS, Infinity, '…');
+  return problems;
+}
+
+const TIMED_LISTS = ['bars', 'beats', 'tatums', 'sections', 'segments'];
+
+/**
+ * Copy of an analysis JSON with every time moved by `offset` seconds (positive: the audio starts
+ * later than the analysis assumes). Entries that would start before 0 are dropped.
+ */
+export function shiftAnalysis(json, offset) {
+  const shifted = { ...json, track: { ...json.track } };
+  for (const name of TIMED_LISTS) {
+    if (!Array.isArray(json[name])) continue;
+    shifted[name] = json[name].map(item => ({ ...item, start: item.start + offset })).filter(item => item.start >= 0);
+  }
+  for (const field of ['end_of_fade_in', 'start_of_fade_out']) {
+    if (Number.isFinite(json.track?.[field])) shifted.track[field] = Math.max(0, json.track[field] + offset);
+  }
+  return shifted;
+}
+
+/**
+ * Data models extracted from analysis JSON
+ */
+export class AnalysisData {
+  /**
+   * @param {{track: any, beats: Array<{start:number,duration:number,confidence:number}>, bars?: any[], sections?: Array<any>}} json
+   * @param {{offset?: number}} [options] seconds to move all times by (see shiftAnalysis); `raw` holds the moved JSON
+   */
+  constructor(json, { offset = 0 } = {}) {
+    this.source = json;
+    this.offset = offset;
+    if (offset) json = shiftAnalysis(json, offset);
+    this.raw = json;
+    this.tempo = json?.track?.tempo ?? null;
+    this.key = json?.track?.key ?? null;
+    this.mode = json?.track?.mode ?? null;
+    this.keyConfidence = json?.track?.key_confidence ?? 1;
+    this.modeConfidence = json?.track?.mode_confidence ?? 1;
+    this.timeSignature = json?.track?.time_signature ?? 4;
+    this.meter = meterOf(this.timeSignature, json?.track?.time_signature_confidence ?? 1);
+    this.beats = Array.isArray(json?.beats) ? json.beats : [];
+    this.sections = Array.isArray(json?.sections) ? json.sections : [];
+    this.segments = Array.isArray(json?.segments) ? json.segments : [];
+    this.duration = json?.track?.duration || (this.beats.at(-1)?.start || 180);
+    this.loudness = json?.track?.loudness ?? null;
+    this.endOfFadeIn = json?.track?.end_of_fade_in ?? 0;
+    this.startOfFadeOut = json?.track?.start_of_fade_out ?? this.duration;
+    this.phrases = new Map(); // phrase length ('auto' or bars) -> detected grid
+  }
+
+  /** The same analysis moved by `offset` seconds from the original JSON (replaces, does not add up) */
+  withOffset(offset) {
+    return new AnalysisData(this.source, { offset });
+  }
+
+  /** Return best downbeat candidates using bars start times (fallback to strong beats if no bars) */
+  getDownbeats() {
+    if (Array.isArray(this.raw?.bars) && this.raw.bars.length > 0) {
+      return this.raw.bars.map(b => b.start);
+    }
+    // fallback: every timeSignature-th beat
+    if (this.beats.length > 0) {
+      return this.beats.map(b => b.start).filter((_, i) => i % this.timeSignature === 0);
+    }
+    return [0];
+  }
+
+  /**
+   * Phrase grid { bars, offset, confidence } (see detectPhrase): the length detected from the section
+   * boundaries for 'auto', otherwise `bars` (one of PHRASE_LENGTHS) placed on the boundaries
+   */
+  getPhrase(bars = 'auto') {
+    const length = PHRASE_LENGTHS.includes(Number(bars)) ? Number(bars) : 'auto';
+    if (!this.phrases.has(length)) {
+      const barConfidence = i => this.raw?.bars?.[i]?.confidence ?? 1;
+      this.phrases.set(length, detectPhrase(this.getDownbeats(), this.sections, { barConfidence, bars: length === 'auto' ? null : length }));
+    }
+    return this.phrases.get(length);
+  }
+
+  /** Downbeats that start a phrase of the grid from getPhrase */
+  getPhraseStarts(bars = 'auto') {
+    return phraseStarts(this.getDownbeats(), this.getPhrase(bars));
+  }
+}
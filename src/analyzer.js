@@ -0,0 +1,26 @@
+// Local audio analysis in a worker, for tracks without a Spotify analysis JSON
+
+const ANALYSIS_WORKER = new URL('../analysis-worker.js', import.meta.url);
+
+/**
+ * Analyze a decoded buffer in a worker when no Spotify analysis JSON is available.
+ * Resolves with an object in the audio-analysis shape AnalysisData consumes.
+ */
+export function analyzeAudioBuffer(buffer, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(ANALYSIS_WORKER);
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c).slice());
+    worker.onmessage = e => {
+      const { progress, analysis, error } = e.data;
+      if (progress != null) { onProgress(progress); return; }
+      worker.terminate();
+      if (error) reject(new Error(error)); else resolve(analysis);
+    };
+    worker.onerror = e => {
+      worker.terminate();
+      reject(new Error(e.message || 'Analyse-Worker fehlgeschlagen'));
+    };
+    worker.postMessage({ id: 1, channels, sampleRate: buffer.sampleRate }, channels.map(c => c.buffer));
+  });
+}
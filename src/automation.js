@@ -0,0 +1,169 @@
+// Crossfade curves and the automation lanes a transition is mixed with
+
+import { clamp } from './util.js';
+import { EQ_KILL_DB, DEFAULT_CROSSOVERS } from './eq.js';
+
+function createEqualPowerGains(t) {
+  // Equal power crossfade: gA = cos(t * pi/2), gB = sin(t * pi/2)
+  const gA = Math.cos(t * Math.PI * 0.5);
+  const gB = Math.sin(t * Math.PI * 0.5);
+  return { gA, gB };
+}
+
+function createLinearGains(t) {
+  return { gA: 1 - t, gB: t };
+}
+
+function createRiseGains(t) {
+  // Ease-in cubic for B, slightly quicker drop for A
+  const gB = t * t * (3 - 2 * t); // smoothstep
+  const gA = 1 - Math.pow(t, 0.8);
+  return { gA, gB };
+}
+
+export function chooseCurve(name) {
+  switch (name) {
+    case 'linear': return createLinearGains;
+    case 'rise': return createRiseGains;
+    case 'equal-power':
+    default: return createEqualPowerGains;
+  }
+}
+
+/**
+ * Automation lanes of a transition: breakpoints { t, v, curve } over the transition (t from 0 to 1).
+ * `curve` bends the segment towards the next point (> 0 starts slow, < 0 starts fast, 0 is straight).
+ * Frequency lanes interpolate on a log scale. A missing lane means the node is not in the graph.
+ * EQ lanes drive the three-band EQ of each deck (EQ_KILL_DB kills the band); its crossover
+ * frequencies travel with the automation as `crossovers`.
+ */
+export const AUTOMATION_LANES = {
+  gainA: { label: 'Lautstärke A', min: 0, max: 1, unit: '', neutral: 1 },
+  gainB: { label: 'Lautstärke B', min: 0, max: 1, unit: '', neutral: 1 },
+  lowA: { label: 'Tiefen A', min: EQ_KILL_DB, max: 6, unit: 'dB', neutral: 0 },
+  midA: { label: 'Mitten A', min: EQ_KILL_DB, max: 6, unit: 'dB', neutral: 0 },
+  highA: { label: 'Höhen A', min: EQ_KILL_DB, max: 6, unit: 'dB', neutral: 0 },
+  lowB: { label: 'Tiefen B', min: EQ_KILL_DB, max: 6, unit: 'dB', neutral: 0 },
+  midB: { label: 'Mitten B', min: EQ_KILL_DB, max: 6, unit: 'dB', neutral: 0 },
+  highB: { label: 'Höhen B', min: EQ_KILL_DB, max: 6, unit: 'dB', neutral: 0 },
+  hpA: { label: 'Hochpass A', min: 20, max: 2000, unit: 'Hz', log: true, neutral: 20 },
+  lpB: { label: 'Tiefpass B', min: 200, max: 20000, unit: 'Hz', log: true, neutral: 20000 },
+  echoA: { label: 'Echo-Send A', min: 0, max: 1, unit: '', neutral: 0 },
+  verbA: { label: 'Hall-Send A', min: 0, max: 1, unit: '', neutral: 0 },
+  // Tempo nudges scale the deck's playback rate during the transition; the layout applies them
+  nudgeA: { label: 'Tempo-Nudge A', min: -8, max: 8, unit: '%', neutral: 0 },
+  nudgeB: { label: 'Tempo-Nudge B', min: -8, max: 8, unit: '%', neutral: 0 },
+};
+/** EQ band lanes per deck, in band order */
+export const EQ_LANES = { A: ['lowA', 'midA', 'highA'], B: ['lowB', 'midB', 'highB'] };
+
+/** How long a live move takes to reach its value, on the playing graph and in the recorded lane */
+export const LIVE_RAMP_SECONDS = 0.02;
+
+export function straightLane(from, to) {
+  return [{ t: 0, v: from, curve: 0 }, { t: 1, v: to, curve: 0 }];
+}
+
+const point = (t, v, curve = 0) => ({ t, v, curve });
+
+/**
+ * Transition styles. 'blend' fades with the preset curve; the others bring their own fader and
+ * send moves here, the engine adds what cannot be a lane (loop repeats, spin-backs, brakes).
+ * `sweeps`: whether EQ and filter swap still apply.
+ */
+export const TRANSITION_STYLES = {
+  blend: { label: 'Blend', sweeps: true },
+  echo: {
+    label: 'Echo-Out',
+    sweeps: true,
+    lanes: {
+      // The echo send opens over the last beats of A, then A's dry signal stops and the echoes ring on
+      gainA: [point(0, 1), point(0.5, 1), point(0.52, 0), point(1, 0)],
+      echoA: [point(0, 0), point(0.2, 0, 0.5), point(0.5, 1), point(0.52, 0), point(1, 0)],
+      gainB: [point(0, 0), point(0.4, 0, 0.3), point(0.75, 1), point(1, 1)],
+    },
+  },
+  reverb: {
+    label: 'Hall-Fahne',
+    sweeps: true,
+    lanes: {
+      gainA: [point(0, 1), point(0.4, 1, 0.4), point(0.9, 0), point(1, 0)],
+      verbA: [point(0, 0, 0.4), point(0.6, 1), point(0.9, 1), point(1, 0)],
+      gainB: [point(0, 0), point(0.5, 0, 0.3), point(1, 1)],
+    },
+  },
+  loopRoll: {
+    label: 'Loop-Roll',
+    sweeps: true,
+    lanes: {
+      gainA: [point(0, 1), point(0.75, 1), point(1, 0)],
+      gainB: [point(0, 0), point(0.5, 0, 0.3), point(1, 1)],
+    },
+  },
+  // A is replaced by its spin or brake at the transition start, B comes in on its downbeat
+  backspin: { label: 'Backspin', sweeps: false, lanes: { gainA: straightLane(1, 1), gainB: straightLane(1, 1) } },
+  brake: { label: 'Vinyl-Bremse', sweeps: false, lanes: { gainA: straightLane(1, 1), gainB: straightLane(1, 1) } },
+  cut: { label: 'Harter Schnitt', sweeps: false, lanes: { gainA: straightLane(0, 0), gainB: straightLane(1, 1) } },
+};
+
+/** The automation the style, preset curve, EQ and filter-swap settings stand for */
+export function defaultAutomation(options) {
+  const style = TRANSITION_STYLES[options.style] || TRANSITION_STYLES.blend;
+  const curve = chooseCurve(options.curvePreset);
+  const times = Array.from({ length: 9 }, (_, i) => i / 8);
+  const lanes = style.lanes ? structuredClone(style.lanes) : {
+    gainA: times.map(t => ({ t, v: clamp(curve(t).gA, 0, 1), curve: 0 })),
+    gainB: times.map(t => ({ t, v: clamp(curve(t).gB, 0, 1), curve: 0 })),
+  };
+  const automation = { lanes, crossovers: { ...DEFAULT_CROSSOVERS } };
+  if (!style.sweeps) return automation;
+  if (options.eqEnable) {
+    // With a bass swap the low bands are switched on the swap downbeat instead
+    if (!options.bassSwap) lanes.lowA = straightLane(0, Number(options.eqLowDuckDb) || 0);
+    lanes.highB = straightLane(0, Number(options.eqHighBoostDb) || 0);
+  }
+  if (options.smart?.filterSwap) {
+    lanes.hpA = straightLane(30, 220);
+    lanes.lpB = straightLane(4000, 20000);
+  }
+  return automation;
+}
+
+/** Custom automation if the transition has one, otherwise the one derived from its settings */
+export function resolveAutomation(options) {
+  return options.automation || defaultAutomation(options);
+}
+
+function bendSegment(u, curve) {
+  if (curve >= 0) return Math.pow(u, 1 + 3 * curve);
+  return 1 - Math.pow(1 - u, 1 - 3 * curve);
+}
+
+/** Value of lane `name` at transition progress tt, or null if the lane is off */
+export function automationValue(automation, name, tt) {
+  const points = automation.lanes[name];
+  if (!points?.length) return null;
+  const next = points.findIndex(p => p.t > tt);
+  if (next === 0) return points[0].v;
+  if (next < 0) return points[points.length - 1].v;
+  const a = points[next - 1];
+  const b = points[next];
+  const u = bendSegment((tt - a.t) / Math.max(1e-9, b.t - a.t), a.curve || 0);
+  if (AUTOMATION_LANES[name]?.log) {
+    const la = Math.log(Math.max(1, a.v));
+    return Math.exp(la + (Math.log(Math.max(1, b.v)) - la) * u);
+  }
+  return a.v + (b.v - a.v) * u;
+}
+
+/**
+ * Transition progress values to sample lanes at: `steps` even steps plus every breakpoint of the
+ * lanes `names`, so a recorded jump stays a jump instead of being smeared over a step
+ */
+export function sampleTimes(automation, steps, names = Object.keys(automation.lanes)) {
+  const times = new Set(Array.from({ length: steps + 1 }, (_, i) => i / steps));
+  for (const name of names) {
+    for (const p of automation.lanes[name] || []) times.add(clamp(p.t, 0, 1));
+  }
+  return [...times].sort((a, b) => a - b);
+}
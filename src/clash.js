@@ -0,0 +1,219 @@
+// Clashes in an overlap: chroma and timbre of A's outgoing and B's incoming beats compared beat by beat
+
+import { clamp } from './util.js';
+import { wrap12 } from './harmony.js';
+import { sharedBar } from './meter.js';
+
+/** Roughness of two pitch classes sounding together, by interval in semitones folded to 0..6 */
+const INTERVAL_ROUGHNESS = [0, 1, 0.6, 0.2, 0.15, 0.1, 0.8];
+/** Roughness the combination adds over the two tracks on their own that counts as a full clash */
+const ROUGHNESS_RANGE = 0.25;
+/** A transition clashing this much is flagged and ways around it are looked for */
+export const CLASH_WARN = 0.3;
+/** How much lower a suggested overlap has to score to be worth the change */
+const CLASH_GAIN = 0.1;
+
+const timbreStats = new WeakMap(); // analysis -> { mean, std } of the timbre dimensions over the track
+
+/** Index of the first segment still sounding at `time` (segments sorted by start) */
+function segmentIndexAt(segments, time) {
+  let lo = 0;
+  let hi = segments.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (segments[mid].start + segments[mid].duration <= time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/** Chroma, timbre and peak loudness of [from, to), segments weighted by how much of it they cover; null without segments */
+function windowProfile(segments, from, to) {
+  const chroma = new Array(12).fill(0);
+  const timbre = new Array(12).fill(0);
+  let loudness = 0;
+  let weight = 0;
+  for (let i = segmentIndexAt(segments, from); i < segments.length && segments[i].start < to; i++) {
+    const s = segments[i];
+    const overlap = Math.min(to, s.start + s.duration) - Math.max(from, s.start);
+    if (overlap <= 0 || !s.pitches || !s.timbre) continue;
+    for (let k = 0; k < 12; k++) {
+      chroma[k] += s.pitches[k] * overlap;
+      timbre[k] += s.timbre[k] * overlap;
+    }
+    loudness += (s.loudness_max ?? -60) * overlap;
+    weight += overlap;
+  }
+  if (!weight) return null;
+  return { chroma: chroma.map(v => v / weight), timbre: timbre.map(v => v / weight), loudness: loudness / weight };
+}
+
+function trackTimbreStats(analysis) {
+  if (!timbreStats.has(analysis)) {
+    const vectors = analysis.segments.filter(s => s.timbre).map(s => s.timbre);
+    const mean = Array.from({ length: 12 }, (_, k) => vectors.reduce((sum, v) => sum + v[k], 0) / Math.max(1, vectors.length));
+    const std = mean.map((m, k) => Math.sqrt(vectors.reduce((sum, v) => sum + (v[k] - m) ** 2, 0) / Math.max(1, vectors.length)) || 1);
+    timbreStats.set(analysis, { mean, std });
+  }
+  return timbreStats.get(analysis);
+}
+
+/** How clearly one pitch stands out of the chroma, 0 (noise, drums) .. 1 (a single tone) */
+function tonality(chroma) {
+  const max = Math.max(...chroma);
+  if (!(max > 0)) return 0;
+  const mean = chroma.reduce((a, b) => a + b, 0) / (12 * max);
+  return clamp((0.7 - mean) / 0.45, 0, 1);
+}
+
+/**
+ * Rough chance that a lead voice carries the beat: tonal, brighter and less percussive than the
+ * track usually is (Spotify's timbre dimensions 2–4 are brightness, flatness and attack)
+ */
+function voiceLevel(profile, stats) {
+  const z = k => (profile.timbre[k] - stats.mean[k]) / stats.std[k];
+  return tonality(profile.chroma) * clamp(0.5 + 0.25 * z(1) - 0.2 * z(2) - 0.25 * z(3), 0, 1);
+}
+
+/** 0 (silent) .. 1 (loud) from a segment loudness in dB */
+const presence = db => clamp((db + 30) / 24, 0, 1);
+
+/** Roughness of two chroma vectors sounding together, 0..1, peaks weighted over the rest */
+function roughness(chromaA, chromaB) {
+  const norm = chroma => {
+    const squared = chroma.map(v => v * v);
+    const sum = squared.reduce((a, b) => a + b, 0) || 1;
+    return squared.map(v => v / sum);
+  };
+  const a = norm(chromaA);
+  const b = norm(chromaB);
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    for (let j = 0; j < 12; j++) {
+      const interval = wrap12(i - j);
+      sum += a[i] * b[j] * INTERVAL_ROUGHNESS[Math.min(interval, 12 - interval)];
+    }
+  }
+  return sum;
+}
+
+/** Index of the beat nearest `time` */
+function nearestBeat(beats, time) {
+  let best = 0;
+  for (let i = 1; i < beats.length; i++) if (Math.abs(beats[i].start - time) < Math.abs(beats[best].start - time)) best = i;
+  return best;
+}
+
+/** Time of a fractional beat index: into a beat by its share of the beat's duration */
+function beatTime(beats, index) {
+  const beat = beats[Math.min(beats.length - 1, Math.floor(index))];
+  return beat.start + (index - Math.floor(index)) * beat.duration;
+}
+
+/**
+ * Compare an overlap beat by beat: the i-th beat of A from `startA` on against the matching stretch
+ * of B from `startB` on, `beats` of them, B's chroma moved by its detune `pitchSemisB`. B's beats
+ * count `multiple` A beats each (2: B in half time, 0.5: in double time, see matchTempo). Per beat the
+ * clash is the larger of the harmonic roughness (both audible, chords rubbing) and the chance of two
+ * lead voices at once; the middle of the overlap, where both tracks are loudest, counts most.
+ * Returns { score, harmonic, vocal (0..1 each), beats: [clash per beat] }, or null if either
+ * analysis lacks segment chroma and timbre.
+ */
+export function overlapClash(analysisA, analysisB, { startA, startB, beats, pitchSemisB = 0, multiple = 1 }) {
+  const segmentsA = analysisA.segments;
+  const segmentsB = analysisB.segments;
+  if (!segmentsA.some(s => s.pitches) || !segmentsB.some(s => s.pitches)) return null;
+  if (analysisA.beats.length < 2 || analysisB.beats.length < 2) return null;
+  const i0 = nearestBeat(analysisA.beats, startA);
+  const j0 = nearestBeat(analysisB.beats, startB);
+  const count = Math.min(beats, analysisA.beats.length - i0, Math.floor((analysisB.beats.length - j0) * multiple));
+  if (count < 1) return null;
+  const statsA = trackTimbreStats(analysisA);
+  const statsB = trackTimbreStats(analysisB);
+  const shift = Math.round(pitchSemisB || 0);
+  const perBeat = [];
+  let harmonic = 0;
+  let vocal = 0;
+  let score = 0;
+  let weights = 0;
+  for (let k = 0; k < count; k++) {
+    const beatA = analysisA.beats[i0 + k];
+    const a = windowProfile(segmentsA, beatA.start, beatA.start + beatA.duration);
+    const b = windowProfile(segmentsB, beatTime(analysisB.beats, j0 + k / multiple), beatTime(analysisB.beats, j0 + (k + 1) / multiple));
+    if (!a || !b) {
+      perBeat.push(0);
+      continue;
+    }
+    const chromaB = b.chroma.map((_, p) => b.chroma[wrap12(p - shift)]);
+    const both = presence(a.loudness) * presence(b.loudness);
+    // Only the roughness the two add together counts, a track's own chords are not a clash
+    const added = roughness(a.chroma, chromaB) - (roughness(a.chroma, a.chroma) + roughness(chromaB, chromaB)) / 2;
+    const rough = clamp(added / ROUGHNESS_RANGE, 0, 1);
+    const h = rough * Math.min(tonality(a.chroma), tonality(chromaB)) * both;
+    const v = Math.sqrt(voiceLevel(a, statsA) * voiceLevel(b, statsB)) * both;
+    const clash = Math.max(h, v);
+    const weight = Math.sin(Math.PI * (k + 0.5) / count);
+    perBeat.push(Math.round(clash * 100) / 100);
+    harmonic += h * weight;
+    vocal += v * weight;
+    score += clash * weight;
+    weights += weight;
+  }
+  if (!weights) return null;
+  return { score: score / weights, harmonic: harmonic / weights, vocal: vocal / weights, beats: perBeat };
+}
+
+/** Beats in a plan's overlap, counted at the slower of the two target tempi (B's as counted against A) */
+export function overlapBeats(plan) {
+  const multiple = plan.strategy?.multiple ?? 1;
+  return Math.max(1, Math.round(plan.xfadeDuration * Math.min(plan.targetTempoA, plan.targetTempoB * multiple) / 60));
+}
+
+/** Clash of a plan's overlap as it stands, e.g. after its points were dragged by hand */
+export function planClash(analysisA, analysisB, plan) {
+  const multiple = plan.strategy?.multiple ?? 1;
+  return overlapClash(analysisA, analysisB, { startA: plan.startA, startB: plan.startB, beats: overlapBeats(plan), pitchSemisB: plan.pitchSemisB, multiple });
+}
+
+/**
+ * Ways around a clashing overlap, once its score reaches CLASH_WARN: 'shift' to the ranked
+ * alternative that clashes least, or 'shorten' to the least clashing bar-aligned half or quarter
+ * of the overlap. Only suggestions that lower the score by at least CLASH_GAIN are kept.
+ * Each is { kind, alternativeIndex (shift), startA, startB, xfadeDuration, chosenBeats, clash }.
+ */
+export function clashSuggestions(analysisA, analysisB, plan) {
+  const current = plan.clash?.score;
+  if (!(current >= CLASH_WARN)) return [];
+  const suggestions = [];
+  const better = clash => clash && clash.score <= current - CLASH_GAIN;
+
+  let bestIndex = -1;
+  (plan.alternatives || []).forEach((alt, i) => {
+    if (i === plan.alternativeIndex && !plan.manual) return;
+    if (better(alt.clash) && (bestIndex < 0 || alt.clash.score < plan.alternatives[bestIndex].clash.score)) bestIndex = i;
+  });
+  if (bestIndex >= 0) {
+    const alt = plan.alternatives[bestIndex];
+    suggestions.push({ kind: 'shift', alternativeIndex: bestIndex, startA: alt.startA, startB: alt.startB, xfadeDuration: plan.xfadeDuration, chosenBeats: plan.chosenBeats, clash: alt.clash });
+  }
+
+  const beats = overlapBeats(plan);
+  const bar = sharedBar(analysisA, analysisB).beats;
+  const i0 = nearestBeat(analysisA.beats, plan.startA);
+  const j0 = nearestBeat(analysisB.beats, plan.startB);
+  const multiple = plan.strategy?.multiple ?? 1;
+  let shortest = null;
+  for (const length of [beats / 2, beats / 4].map(n => Math.floor(n / bar) * bar).filter(n => n >= bar)) {
+    for (let offset = 0; offset + length <= beats; offset += bar) {
+      const beatA = analysisA.beats[i0 + offset];
+      if (!beatA || j0 + offset / multiple >= analysisB.beats.length) break;
+      const startB = beatTime(analysisB.beats, j0 + offset / multiple);
+      const clash = overlapClash(analysisA, analysisB, { startA: beatA.start, startB, beats: length, pitchSemisB: plan.pitchSemisB, multiple });
+      if (better(clash) && (!shortest || clash.score < shortest.clash.score)) {
+        shortest = { kind: 'shorten', startA: beatA.start, startB, xfadeDuration: (plan.xfadeDuration * length) / beats, chosenBeats: length, clash };
+      }
+    }
+  }
+  if (shortest) suggestions.push(shortest);
+  return suggestions.sort((a, b) => a.clash.score - b.clash.score);
+}
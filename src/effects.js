@@ -0,0 +1,148 @@
+// Effects of the transition styles: tempo-synced echo, convolution reverb, loop roll, backspin, brake
+
+import { clamp } from './util.js';
+import { rateSegments, positionAt } from './layout.js';
+
+const ECHO_BEATS = 0.75; // dotted eighth
+const ECHO_FEEDBACK = 0.5;
+const REVERB_SECONDS = 3;
+const ROLL_STAGES = 4; // one bar, then halving, one stage per quarter of the transition
+const SPIN_BEATS = 2;
+const SPIN_SPAN_SECONDS = 4; // audio before the out point a backspin can rewind through
+
+/**
+ * Feedback delay synced to `beatSeconds` (seconds per beat in the mix). Returns { input, output };
+ * the echoes keep ringing after the input goes quiet.
+ */
+export function createEcho(ctx, beatSeconds) {
+  const input = ctx.createGain();
+  const delay = ctx.createDelay(4);
+  delay.delayTime.value = Math.min(4, ECHO_BEATS * beatSeconds);
+  const feedback = ctx.createGain();
+  feedback.gain.value = ECHO_FEEDBACK;
+  // Each repeat gets thinner, like a tape echo
+  const tone = ctx.createBiquadFilter();
+  tone.type = 'highpass';
+  tone.frequency.value = 250;
+  input.connect(delay).connect(tone).connect(feedback).connect(delay);
+  return { input, output: tone };
+}
+
+/** Small deterministic PRNG (mulberry32), so preview and render get the same impulse response */
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const impulses = new WeakMap();
+
+/** Exponentially decaying stereo noise, darker towards the end; one per context */
+function reverbImpulse(ctx) {
+  if (impulses.has(ctx)) return impulses.get(ctx);
+  const length = Math.round(REVERB_SECONDS * ctx.sampleRate);
+  const impulse = ctx.createBuffer(2, length, ctx.sampleRate);
+  for (let c = 0; c < 2; c++) {
+    const next = random(c + 1);
+    const data = impulse.getChannelData(c);
+    let low = 0;
+    for (let i = 0; i < length; i++) {
+      const progress = i / length;
+      // One-pole low-pass closing over the tail
+      low += (next() * 2 - 1 - low) * (0.6 - 0.5 * progress);
+      data[i] = low * Math.pow(1 - progress, 3);
+    }
+  }
+  impulses.set(ctx, impulse);
+  return impulse;
+}
+
+/** Convolution reverb; returns { input, output } */
+export function createReverb(ctx) {
+  const convolver = ctx.createConvolver();
+  convolver.buffer = reverbImpulse(ctx);
+  return { input: convolver, output: convolver };
+}
+
+/** Where the outgoing deck is in its buffer at the transition start, and how fast it plays there */
+function deckStateAt(deck, time) {
+  const segments = rateSegments(deck, time);
+  return { position: positionAt(segments, time), rate: segments.at(-1)?.r1 ?? deck.rates[0]?.value ?? 1 };
+}
+
+/**
+ * Loop roll: from the transition start the last bar of A (in its own meter) repeats, then half
+ * a bar, a quarter, an eighth, one stage per quarter of the transition. The loops follow the deck's rate automation,
+ * so they stay on the beat grid of the overlap. `applyRates(param)` schedules that automation.
+ * Stages over before layout time `skip` are left out, one running at `skip` joins mid-loop.
+ * Returns the sources.
+ */
+export function scheduleLoopRoll(ctx, destination, deck, t0, applyRates, skip = 0) {
+  const { start, end } = deck.fadeOut;
+  const beat = 60 / (deck.tempo || 120); // buffer seconds
+  const segments = rateSegments(deck, end);
+  const position = positionAt(segments, start);
+  const rollBeats = Array.from({ length: ROLL_STAGES }, (_, i) => (deck.beatsPerBar || 4) / 2 ** i);
+  const loopStart = Math.max(0, position - rollBeats[0] * beat);
+  const stage = (end - start) / ROLL_STAGES;
+  const sources = [];
+  rollBeats.forEach((beats, i) => {
+    const from = start + i * stage;
+    const to = start + (i + 1) * stage + (i === ROLL_STAGES - 1 ? 0.01 : 0);
+    if (to <= skip) return;
+    const length = beats * beat;
+    const into = Math.max(0, skip - from);
+    const played = into ? positionAt(segments, from + into) - positionAt(segments, from) : 0;
+    const src = ctx.createBufferSource();
+    src.buffer = deck.buffer;
+    src.loop = true;
+    src.loopStart = loopStart;
+    src.loopEnd = loopStart + length;
+    applyRates(src.playbackRate);
+    src.connect(destination);
+    src.start(t0 + from + into, loopStart + (played % length));
+    src.stop(t0 + to);
+    sources.push(src);
+  });
+  return sources;
+}
+
+/**
+ * Backspin (the record pulled back, fast at first, then slowing) or brake (the platter
+ * running down) of A over SPIN_BEATS beats from the transition start. Joins mid-spin when
+ * layout time `skip` falls inside it. Returns the sources.
+ */
+export function scheduleSpin(ctx, destination, deck, t0, { reverse, skip = 0 }) {
+  const { start, plan } = deck.fadeOut;
+  const duration = SPIN_BEATS * 60 / (plan.targetTempoA || deck.tempo || 120);
+  if (start + duration <= skip) return [];
+  const into = clamp(skip - start, 0, duration);
+  const { position, rate } = deckStateAt(deck, start);
+  const src = ctx.createBufferSource();
+  if (reverse) {
+    // Play a reversed copy of the audio leading up to the out point
+    const from = Math.max(0, Math.floor((position - SPIN_SPAN_SECONDS) * deck.buffer.sampleRate));
+    const to = Math.max(from + 1, Math.floor(position * deck.buffer.sampleRate));
+    const reversed = ctx.createBuffer(deck.buffer.numberOfChannels, to - from, deck.buffer.sampleRate);
+    for (let c = 0; c < deck.buffer.numberOfChannels; c++) {
+      reversed.getChannelData(c).set(deck.buffer.getChannelData(c).subarray(from, to).slice().reverse());
+    }
+    src.buffer = reversed;
+    src.playbackRate.setValueAtTime(3 * rate, t0 + start);
+    src.playbackRate.exponentialRampToValueAtTime(0.01, t0 + start + duration);
+    // Distance covered by the exponential ramp so far
+    const ratio = 0.01 / (3 * rate);
+    src.start(t0 + start + into, 3 * rate * duration / Math.log(ratio) * (ratio ** (into / duration) - 1));
+  } else {
+    src.buffer = deck.buffer;
+    src.playbackRate.setValueAtTime(rate, t0 + start);
+    src.playbackRate.linearRampToValueAtTime(0.01, t0 + start + duration);
+    src.start(t0 + start + into, position + rate * into + (0.01 - rate) * into * into / (2 * duration));
+  }
+  src.connect(destination);
+  src.stop(t0 + start + duration);
+  return [src];
+}
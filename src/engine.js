@@ -0,0 +1,434 @@
+// Web Audio graph for previews and offline renders of a laid-out chain
+
+import { clamp } from './util.js';
+import { AUTOMATION_LANES, EQ_LANES, LIVE_RAMP_SECONDS, automationValue, sampleTimes } from './automation.js';
+import { createThreeBandEq, bandGain } from './eq.js';
+import { layoutChain, positionAt, rateSegments } from './layout.js';
+import { DEFAULT_MASTER } from './loudness.js';
+import { createEcho, createReverb, scheduleLoopRoll, scheduleSpin } from './effects.js';
+
+// Resolved against this module so it works from any page and from Node
+export const TIME_STRETCH_WORKLET = new URL('../time-stretch-worklet.js', import.meta.url).href;
+export const LIMITER_WORKLET = new URL('../limiter-worklet.js', import.meta.url).href;
+const loadedWorklets = new WeakMap(); // context -> Set of module URLs
+
+/** How much of A the 'tail' export mode keeps before the transition (seconds) */
+const EXPORT_TAIL_SECONDS = 30;
+/** Fade in and out of a preview pass, so starting, seeking and rescheduling do not click */
+const PASS_FADE_SECONDS = 0.01;
+
+async function loadWorklet(ctx, url) {
+  const loaded = loadedWorklets.get(ctx) || new Set();
+  if (loaded.has(url)) return true;
+  try {
+    await ctx.audioWorklet.addModule(url);
+    loaded.add(url);
+    loadedWorklets.set(ctx, loaded);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Register the time-stretch processor on a context; false if AudioWorklet is unavailable (e.g. file://) */
+export function loadTimeStretch(ctx, url = TIME_STRETCH_WORKLET) {
+  return loadWorklet(ctx, url);
+}
+
+/** Register the true-peak limiter; false if AudioWorklet is unavailable */
+export function loadLimiter(ctx, url = LIMITER_WORKLET) {
+  return loadWorklet(ctx, url);
+}
+
+/**
+ * Master bus in front of `destination`; returns the node the decks connect to. With the limiter
+ * on, the sum is held below `ceilingDb` dBTP (a hard-knee compressor stands in without AudioWorklet).
+ */
+function createMasterBus(ctx, destination, { limiter, ceilingDb }, limiterReady) {
+  const input = ctx.createGain();
+  if (!limiter) {
+    input.connect(destination);
+  } else if (limiterReady) {
+    const node = new AudioWorkletNode(ctx, 'true-peak-limiter', { outputChannelCount: [destination.channelCount || 2] });
+    node.parameters.get('ceiling').value = ceilingDb;
+    input.connect(node).connect(destination);
+  } else {
+    const comp = ctx.createDynamicsCompressor();
+    comp.threshold.value = ceilingDb - 1;
+    comp.knee.value = 0;
+    comp.ratio.value = 20;
+    comp.attack.value = 0.001;
+    comp.release.value = 0.15;
+    input.connect(comp).connect(destination);
+  }
+  return input;
+}
+
+/** A buffer player with independent tempo and pitch parameters, scheduled like an AudioBufferSourceNode */
+function createStretchSource(ctx, buffer, { when, offset, stop }) {
+  // Only hand the worklet the part of the buffer it can still reach
+  const skip = Math.floor(Math.max(0, offset - 1) * buffer.sampleRate);
+  const channels = [];
+  for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c).slice(skip));
+  return new AudioWorkletNode(ctx, 'time-stretch', {
+    numberOfInputs: 0,
+    numberOfOutputs: 1,
+    outputChannelCount: [buffer.numberOfChannels],
+    processorOptions: { channels, bufferSampleRate: buffer.sampleRate, offset: offset - skip / buffer.sampleRate, when, stop },
+  });
+}
+
+/** [band GainNode, lane] pairs of an EQ that follow the automation; a bass swap owns the low band */
+function eqBands(eq, automation, lanes, bassSwap) {
+  return [eq.low, eq.mid, eq.high]
+    .map((band, i) => [band, lanes[i]])
+    .filter(([band, name]) => automation.lanes[name] && !(bassSwap != null && band === eq.low));
+}
+
+/** Freeze a param at its current course from `time` on, dropping what was scheduled after */
+function holdAt(param, time) {
+  if (param.cancelAndHoldAtTime) {
+    param.cancelAndHoldAtTime(time);
+  } else {
+    param.cancelScheduledValues(time);
+    param.setValueAtTime(param.value, time);
+  }
+}
+
+/** Without the worklet, fall back to playbackRate resampling for every transition */
+function withoutTimeStretch(transitions) {
+  return transitions.map(t => ({ ...t, options: { ...t.options, timeStretch: false } }));
+}
+
+/**
+ * Offline context for a render and the layout it plays. Without the time-stretch worklet the detune
+ * is resampled and B runs at another speed, so the layout depends on whether the worklet loads, which
+ * takes a context: it is sized for the longer of both layouts and the result trimmed afterwards.
+ */
+async function offlineRender(timeStretchWorklet, sampleRate, layoutFor, durationOf = layout => layout.duration) {
+  const t0 = 0.05;
+  const longest = Math.max(durationOf(layoutFor(true)), durationOf(layoutFor(false)));
+  const oac = new OfflineAudioContext({ numberOfChannels: 2, length: Math.ceil((longest + t0) * sampleRate), sampleRate });
+  const stretchReady = await loadTimeStretch(oac, timeStretchWorklet);
+  const layout = layoutFor(stretchReady);
+  const length = Math.ceil((durationOf(layout) + t0) * sampleRate);
+  return { oac, layout, t0, length, stretchReady };
+}
+
+/** The first `length` frames of a rendered buffer */
+function trimBuffer(ctx, buffer, length) {
+  if (length >= buffer.length) return buffer;
+  const trimmed = ctx.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) trimmed.copyToChannel(buffer.getChannelData(ch).subarray(0, length), ch);
+  return trimmed;
+}
+
+/**
+ * Web Audio Mixer: preview and offline render
+ */
+export class MixerEngine {
+  /** timeStretchWorklet / limiterWorklet: where the worklet modules are loaded from (Node needs file paths) */
+  constructor({ timeStretchWorklet = TIME_STRETCH_WORKLET, limiterWorklet = LIMITER_WORKLET } = {}) {
+    this.timeStretchWorklet = timeStretchWorklet;
+    this.limiterWorklet = limiterWorklet;
+    this.context = null;
+    this.stretchReady = false;
+    this.limiterReady = false;
+    this.offlineRendering = false;
+  }
+
+  async createContext({ sampleRate }) {
+    if (this.context) this.context.close().catch(() => {});
+    this.context = new (window.AudioContext || window.webkitAudioContext)({ sampleRate });
+    this.stretchReady = await loadTimeStretch(this.context, this.timeStretchWorklet);
+    this.limiterReady = await loadLimiter(this.context, this.limiterWorklet);
+    return this.context;
+  }
+
+  /**
+   * Build the graph of every deck in a layout and schedule all automation relative to t0 (the
+   * context time of layout time 0). Playback begins at layout time `skip`; decks over by then are
+   * left out (null), a deck playing at `skip` starts where it would be by then.
+   */
+  scheduleLayout(ctx, destination, layout, t0, steps, skip = 0) {
+    return layout.decks.map(deck => (deck.stop <= skip ? null : this.scheduleDeck(ctx, destination, deck, t0, steps, skip)));
+  }
+
+  /**
+   * Graph and automation of one deck; returns { src, gain, sources, controls } (sources: every source
+   * node it started, controls: the params its lanes drive, by lane name, for setLaneValues)
+   */
+  scheduleDeck(ctx, destination, deck, t0, steps, skip = 0) {
+    // Loop roll, backspin and brake take over from the deck's own source at the transition start
+    const style = deck.fadeOut?.options.style;
+    const replaced = style === 'loopRoll' || style === 'backspin' || style === 'brake';
+    const stop = replaced ? deck.fadeOut.start : deck.stop;
+    const begin = Math.max(deck.start, skip);
+    const offset = begin > deck.start ? positionAt(rateSegments(deck, begin), begin) : deck.offset;
+
+    // Time-stretched source with separate tempo and pitch, or plain playbackRate resampling (tempo and pitch
+    // coupled); none once the effects have taken over
+    let src = null;
+    let rateParam = null;
+    if (stop <= begin) {
+      // Nothing left of the deck's own playback
+    } else if (deck.stretch) {
+      src = createStretchSource(ctx, deck.buffer, { when: t0 + begin, offset, stop: t0 + stop });
+      rateParam = src.parameters.get('tempo');
+      for (const point of deck.pitches) src.parameters.get('pitch').setValueAtTime(point.value, t0 + point.time);
+    } else {
+      src = ctx.createBufferSource();
+      src.buffer = deck.buffer;
+      rateParam = src.playbackRate;
+    }
+    const sources = src ? [src] : [];
+    const gain = ctx.createGain();
+
+    // EQ and filter nodes exist only for the lanes the automation uses: A-side lanes of the outgoing
+    // transition, B-side lanes of the incoming one
+    const outgoing = deck.fadeOut?.options.automation;
+    const incoming = deck.fadeIn?.options.automation;
+    const head = ctx.createGain(); // where the deck's sources, including effect replacements, come in
+    src?.connect(head);
+    let node = head;
+    let hp, lp;
+    // Three-band EQs: one for the incoming transition's B-side lanes, one for the outgoing A-side lanes
+    const eqIn = deck.fadeIn && (EQ_LANES.B.some(name => incoming.lanes[name]) || deck.fadeIn.bassSwap != null)
+      ? createThreeBandEq(ctx, incoming.crossovers)
+      : null;
+    const eqOut = deck.fadeOut && (EQ_LANES.A.some(name => outgoing.lanes[name]) || deck.fadeOut.bassSwap != null)
+      ? createThreeBandEq(ctx, outgoing.crossovers)
+      : null;
+    for (const eq of [eqIn, eqOut]) {
+      if (!eq) continue;
+      node.connect(eq.input);
+      node = eq.output;
+    }
+    if (outgoing?.lanes.hpA) {
+      hp = ctx.createBiquadFilter();
+      hp.type = 'highpass';
+      hp.frequency.value = automationValue(outgoing, 'hpA', 0);
+      node.connect(hp);
+      node = hp;
+    }
+    if (incoming?.lanes.lpB) {
+      lp = ctx.createBiquadFilter();
+      lp.type = 'lowpass';
+      lp.frequency.value = automationValue(incoming, 'lpB', 0);
+      node.connect(lp);
+      node = lp;
+    }
+    // Loudness-matching trim, independent of the automated fader
+    const trim = ctx.createGain();
+    trim.gain.value = deck.trim ?? 1;
+    node.connect(trim).connect(gain).connect(destination);
+
+    // Echo and reverb sends of the outgoing track, taken before the fader so their tails outlast it
+    let echoSend, verbSend;
+    if (outgoing?.lanes.echoA) {
+      const echo = createEcho(ctx, 60 / (deck.fadeOut.plan.targetTempoA || deck.tempo || 120));
+      echoSend = ctx.createGain();
+      echoSend.gain.value = 0;
+      trim.connect(echoSend).connect(echo.input);
+      echo.output.connect(destination);
+    }
+    if (outgoing?.lanes.verbA) {
+      const reverb = createReverb(ctx);
+      verbSend = ctx.createGain();
+      verbSend.gain.value = 0;
+      trim.connect(verbSend).connect(reverb.input);
+      reverb.output.connect(destination);
+    }
+
+    const applyRates = param => {
+      for (const point of deck.rates) {
+        if (point.ramp) param.linearRampToValueAtTime(point.value, t0 + point.time);
+        else param.setValueAtTime(point.value, t0 + point.time);
+      }
+    };
+    if (rateParam) applyRates(rateParam);
+    if (src && !deck.stretch) {
+      src.start(t0 + begin, offset);
+      src.stop(t0 + stop);
+    }
+    if (style === 'loopRoll') sources.push(...scheduleLoopRoll(ctx, head, deck, t0, applyRates, skip));
+    else if (style === 'backspin' || style === 'brake') sources.push(...scheduleSpin(ctx, head, deck, t0, { reverse: style === 'backspin', skip }));
+
+    // Sample each transition's automation lanes; preview and render both go through here
+    const controls = {};
+    // release: [value, seconds after the transition end] the param heads for once the lane is over
+    const control = (param, map, { start, end }, release = null) => ({ param, map, start: t0 + start, end: t0 + end, release });
+    if (deck.fadeIn) {
+      const { start, end, options, bassSwap } = deck.fadeIn;
+      const { automation } = options;
+      const bands = eqIn ? eqBands(eqIn, automation, EQ_LANES.B, bassSwap) : [];
+      controls.gainB = control(gain.gain, v => clamp(v, 0, 1), deck.fadeIn, [1, 0.01]);
+      for (const [band, name] of bands) controls[name] = control(band.gain, bandGain, deck.fadeIn, [1, 2]);
+      if (lp) controls.lpB = control(lp.frequency, v => v, deck.fadeIn, [AUTOMATION_LANES.lpB.neutral, 2]);
+      gain.gain.setValueAtTime(0, t0 + start);
+      for (const [band, name] of bands) band.gain.setValueAtTime(bandGain(automationValue(automation, name, 0)), t0 + start);
+      for (const tt of sampleTimes(automation, steps)) {
+        const t = t0 + start + tt * (end - start);
+        gain.gain.linearRampToValueAtTime(clamp(automationValue(automation, 'gainB', tt), 0, 1), t);
+        for (const [band, name] of bands) band.gain.linearRampToValueAtTime(bandGain(automationValue(automation, name, tt)), t);
+        if (lp) lp.frequency.linearRampToValueAtTime(automationValue(automation, 'lpB', tt), t);
+      }
+      if (bassSwap != null) {
+        // B's bass comes in exactly on the swap downbeat
+        eqIn.low.gain.setValueAtTime(0, t0 + start);
+        eqIn.low.gain.setValueAtTime(0, t0 + bassSwap);
+        eqIn.low.gain.linearRampToValueAtTime(1, t0 + bassSwap + 0.005);
+      }
+      gain.gain.linearRampToValueAtTime(1, t0 + end + 0.01);
+      // EQ and filter only shape the blend, hand the track back untouched afterwards
+      for (const [band] of bands) band.gain.linearRampToValueAtTime(1, t0 + end + 2);
+      if (lp) lp.frequency.linearRampToValueAtTime(AUTOMATION_LANES.lpB.neutral, t0 + end + 2);
+    } else {
+      gain.gain.setValueAtTime(1, t0 + deck.start);
+    }
+
+    if (deck.fadeOut) {
+      const { start, end, options, bassSwap } = deck.fadeOut;
+      const { automation } = options;
+      const bands = eqOut ? eqBands(eqOut, automation, EQ_LANES.A, bassSwap) : [];
+      controls.gainA = control(gain.gain, v => clamp(v, 0, 1), deck.fadeOut, [0, 0.01]);
+      for (const [band, name] of bands) controls[name] = control(band.gain, bandGain, deck.fadeOut);
+      if (hp) controls.hpA = control(hp.frequency, v => v, deck.fadeOut);
+      if (echoSend) controls.echoA = control(echoSend.gain, v => clamp(v, 0, 1), deck.fadeOut, [0, 0.01]);
+      if (verbSend) controls.verbA = control(verbSend.gain, v => clamp(v, 0, 1), deck.fadeOut, [0, 0.01]);
+      gain.gain.setValueAtTime(1, t0 + start);
+      for (const [band, name] of bands) band.gain.setValueAtTime(bandGain(automationValue(automation, name, 0)), t0 + start);
+      for (const tt of sampleTimes(automation, steps)) {
+        const t = t0 + start + tt * (end - start);
+        gain.gain.linearRampToValueAtTime(clamp(automationValue(automation, 'gainA', tt), 0, 1), t);
+        for (const [band, name] of bands) band.gain.linearRampToValueAtTime(bandGain(automationValue(automation, name, tt)), t);
+        if (hp) hp.frequency.linearRampToValueAtTime(automationValue(automation, 'hpA', tt), t);
+        if (echoSend) echoSend.gain.linearRampToValueAtTime(clamp(automationValue(automation, 'echoA', tt), 0, 1), t);
+        if (verbSend) verbSend.gain.linearRampToValueAtTime(clamp(automationValue(automation, 'verbA', tt), 0, 1), t);
+      }
+      if (bassSwap != null) {
+        // ... and A's leaves on it
+        eqOut.low.gain.setValueAtTime(1, t0 + bassSwap - 0.005);
+        eqOut.low.gain.linearRampToValueAtTime(0, t0 + bassSwap);
+      }
+      // After crossfade, fade out A quickly and keep B
+      gain.gain.linearRampToValueAtTime(0, t0 + end + 0.01);
+      if (echoSend) echoSend.gain.linearRampToValueAtTime(0, t0 + end + 0.01);
+      if (verbSend) verbSend.gain.linearRampToValueAtTime(0, t0 + end + 0.01);
+    }
+
+    return { src, gain, sources, controls };
+  }
+
+  /** A chain laid out for the live context; without the time-stretch worklet every transition resamples */
+  liveLayout(tracks, transitions, { from = 0 } = {}) {
+    return layoutChain(tracks, this.stretchReady ? transitions : withoutTimeStretch(transitions), { from });
+  }
+
+  /** One transition laid out for the preview, starting at `from` (seconds into A) */
+  previewLayout(plan, buffers, options, { from = plan.startA } = {}) {
+    return this.liveLayout(
+      [{ buffer: buffers.bufferA, ...buffers.metaA }, { buffer: buffers.bufferB, ...buffers.metaB }],
+      [{ plan, options }],
+      { from }
+    );
+  }
+
+  /**
+   * Play a layout on the preview context from layout time `skip` on, beginning at context time `when`,
+   * through a master bus and a fader of its own so passes can overlap without clicks.
+   * Returns the pass { output, sources, t0, controls } for stopPass and setLaneValues.
+   */
+  schedulePass(layout, { when, skip = 0, master = DEFAULT_MASTER }) {
+    const ctx = this.context;
+    if (!ctx) throw new Error('AudioContext fehlt');
+    const output = ctx.createGain();
+    output.gain.setValueAtTime(0, when);
+    output.gain.linearRampToValueAtTime(1, when + PASS_FADE_SECONDS);
+    output.connect(ctx.destination);
+    const bus = createMasterBus(ctx, output, master, this.limiterReady);
+    const t0 = when - skip;
+    const decks = this.scheduleLayout(ctx, bus, layout, t0, 64, skip);
+    return {
+      output,
+      sources: decks.flatMap(deck => deck?.sources ?? []),
+      t0,
+      controls: Object.assign({}, ...decks.map(deck => deck?.controls)),
+    };
+  }
+
+  /**
+   * Move automation lanes of a playing pass by hand, e.g. { gainA: 0.5, lowB: -40 } in lane units.
+   * Each param ramps to its value over LIVE_RAMP_SECONDS from `when` on (from its transition start
+   * if that is later), holds it to the transition end and is then released the way the automation
+   * would be. Lanes without a node in the pass and transitions already over are left alone.
+   */
+  setLaneValues(pass, values, when = this.context.currentTime) {
+    for (const [name, v] of Object.entries(values)) {
+      const control = pass.controls[name];
+      if (!control || when >= control.end) continue;
+      const { param, map, start, end, release } = control;
+      const value = map(v);
+      const at = Math.max(when, start);
+      if (at > when) {
+        param.cancelScheduledValues(at);
+        param.setValueAtTime(value, at);
+      } else {
+        holdAt(param, at);
+        param.linearRampToValueAtTime(value, at + LIVE_RAMP_SECONDS);
+      }
+      param.setValueAtTime(value, Math.max(end, at + LIVE_RAMP_SECONDS));
+      if (release) param.linearRampToValueAtTime(release[0], end + release[1]);
+    }
+  }
+
+  /** Fade a pass out from context time `when` and stop all its sources */
+  stopPass(pass, when = this.context.currentTime) {
+    const { output, sources } = pass;
+    output.gain.cancelScheduledValues(when);
+    output.gain.setTargetAtTime(0, when, PASS_FADE_SECONDS / 3);
+    const end = when + PASS_FADE_SECONDS * 2;
+    for (const src of sources) {
+      // Time-stretch sources take their stop time as a message
+      if (src.port) src.port.postMessage({ stop: end });
+      else src.stop(end);
+    }
+    sources.length = 0;
+    setTimeout(() => output.disconnect(), Math.max(0, end - this.context.currentTime) * 1000 + 100);
+  }
+
+  /**
+   * Render one transition. mode 'transition' covers the blend plus a few seconds of B, 'tail' starts
+   * EXPORT_TAIL_SECONDS before the out point and plays B to its end, 'full' plays all of A and B.
+   * Resolves to { buffer, layout, t0 } so callers can place markers on the rendered timeline, plus
+   * stretchReady and limiterReady: whether the worklets loaded or their stand-ins were used.
+   */
+  async renderOffline(plan, buffers, options, { mode = 'transition', sampleRate = 44100, master = DEFAULT_MASTER } = {}) {
+    const from = mode === 'full' ? 0 : mode === 'tail' ? Math.max(0, plan.startA - EXPORT_TAIL_SECONDS) : plan.startA;
+    const tracks = [{ buffer: buffers.bufferA, ...buffers.metaA }, { buffer: buffers.bufferB, ...buffers.metaB }];
+    const transitions = [{ plan, options }];
+    const { oac, layout, t0, length, stretchReady } = await offlineRender(
+      this.timeStretchWorklet,
+      sampleRate,
+      stretch => layoutChain(tracks, stretch ? transitions : withoutTimeStretch(transitions), { from }),
+      layout => (mode === 'transition' ? plan.xfadeDuration + 8 : layout.duration)
+    );
+    const limiterReady = !!master.limiter && await loadLimiter(oac, this.limiterWorklet);
+    const bus = createMasterBus(oac, oac.destination, master, limiterReady);
+    this.scheduleLayout(oac, bus, layout, t0, 128);
+    return { buffer: trimBuffer(oac, await oac.startRendering(), length), layout, t0, stretchReady, limiterReady };
+  }
+
+  /** Render a whole chain of tracks into one continuous mix, every transition with its own options; resolves like renderOffline */
+  async renderChain(tracks, transitions, { sampleRate = 44100, master = DEFAULT_MASTER } = {}) {
+    const { oac, layout, t0, length, stretchReady } = await offlineRender(
+      this.timeStretchWorklet,
+      sampleRate,
+      stretch => layoutChain(tracks, stretch ? transitions : withoutTimeStretch(transitions))
+    );
+    const limiterReady = !!master.limiter && await loadLimiter(oac, this.limiterWorklet);
+    const bus = createMasterBus(oac, oac.destination, master, limiterReady);
+    this.scheduleLayout(oac, bus, layout, t0, 128);
+    return { buffer: trimBuffer(oac, await oac.startRendering(), length), layout, t0, stretchReady, limiterReady };
+  }
+}
@@ -0,0 +1,56 @@
+// Three-band DJ EQ: Linkwitz-Riley crossovers with a kill-capable gain per band
+
+/** Band gains at or below this many dB cut the band completely */
+export const EQ_KILL_DB = -40;
+export const DEFAULT_CROSSOVERS = { low: 250, high: 2500 };
+
+/** Linear gain for a band setting in dB, 0 for a kill */
+export function bandGain(db) {
+  return db <= EQ_KILL_DB ? 0 : 10 ** (db / 20);
+}
+
+// Web Audio takes the Q of low/high-pass filters in dB; this is a Butterworth section
+const BUTTERWORTH_Q_DB = -3.0103;
+
+/** 4th-order Linkwitz-Riley low or high pass: two Butterworth sections in series */
+function linkwitzRiley(ctx, type, frequency) {
+  const first = ctx.createBiquadFilter();
+  const second = ctx.createBiquadFilter();
+  for (const f of [first, second]) {
+    f.type = type;
+    f.frequency.value = frequency;
+    f.Q.value = BUTTERWORTH_Q_DB;
+  }
+  first.connect(second);
+  return { input: first, output: second };
+}
+
+/**
+ * Split into low / mid / high at `crossovers` and sum the bands again through their own gains.
+ * The low band passes the allpass the upper split puts on mid + high, so with every band at
+ * 0 dB the EQ only shifts phase. Returns { input, output, low, mid, high } (the band GainNodes).
+ */
+export function createThreeBandEq(ctx, { low = DEFAULT_CROSSOVERS.low, high = DEFAULT_CROSSOVERS.high } = {}) {
+  const input = ctx.createGain();
+  const output = ctx.createGain();
+  const bands = { low: ctx.createGain(), mid: ctx.createGain(), high: ctx.createGain() };
+
+  const lowPass = linkwitzRiley(ctx, 'lowpass', low);
+  const phase = ctx.createBiquadFilter();
+  phase.type = 'allpass';
+  phase.frequency.value = high;
+  phase.Q.value = Math.SQRT1_2;
+  input.connect(lowPass.input);
+  lowPass.output.connect(phase).connect(bands.low).connect(output);
+
+  const rest = linkwitzRiley(ctx, 'highpass', low);
+  const mid = linkwitzRiley(ctx, 'lowpass', high);
+  const top = linkwitzRiley(ctx, 'highpass', high);
+  input.connect(rest.input);
+  rest.output.connect(mid.input);
+  rest.output.connect(top.input);
+  mid.output.connect(bands.mid).connect(output);
+  top.output.connect(bands.high).connect(output);
+
+  return { input, output, ...bands };
+}
@@ -0,0 +1,67 @@
+// Export formats, track/transition markers and the sidecar cue sheet
+
+import { audioBufferToWav } from './wav.js';
+import { audioBufferToFlac } from './flac.js';
+
+/** Output formats; dither only applies where the float render is reduced to integers */
+export const EXPORT_FORMATS = {
+  wav16: { extension: 'wav', mime: 'audio/wav', encode: (buffer, o) => audioBufferToWav(buffer, { ...o, bitDepth: 16 }) },
+  wav24: { extension: 'wav', mime: 'audio/wav', encode: (buffer, o) => audioBufferToWav(buffer, { ...o, bitDepth: 24 }) },
+  wav32f: { extension: 'wav', mime: 'audio/wav', encode: (buffer, o) => audioBufferToWav(buffer, { ...o, bitDepth: 32 }) },
+  flac16: { extension: 'flac', mime: 'audio/flac', encode: (buffer, o) => audioBufferToFlac(buffer, { ...o, bitDepth: 16 }) },
+  flac24: { extension: 'flac', mime: 'audio/flac', encode: (buffer, o) => audioBufferToFlac(buffer, { ...o, bitDepth: 24 }) },
+};
+
+/**
+ * Markers on the rendered timeline: every deck start labelled with its track name and the start
+ * and end of every transition. Markers past `duration` (cut off by the render) are dropped.
+ */
+export function mixMarkers(layout, names, { t0 = 0, duration = Infinity } = {}) {
+  const markers = layout.decks.map((deck, i) => ({ time: t0 + deck.start, label: names[i], track: true }));
+  layout.transitions.forEach((t, i) => {
+    markers.push(
+      { time: t0 + t.start, label: `Übergang ${i + 1} Start`, track: false },
+      { time: t0 + t.end, label: `Übergang ${i + 1} Ende`, track: false }
+    );
+  });
+  return markers.filter(m => m.time < duration).sort((a, b) => a.time - b.time);
+}
+
+/** mm:ss:ff with 75 frames per second, as cue sheets count */
+function cueTime(seconds) {
+  const frames = Math.round(Math.max(0, seconds) * 75);
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(Math.floor(frames / 4500))}:${pad(Math.floor(frames / 75) % 60)}:${pad(frames % 75)}`;
+}
+
+const quote = text => `"${String(text).replace(/"/g, "'")}"`;
+
+/**
+ * Cue sheet for the rendered file: one TRACK per deck starting where the deck comes in,
+ * transition markers as REM lines of the track they fall into.
+ */
+export function cueSheet(markers, { fileName, title = 'Mix' }) {
+  const lines = [`TITLE ${quote(title)}`, `FILE ${quote(fileName)} WAVE`];
+  let track = 0;
+  for (const marker of markers) {
+    if (marker.track) {
+      track++;
+      lines.push(
+        `  TRACK ${String(track).padStart(2, '0')} AUDIO`,
+        `    TITLE ${quote(marker.label)}`,
+        // Players expect the first track to begin at the start of the file
+        `    INDEX 01 ${track === 1 ? '00:00:00' : cueTime(marker.time)}`
+      );
+    } else if (track) {
+      lines.push(`    REM MARKER ${cueTime(marker.time)} ${quote(marker.label)}`);
+    }
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/** File name from the track names, without characters file systems reject */
+export function exportFileName(names, suffix, extension) {
+  const tracks = names.length > 3 ? [names[0], '…', names.at(-1)] : names;
+  const base = [...tracks, suffix].filter(Boolean).join(' - ').replace(/[\\/:*?"<>|]+/g, '_');
+  return `${base}.${extension}`;
+}
@@ -0,0 +1,25 @@
+// Grouping of selected files into tracks
+
+/**
+ * Pair audio and analysis files (anything with a `name`) by base name; leftovers (e.g. analysis
+ * JSONs named after the Spotify track id) are paired in selection order.
+ * Returns [{ base, audio, json }] with complete pairs first.
+ */
+export function pairTrackFiles(files) {
+  const groups = new Map();
+  for (const file of files) {
+    const base = file.name.replace(/\.[^.]+$/, '');
+    const isJson = /\.json$/i.test(file.name) || file.type === 'application/json';
+    const group = groups.get(base) || { base, audio: null, json: null };
+    if (isJson) group.json = file; else group.audio = file;
+    groups.set(base, group);
+  }
+  const paired = [...groups.values()].filter(g => g.audio && g.json);
+  const audioOnly = [...groups.values()].filter(g => g.audio && !g.json);
+  const jsonOnly = [...groups.values()].filter(g => !g.audio && g.json);
+  if (audioOnly.length === jsonOnly.length) {
+    audioOnly.forEach((g, i) => { g.json = jsonOnly[i].json; });
+    jsonOnly.length = 0;
+  }
+  return [...paired, ...audioOnly, ...jsonOnly];
+}
@@ -0,0 +1,232 @@
+// FLAC encoding: fixed linear predictors with partitioned Rice-coded residuals
+
+import { quantizeChannels } from './wav.js';
+
+const BLOCK_SIZE = 4096;
+const MAX_PARTITION_ORDER = 6;
+// Frame header codes, so every frame decodes on its own without STREAMINFO (0 = see STREAMINFO)
+const SAMPLE_RATE_CODES = { 88200: 0b0001, 176400: 0b0010, 192000: 0b0011, 8000: 0b0100, 16000: 0b0101, 22050: 0b0110, 24000: 0b0111, 32000: 0b1000, 44100: 0b1001, 48000: 0b1010, 96000: 0b1011 };
+const SAMPLE_SIZE_CODES = { 8: 0b001, 12: 0b010, 16: 0b100, 20: 0b101, 24: 0b110 };
+
+/** Growable MSB-first bit writer */
+class BitWriter {
+  constructor(capacity = 1 << 16) {
+    this.bytes = new Uint8Array(capacity);
+    this.length = 0; // whole bytes written
+    this.acc = 0; // pending bits, fewer than 8
+    this.bits = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  /** Write the low `n` bits of an unsigned value, n up to 32 */
+  write(value, n) {
+    if (n > 24) {
+      this.write(Math.floor(value / 2 ** 24), n - 24);
+      this.write(value % 2 ** 24, 24);
+      return;
+    }
+    this.ensure(4);
+    this.acc = (this.acc << n) | (value & ((1 << n) - 1));
+    this.bits += n;
+    while (this.bits >= 8) {
+      this.bits -= 8;
+      this.bytes[this.length++] = (this.acc >> this.bits) & 0xff;
+    }
+    this.acc &= (1 << this.bits) - 1;
+  }
+
+  writeSigned(value, n) {
+    this.write(value < 0 ? value + 2 ** n : value, n);
+  }
+
+  /** `count` zero bits followed by a one */
+  writeUnary(count) {
+    while (count >= 24) {
+      this.write(0, 24);
+      count -= 24;
+    }
+    this.write(1, count + 1);
+  }
+
+  alignToByte() {
+    if (this.bits) this.write(0, 8 - this.bits);
+  }
+
+  /** Written bytes from `start` (must be byte-aligned) */
+  slice(start = 0) {
+    return this.bytes.subarray(start, this.length);
+  }
+}
+
+const CRC8 = new Uint8Array(256);
+const CRC16 = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+  let c8 = i;
+  let c16 = i << 8;
+  for (let b = 0; b < 8; b++) {
+    c8 = (c8 & 0x80) ? ((c8 << 1) ^ 0x07) & 0xff : (c8 << 1) & 0xff;
+    c16 = (c16 & 0x8000) ? ((c16 << 1) ^ 0x8005) & 0xffff : (c16 << 1) & 0xffff;
+  }
+  CRC8[i] = c8;
+  CRC16[i] = c16;
+}
+
+function crc8(bytes) {
+  let crc = 0;
+  for (const b of bytes) crc = CRC8[crc ^ b];
+  return crc;
+}
+
+function crc16(bytes) {
+  let crc = 0;
+  for (const b of bytes) crc = ((crc << 8) & 0xffff) ^ CRC16[(crc >> 8) ^ b];
+  return crc;
+}
+
+/** Residual of the fixed polynomial predictor of `order` (0..4) */
+function fixedResidual(samples, order) {
+  const r = new Float64Array(samples.length - order);
+  for (let i = order; i < samples.length; i++) {
+    const s = samples;
+    let p = 0;
+    if (order === 1) p = s[i - 1];
+    else if (order === 2) p = 2 * s[i - 1] - s[i - 2];
+    else if (order === 3) p = 3 * s[i - 1] - 3 * s[i - 2] + s[i - 3];
+    else if (order === 4) p = 4 * s[i - 1] - 6 * s[i - 2] + 4 * s[i - 3] - s[i - 4];
+    r[i - order] = s[i] - p;
+  }
+  return r;
+}
+
+const zigzag = v => (v >= 0 ? 2 * v : -2 * v - 1);
+
+/** Rice parameter for a run of zigzagged residuals and its estimated cost in bits */
+function riceParameter(values, from, to) {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += values[i];
+  const count = to - from;
+  const k = count && sum > count ? Math.min(30, Math.floor(Math.log2(sum / count))) : 0;
+  return { k, bits: count * (k + 1) + Math.floor(sum / 2 ** k) };
+}
+
+/** Partition order and per-partition parameters with the smallest residual size */
+function planResidual(residual, blockSize, order) {
+  const values = residual.map(zigzag);
+  let best = null;
+  for (let p = 0; p <= MAX_PARTITION_ORDER; p++) {
+    const partitions = 2 ** p;
+    if (blockSize % partitions || blockSize / partitions <= order) break;
+    const size = blockSize / partitions;
+    const params = [];
+    let bits = 6; // coding method + partition order
+    for (let i = 0; i < partitions; i++) {
+      const from = i === 0 ? 0 : i * size - order;
+      const to = (i + 1) * size - order;
+      const param = riceParameter(values, from, to);
+      params.push(param.k);
+      bits += 5 + param.bits;
+    }
+    if (!best || bits < best.bits) best = { order: p, params, bits, size };
+  }
+  return { ...best, values };
+}
+
+function writeSubframe(writer, samples, bitsPerSample) {
+  const blockSize = samples.length;
+  if (samples.every(v => v === samples[0])) {
+    writer.write(0b00000000, 8); // constant
+    writer.writeSigned(samples[0], bitsPerSample);
+    return;
+  }
+  let best = null;
+  for (let order = 0; order <= Math.min(4, blockSize - 1); order++) {
+    const plan = planResidual(fixedResidual(samples, order), blockSize, order);
+    const bits = plan.bits + order * bitsPerSample;
+    if (!best || bits < best.bits) best = { ...plan, fixedOrder: order, bits };
+  }
+  if (best.bits >= blockSize * bitsPerSample) {
+    writer.write(0b00000010, 8); // verbatim
+    for (const v of samples) writer.writeSigned(v, bitsPerSample);
+    return;
+  }
+  writer.write(0b00010000 | (best.fixedOrder << 1), 8); // fixed predictor of that order
+  for (let i = 0; i < best.fixedOrder; i++) writer.writeSigned(samples[i], bitsPerSample);
+  writer.write(0b01, 2); // Rice coding with 5-bit parameters
+  writer.write(best.order, 4);
+  best.params.forEach((k, i) => {
+    writer.write(k, 5);
+    const from = i === 0 ? 0 : i * best.size - best.fixedOrder;
+    const to = (i + 1) * best.size - best.fixedOrder;
+    for (let j = from; j < to; j++) {
+      const v = best.values[j];
+      writer.writeUnary(Math.floor(v / 2 ** k));
+      if (k) writer.write(v % 2 ** k, k);
+    }
+  });
+}
+
+/** Frame numbers use the UTF-8 style variable-length code */
+function writeUtf8Number(writer, n) {
+  if (n < 0x80) {
+    writer.write(n, 8);
+    return;
+  }
+  const bytes = [];
+  while (n >= 0x40 >> bytes.length || bytes.length === 0) {
+    bytes.unshift(0x80 | (n & 0x3f));
+    n = Math.floor(n / 64);
+  }
+  const count = bytes.length + 1;
+  writer.write(((0xff00 >> count) & 0xff) | n, 8);
+  for (const b of bytes) writer.write(b, 8);
+}
+
+function writeFrame(writer, channels, start, blockSize, frameNumber, bitsPerSample, sampleRate) {
+  const frameStart = writer.length;
+  writer.write(0xfff8, 16); // sync, fixed block size
+  const sizeCode = blockSize === BLOCK_SIZE ? 0b1100 : 0b0111;
+  writer.write(sizeCode, 4);
+  writer.write(SAMPLE_RATE_CODES[sampleRate] ?? 0, 4);
+  writer.write(channels.length - 1, 4); // independent channels
+  writer.write(SAMPLE_SIZE_CODES[bitsPerSample] ?? 0, 3);
+  writer.write(0, 1);
+  writeUtf8Number(writer, frameNumber);
+  if (sizeCode === 0b0111) writer.write(blockSize - 1, 16);
+  writer.write(crc8(writer.slice(frameStart)), 8);
+
+  for (const channel of channels) writeSubframe(writer, channel.subarray(start, start + blockSize), bitsPerSample);
+  writer.alignToByte();
+  writer.write(crc16(writer.slice(frameStart)), 16);
+}
+
+/** Encode an AudioBuffer as 16- or 24-bit FLAC (TPDF dither optional, as for WAV) */
+export function audioBufferToFlac(buffer, { bitDepth = 16, dither = false } = {}) {
+  const channels = quantizeChannels(buffer, bitDepth, dither);
+  const writer = new BitWriter(Math.ceil(buffer.length * channels.length * bitDepth / 16) + 1024);
+
+  writer.write(0x664c6143, 32); // "fLaC"
+  writer.write(1, 1); // last metadata block
+  writer.write(0, 7); // STREAMINFO
+  writer.write(34, 24);
+  writer.write(BLOCK_SIZE, 16);
+  writer.write(BLOCK_SIZE, 16);
+  writer.write(0, 24); // frame sizes unknown
+  writer.write(0, 24);
+  writer.write(buffer.sampleRate, 20);
+  writer.write(channels.length - 1, 3);
+  writer.write(bitDepth - 1, 5);
+  writer.write(Math.floor(buffer.length / 2 ** 32), 4);
+  writer.write(buffer.length % 2 ** 32, 32);
+  for (let i = 0; i < 4; i++) writer.write(0, 32); // no MD5
+
+  for (let start = 0, frame = 0; start < buffer.length; start += BLOCK_SIZE, frame++) {
+    writeFrame(writer, channels, start, Math.min(BLOCK_SIZE, buffer.length - start), frame, bitDepth, buffer.sampleRate);
+  }
+  return writer.slice().slice().buffer;
+}
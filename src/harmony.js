@@ -0,0 +1,120 @@
+// Keys, the Camelot wheel and harmonic compatibility
+
+import { clamp } from './util.js';
+
+// Harmonic helpers
+export function wrap12(n) { return ((n % 12) + 12) % 12; }
+export function ratioFromSemitones(semitones) { return Math.pow(2, (semitones || 0) / 12); }
+
+const NOTE_NAMES = ['C', 'C♯', 'D', 'E♭', 'E', 'F', 'F♯', 'G', 'A♭', 'A', 'B♭', 'B'];
+
+/** Camelot wheel position: major keys are "B", minor keys "A"; relatives share the number (C major = 8B, A minor = 8A) */
+export function camelotCode(key, mode) {
+  if (!Number.isFinite(key) || key < 0 || (mode !== 0 && mode !== 1)) return null;
+  const major = mode === 1 ? key : wrap12(key + 3);
+  return { number: wrap12(major * 7 + 7) + 1, letter: mode === 1 ? 'B' : 'A' };
+}
+
+export function formatKey(key, mode) {
+  const code = camelotCode(key, mode);
+  if (!code) return Number.isFinite(key) && key >= 0 ? NOTE_NAMES[wrap12(key)] : '–';
+  return `${code.number}${code.letter} ${NOTE_NAMES[wrap12(key)]}-${mode === 1 ? 'Dur' : 'Moll'}`;
+}
+
+const PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Key as DJ software writes it: note names ("Am", "F#m", "Db", "Eb minor"), Camelot ("8A")
+ * or Open Key ("1m", "1d"). Returns { key, mode } in Spotify's numbering, or null.
+ */
+export function parseKeyName(text) {
+  const s = String(text ?? '').trim().replace(/♯/g, '#').replace(/♭/g, 'b');
+  let m = /^(\d{1,2})\s*([ABdm])$/.exec(s);
+  if (m) {
+    const number = Number(m[1]);
+    if (number < 1 || number > 12) return null;
+    // Camelot 8B and Open Key 1d are both C major; minor keys share the number of their relative major
+    const major = wrap12((number - (m[2] === 'A' || m[2] === 'B' ? 8 : 1)) * 7);
+    const minor = m[2] === 'A' || m[2] === 'm';
+    return { key: minor ? wrap12(major - 3) : major, mode: minor ? 0 : 1 };
+  }
+  m = /^([A-Ga-g])\s*(#|b|sharp|flat)?\s*(m|min|minor|moll|maj|major|dur)?$/i.exec(s);
+  if (!m) return null;
+  const accidental = { '#': 1, sharp: 1, b: -1, flat: -1 }[m[2]?.toLowerCase()] ?? 0;
+  const minor = /^(m|min|minor|moll)$/i.test(m[3] ?? '') && m[3] !== 'M';
+  return { key: wrap12(PITCH_CLASSES[m[1].toUpperCase()] + accidental), mode: minor ? 0 : 1 };
+}
+
+const HARMONIC_RELATIONS = {
+  same: { score: 1, label: 'gleiche Tonart' },
+  relative: { score: 0.9, label: 'Paralleltonart' },
+  adjacent: { score: 0.85, label: 'Quintverwandt' },
+  diagonal: { score: 0.6, label: 'diagonal verwandt' },
+  boost: { score: 0.5, label: 'Energie-Sprung (+2)' },
+  semitone: { score: 0.4, label: 'Halbton-Sprung' },
+  clash: { score: 0.15, label: 'dissonant' },
+};
+
+/** Relation of two keys on the Camelot wheel (exact mode, no confidence) */
+function camelotRelation(keyA, modeA, keyB, modeB) {
+  const a = camelotCode(keyA, modeA);
+  const b = camelotCode(keyB, modeB);
+  if (!a || !b) return null;
+  const step = wrap12(b.number - a.number);
+  const distance = Math.min(step, 12 - step);
+  if (a.letter === b.letter) {
+    if (distance === 0) return 'same';
+    if (distance === 1) return 'adjacent';
+    if (step === 2) return 'boost';
+    if (step === 7) return 'semitone';
+    return 'clash';
+  }
+  if (distance === 0) return 'relative';
+  // Minor → major one step clockwise (8A → 9B) and back are the usual diagonal moves
+  if ((a.letter === 'A' && step === 1) || (a.letter === 'B' && step === 11)) return 'diagonal';
+  return 'clash';
+}
+
+/**
+ * Harmonic compatibility of B following A, 0..1. Uncertain modes are blended over both readings
+ * (mode_confidence), uncertain keys pull the score towards neutral (key_confidence).
+ */
+export function harmonicCompatibility(a, b, shiftB = 0) {
+  if (!Number.isFinite(a?.key) || !Number.isFinite(b?.key) || a.key < 0 || b.key < 0) return null;
+  const modeOdds = x => {
+    const p = 0.5 + 0.5 * clamp(x.modeConfidence ?? 1, 0, 1);
+    const mode = x.mode === 0 ? 0 : 1;
+    return [[mode, p], [1 - mode, 1 - p]];
+  };
+  let expected = 0;
+  for (const [modeA, pA] of modeOdds(a)) {
+    for (const [modeB, pB] of modeOdds(b)) {
+      expected += pA * pB * HARMONIC_RELATIONS[camelotRelation(a.key, modeA, wrap12(b.key + shiftB), modeB)].score;
+    }
+  }
+  const confidence = clamp(Math.min(a.keyConfidence ?? 1, b.keyConfidence ?? 1), 0, 1);
+  const relation = camelotRelation(a.key, a.mode, wrap12(b.key + shiftB), b.mode) || 'clash';
+  return {
+    score: 0.5 + (expected - 0.5) * confidence,
+    relation,
+    label: HARMONIC_RELATIONS[relation].label,
+    confidence,
+  };
+}
+
+/**
+ * Detune for B that lands on the nearest *compatible* key rather than the identical one.
+ * Each semitone costs a little, so an already compatible pair stays untouched, and a shift that
+ * still clashes is not worth detuning for.
+ */
+export function suggestHarmonicShift(a, b, maxDetune) {
+  const before = harmonicCompatibility(a, b, 0);
+  if (!before) return { semitones: 0, before: null, after: null };
+  let best = { semitones: 0, value: before.score, after: before };
+  for (let s = -maxDetune; s <= maxDetune; s++) {
+    const after = harmonicCompatibility(a, b, s);
+    const value = after.score - 0.03 * Math.abs(s);
+    if (after.relation !== 'clash' && value > best.value + 1e-9) best = { semitones: s, value, after };
+  }
+  return { semitones: best.semitones, before, after: best.after };
+}
@@ -0,0 +1,425 @@
+// Importers for analyses from other tools: Rekordbox XML, Traktor NML, Serato tags, generic beat JSON
+
+import { validateAnalysis } from './analysis.js';
+import { parseKeyName } from './harmony.js';
+
+/** DJ software collections: one file, many tracks */
+export const COLLECTION_FILE = /\.(xml|nml)$/i;
+
+const r5 = x => Math.round(x * 1e5) / 1e5;
+const baseName = path => String(path ?? '').split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+const normalizeName = name => String(name ?? '').trim().toLowerCase();
+const median = list => [...list].sort((a, b) => a - b)[Math.floor(list.length / 2)];
+
+// ---------------------------------------------------------------------------
+// Common model
+
+/**
+ * Beat times of a beat grid. Each marker { time, bpm, beat } starts a run of beats at `bpm` up to
+ * the next marker; `beat` (1-based) is the marker's position in the bar. The first run is extended
+ * back to the start of the track. Returns { times, downbeats }.
+ */
+function expandGrid(markers, duration, beatsPerBar) {
+  const times = [];
+  const downbeats = [];
+  markers.forEach((marker, i) => {
+    const period = 60 / marker.bpm;
+    const next = markers[i + 1];
+    const end = next ? next.time - period / 2 : duration;
+    for (let k = i === 0 ? -Math.floor(marker.time / period) : 0; marker.time + k * period < end; k++) {
+      const time = marker.time + k * period;
+      times.push(time);
+      if ((((marker.beat - 1 + k) % beatsPerBar) + beatsPerBar) % beatsPerBar === 0) downbeats.push(time);
+    }
+  });
+  return { times, downbeats };
+}
+
+/** Serial intervals { start, duration, confidence } between sorted times, the last one ends at `end` */
+function intervals(times, end) {
+  return times.map((start, i) => ({ start: r5(start), duration: r5(Math.max(0, (times[i + 1] ?? end) - start)), confidence: 1 }));
+}
+
+/**
+ * Analysis in the Spotify shape from what the other tools know: beat times (or grid markers),
+ * downbeats, tempo, key and cue points. Cue points become section starts, DJs set them on phrases.
+ * There are no segments, the planner does without them.
+ */
+function buildAnalysis({ source, duration, tempo = null, beatsPerBar = 4, markers = null, beats = [], downbeats = null, key = null, cues = [] }) {
+  const grid = markers?.length ? expandGrid(markers, duration, beatsPerBar) : { times: beats, downbeats };
+  const times = [...new Set(grid.times)].filter(t => t >= 0 && t < duration).sort((a, b) => a - b);
+  const period = times.length > 1 ? median(times.slice(1).map((t, i) => t - times[i])) : 60 / (tempo || 120);
+  const bars = grid.downbeats?.length
+    ? grid.downbeats.filter(t => t >= 0 && t < duration).sort((a, b) => a - b)
+    : times.filter((_, i) => i % beatsPerBar === 0);
+  const beatList = intervals(times, Math.min(duration, (times.at(-1) ?? 0) + period));
+  const bpm = tempo || 60 / period;
+
+  const starts = [0];
+  for (const cue of [...cues].sort((a, b) => a - b)) {
+    if (cue > starts.at(-1) + 4 && cue < duration - 4) starts.push(cue);
+  }
+  const { key: pitch = -1, mode = -1 } = key ?? {};
+  const sections = intervals(starts, duration).map(s => ({ ...s, tempo: r5(bpm), key: pitch, mode, time_signature: beatsPerBar }));
+
+  return {
+    meta: { analyzer_version: `import-${source}`, platform: source, detailed_status: 'OK', status_code: 0, timestamp: Math.floor(Date.now() / 1000) },
+    track: {
+      duration: r5(duration),
+      end_of_fade_in: 0,
+      start_of_fade_out: r5(duration),
+      tempo: r5(bpm),
+      tempo_confidence: 1,
+      time_signature: beatsPerBar,
+      time_signature_confidence: 1,
+      key: pitch,
+      key_confidence: key ? 1 : 0,
+      mode,
+      mode_confidence: key ? 1 : 0,
+    },
+    bars: intervals(bars, duration),
+    beats: beatList,
+    sections,
+    segments: [],
+    tatums: beatList.flatMap(b => [
+      { start: b.start, duration: r5(b.duration / 2), confidence: 1 },
+      { start: r5(b.start + b.duration / 2), duration: r5(b.duration / 2), confidence: 1 },
+    ]),
+  };
+}
+
+/** Throws with every problem of an imported analysis; returns it unchanged if it is valid */
+function checked(analysis, fileName, what) {
+  const problems = validateAnalysis(analysis);
+  if (problems.length) throw new Error(`${fileName}: ${what} ist unbrauchbar (${problems.join('; ')})`);
+  return analysis;
+}
+
+// ---------------------------------------------------------------------------
+// Generic beat JSON (librosa, Essentia, madmom and similar)
+
+const firstNumber = value => Number(Array.isArray(value) ? value[0] : value) || null;
+
+/** Beats, downbeats, tempo and key from the usual field names, or null if there is no beat list */
+function genericBeats(json) {
+  if (!json || typeof json !== 'object') return null;
+  const rhythm = json.rhythm ?? {};
+  const tonal = json.tonal ?? {};
+  let beats = json.beats ?? json.beat_times ?? json.ticks ?? rhythm.beats_position ?? rhythm.ticks;
+  let downbeats = json.downbeats ?? json.downbeat_times ?? rhythm.downbeats ?? null;
+  if (!Array.isArray(beats) || beats.length < 2) return null;
+  // madmom writes [time, position in bar] pairs
+  if (Array.isArray(beats[0])) {
+    downbeats ??= beats.filter(b => b[1] === 1).map(b => b[0]);
+    beats = beats.map(b => b[0]);
+  } else if (typeof beats[0] === 'object') {
+    beats = beats.map(b => b?.time ?? b?.start);
+  }
+  if (!beats.every(Number.isFinite)) return null;
+  if (Array.isArray(downbeats)) downbeats = downbeats.map(d => (typeof d === 'object' ? d?.time ?? d?.start : d)).filter(Number.isFinite);
+
+  const keyText = typeof json.key === 'string'
+    ? `${json.key} ${json.scale ?? (typeof json.mode === 'string' ? json.mode : '')}`
+    : tonal.key_edma ? `${tonal.key_edma.key} ${tonal.key_edma.scale}`
+    : tonal.key_key ? `${tonal.key_key} ${tonal.key_scale ?? ''}` : null;
+  const sections = json.sections ?? json.cues ?? [];
+  const period = median(beats.slice(1).map((t, i) => t - beats[i]));
+  return {
+    source: 'json',
+    duration: firstNumber(json.duration ?? json.length ?? json.metadata?.audio_properties?.length) || beats.at(-1) + period,
+    tempo: firstNumber(json.tempo ?? json.bpm ?? rhythm.bpm),
+    beatsPerBar: firstNumber(json.time_signature ?? json.beats_per_bar ?? json.meter) || 4,
+    beats,
+    downbeats: downbeats?.length ? downbeats : null,
+    key: keyText ? parseKeyName(keyText.trim()) : null,
+    cues: Array.isArray(sections) ? sections.map(s => (typeof s === 'object' ? s?.start ?? s?.time : s)).filter(Number.isFinite) : [],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Rekordbox XML and Traktor NML
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (all, e) => {
+    if (e[0] !== '#') return ENTITIES[e] ?? all;
+    return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+  });
+}
+
+/**
+ * Elements of an XML document as { name, attributes, children }. The collections keep everything
+ * in attributes, so text content is dropped; comments, declarations and CDATA are skipped.
+ */
+function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  const tag = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[?!][^>]*>|<(\/?)([^\s/>]+)([^>]*?)(\/?)>/g;
+  for (const [, closing, name, attributes, selfClosing] of text.matchAll(tag)) {
+    if (!name) continue;
+    if (closing) {
+      const open = stack.findLastIndex(e => e.name === name);
+      if (open > 0) stack.length = open;
+      continue;
+    }
+    const element = { name, attributes: {}, children: [] };
+    for (const [, key, double, single] of attributes.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      element.attributes[key] = decodeEntities(double ?? single);
+    }
+    stack.at(-1).children.push(element);
+    if (!selfClosing) stack.push(element);
+  }
+  return root;
+}
+
+const children = (element, name) => element?.children.filter(c => c.name === name) ?? [];
+const child = (element, name) => element?.children.find(c => c.name === name) ?? null;
+const attribute = (element, name) => Number(element?.attributes[name]);
+
+/** Rekordbox: TRACK elements of the COLLECTION with TEMPO grid markers and POSITION_MARK cues */
+function rekordboxEntries(root) {
+  return children(child(child(root, 'DJ_PLAYLISTS'), 'COLLECTION'), 'TRACK').map(track => {
+    const a = track.attributes;
+    const tempos = children(track, 'TEMPO');
+    const meter = /^(\d+)\//.exec(tempos[0]?.attributes.Metro ?? '');
+    let fileName = null;
+    try {
+      fileName = decodeURIComponent(new URL(a.Location).pathname.split('/').pop());
+    } catch {
+      fileName = a.Location ? baseName(a.Location) : null;
+    }
+    return {
+      title: a.Name ?? '',
+      artist: a.Artist ?? '',
+      fileName,
+      description: {
+        source: 'rekordbox',
+        duration: attribute(track, 'TotalTime'),
+        tempo: attribute(track, 'AverageBpm') || null,
+        beatsPerBar: meter ? Number(meter[1]) : 4,
+        markers: tempos.map(t => ({ time: attribute(t, 'Inizio'), bpm: attribute(t, 'Bpm'), beat: attribute(t, 'Battito') || 1 }))
+          .filter(m => Number.isFinite(m.time) && m.bpm > 0),
+        key: parseKeyName(a.Tonality),
+        cues: children(track, 'POSITION_MARK').map(m => attribute(m, 'Start')).filter(Number.isFinite),
+      },
+    };
+  });
+}
+
+const TRAKTOR_GRID = 4;
+const TRAKTOR_CUES = [0, 3]; // cue and load markers; fade markers, loops and the grid are left out
+
+/** Traktor: ENTRY elements of the COLLECTION; CUE_V2 positions are in milliseconds */
+function traktorEntries(root) {
+  return children(child(child(root, 'NML'), 'COLLECTION'), 'ENTRY').map(entry => {
+    const info = child(entry, 'INFO');
+    const tempo = attribute(child(entry, 'TEMPO'), 'BPM') || null;
+    const cues = children(entry, 'CUE_V2');
+    // MUSICAL_KEY counts C, C♯ … B major as 0…11 and C … B minor as 12…23
+    const musicalKey = attribute(child(entry, 'MUSICAL_KEY'), 'VALUE');
+    const key = parseKeyName(info?.attributes.KEY)
+      ?? (musicalKey >= 0 && musicalKey < 24 ? { key: musicalKey % 12, mode: musicalKey < 12 ? 1 : 0 } : null);
+    return {
+      title: entry.attributes.TITLE ?? '',
+      artist: entry.attributes.ARTIST ?? '',
+      fileName: child(entry, 'LOCATION')?.attributes.FILE ?? null,
+      description: {
+        source: 'traktor',
+        duration: attribute(info, 'PLAYTIME_FLOAT') || attribute(info, 'PLAYTIME'),
+        tempo,
+        // Grid markers sit on downbeats
+        markers: cues.filter(c => attribute(c, 'TYPE') === TRAKTOR_GRID)
+          .map(c => ({ time: attribute(c, 'START') / 1000, bpm: attribute(child(c, 'GRID'), 'BPM') || tempo, beat: 1 }))
+          .filter(m => Number.isFinite(m.time) && m.bpm > 0)
+          .sort((x, y) => x.time - y.time),
+        key,
+        cues: cues.filter(c => TRAKTOR_CUES.includes(attribute(c, 'TYPE'))).map(c => attribute(c, 'START') / 1000).filter(Number.isFinite),
+      },
+    };
+  });
+}
+
+/**
+ * Tracks of a Rekordbox XML or Traktor NML collection as { title, artist, fileName, description };
+ * throws if the file is neither
+ */
+export function readCollection(text, fileName) {
+  const root = parseXml(text);
+  if (child(root, 'DJ_PLAYLISTS')) return rekordboxEntries(root);
+  if (child(root, 'NML')) return traktorEntries(root);
+  throw new Error(`${fileName} ist weder eine Rekordbox-XML- noch eine Traktor-NML-Sammlung`);
+}
+
+/** Collection entry for a track or file name: by file name, then "Artist - Title", then title */
+export function findCollectionEntry(entries, name) {
+  // The name may come with or without its extension
+  const wanted = new Set([normalizeName(name), normalizeName(baseName(name))]);
+  return entries.find(e => wanted.has(normalizeName(baseName(e.fileName))))
+    ?? entries.find(e => wanted.has(normalizeName(`${e.artist} - ${e.title}`)))
+    ?? entries.find(e => wanted.has(normalizeName(e.title)))
+    ?? null;
+}
+
+/** Analysis in the Spotify shape of a collection entry */
+export function collectionAnalysis(entry, fileName) {
+  const label = [entry.artist, entry.title].filter(Boolean).join(' - ') || entry.fileName;
+  if (!entry.description.markers.length) throw new Error(`${fileName}: „${label}“ hat kein Beatgrid`);
+  return checked(buildAnalysis(entry.description), fileName, `„${label}“`);
+}
+
+// ---------------------------------------------------------------------------
+// Serato (GEOB frames in the ID3 tag of the audio file)
+
+const latin1 = bytes => String.fromCharCode(...bytes);
+
+/** Frames { id, body } of the ID3v2.3/2.4 tag at the start of a file, null without a tag */
+function id3Frames(bytes) {
+  if (bytes.length < 10 || latin1(bytes.subarray(0, 3)) !== 'ID3') return null;
+  const version = bytes[3];
+  if (version !== 3 && version !== 4) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const syncsafe = at => (bytes[at] << 21) | (bytes[at + 1] << 14) | (bytes[at + 2] << 7) | bytes[at + 3];
+  const end = Math.min(bytes.length, 10 + syncsafe(6));
+  let at = 10;
+  // Extended header: v2.4 counts its own size, v2.3 does not
+  if (bytes[5] & 0x40) at += version === 4 ? syncsafe(10) : 4 + view.getUint32(10);
+  const frames = [];
+  while (at + 10 <= end && bytes[at] !== 0) {
+    const size = version === 4 ? syncsafe(at + 4) : view.getUint32(at + 4);
+    frames.push({ id: latin1(bytes.subarray(at, at + 4)), body: bytes.subarray(at + 10, at + 10 + size) });
+    at += 10 + size;
+  }
+  return frames;
+}
+
+const TEXT_ENCODINGS = ['latin1', 'utf-16le', 'utf-16be', 'utf-8'];
+
+/** Text up to the terminator of ID3 `encoding` (two zero bytes for UTF-16) and where the rest starts */
+function terminated(body, at, encoding) {
+  const wide = encoding === 1 || encoding === 2;
+  let end = at;
+  while (end < body.length && (wide ? body[end] || body[end + 1] : body[end])) end += wide ? 2 : 1;
+  const bytes = body.subarray(at, end);
+  // Encoding 1 is UTF-16 with a byte order mark
+  const label = encoding === 1 && bytes[0] === 0xfe ? 'utf-16be' : TEXT_ENCODINGS[encoding] ?? 'latin1';
+  return { text: new TextDecoder(label).decode(bytes), next: end + (wide ? 2 : 1) };
+}
+
+/** Payloads of the GEOB frames by description, values of the text frames by id */
+function id3Contents(frames) {
+  const objects = new Map();
+  const texts = new Map();
+  for (const { id, body } of frames) {
+    const encoding = body[0];
+    if (id === 'GEOB') {
+      const mime = terminated(body, 1, 0);
+      const file = terminated(body, mime.next, encoding);
+      const description = terminated(body, file.next, encoding);
+      objects.set(description.text, body.subarray(description.next));
+    } else if (id[0] === 'T') {
+      texts.set(id, terminated(body, 1, encoding).text);
+    }
+  }
+  return { objects, texts };
+}
+
+/**
+ * "Serato BeatGrid": 0x01 0x00, the marker count, then per marker its position (float seconds) and
+ * the beats to the next marker; the last marker has the BPM instead. All big-endian.
+ */
+function seratoGrid(data, beatsPerBar) {
+  if (!data || data.length < 6 || data[0] !== 1 || data[1] !== 0) return null;
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const count = view.getUint32(2);
+  if (!count || 6 + count * 8 > data.length) return null;
+  const markers = Array.from({ length: count }, (_, i) => {
+    const at = 6 + i * 8;
+    return i === count - 1
+      ? { time: view.getFloat32(at), bpm: view.getFloat32(at + 4) }
+      : { time: view.getFloat32(at), beats: view.getUint32(at + 4) };
+  });
+  // The first marker is taken as a downbeat, the bar count runs on across markers
+  markers.forEach((m, i) => {
+    const previous = markers[i - 1];
+    m.beat = previous ? ((previous.beat - 1 + previous.beats) % beatsPerBar) + 1 : 1;
+    if (m.beats != null) m.bpm = m.beats * 60 / (markers[i + 1].time - m.time);
+  });
+  return markers.filter(m => Number.isFinite(m.time) && m.bpm > 0);
+}
+
+/** Cue positions (seconds) of "Serato Markers2": base64 of named entries, CUE entries hold milliseconds */
+function seratoCues(data) {
+  if (!data || data[0] !== 1 || data[1] !== 1) return [];
+  let text = latin1(data.subarray(2)).replace(/[^A-Za-z0-9+/]/g, '');
+  if (text.length % 4 === 1) text = text.slice(0, -1);
+  let bytes;
+  try {
+    bytes = Uint8Array.from(atob(text.padEnd(Math.ceil(text.length / 4) * 4, '=')), c => c.charCodeAt(0));
+  } catch {
+    return [];
+  }
+  const view = new DataView(bytes.buffer);
+  const cues = [];
+  let at = 2;
+  while (at < bytes.length) {
+    const nameEnd = bytes.indexOf(0, at);
+    if (nameEnd <= at || nameEnd + 5 > bytes.length) break;
+    const length = view.getUint32(nameEnd + 1);
+    if (latin1(bytes.subarray(at, nameEnd)) === 'CUE' && length >= 6) cues.push(view.getUint32(nameEnd + 7) / 1000);
+    at = nameEnd + 5 + length;
+  }
+  return cues;
+}
+
+/**
+ * Analysis from the beatgrid and cues Serato writes into the ID3 tag of an MP3 (key from TKEY);
+ * null if the file has no Serato beatgrid. `duration` comes from the decoded audio.
+ */
+export function seratoAnalysis(arrayBuffer, duration, fileName = 'Audio') {
+  const frames = id3Frames(new Uint8Array(arrayBuffer));
+  if (!frames) return null;
+  const { objects, texts } = id3Contents(frames);
+  const markers = seratoGrid(objects.get('Serato BeatGrid'), 4);
+  if (!markers?.length) return null;
+  const description = {
+    source: 'serato',
+    duration,
+    markers,
+    key: parseKeyName(texts.get('TKEY')),
+    cues: seratoCues(objects.get('Serato Markers2')),
+  };
+  return checked(buildAnalysis(description), fileName, 'das Serato-Beatgrid');
+}
+
+// ---------------------------------------------------------------------------
+
+/**
+ * Analysis in the Spotify shape from the text of an analysis file: a Spotify audio analysis
+ * (validated field by field), a generic beat JSON or a Rekordbox/Traktor collection, of which the
+ * entry for `trackName` is taken. Throws with a readable message if the file cannot be used.
+ */
+export function importAnalysis(text, fileName, { trackName = null } = {}) {
+  if (COLLECTION_FILE.test(fileName) || /^\s*</.test(text)) {
+    const entries = readCollection(text, fileName);
+    const entry = entries.length === 1 ? entries[0] : findCollectionEntry(entries, trackName ?? '');
+    if (!entry) {
+      throw new Error(trackName
+        ? `„${trackName}“ kommt in ${fileName} nicht vor (${entries.length} Tracks)`
+        : `${fileName} enthält ${entries.length} Tracks, welcher gemeint ist, bleibt offen`);
+    }
+    return collectionAnalysis(entry, fileName);
+  }
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${fileName} ist kein gültiges JSON (${err.message})`);
+  }
+  if (json?.track == null) {
+    const description = genericBeats(json);
+    if (description) return checked(buildAnalysis(description), fileName, 'die Beat-Liste');
+  }
+  return checked(json, fileName, 'die Analyse');
+}
@@ -0,0 +1,279 @@
+// Timeline layout of a chain of decks: rates, pitches, fades and beat phase
+
+import { nearestIndex } from './util.js';
+import { ratioFromSemitones } from './harmony.js';
+import { automationValue, sampleTimes } from './automation.js';
+
+/** Even steps a curved tempo-nudge segment is sampled at, on top of its breakpoints */
+const NUDGE_STEPS = 32;
+
+/** What the layout needs to know about a track besides its buffer */
+export function trackMeta(analysis) {
+  return {
+    tempo: analysis.tempo || 120,
+    beatsPerBar: analysis.meter?.beatsPerBar || 4,
+    beats: analysis.beats.map(b => b.start),
+    downbeats: analysis.getDownbeats(),
+  };
+}
+
+/**
+ * A deck's rate automation as segments { t0, t1, r0, r1, p0 } (context time, rate at both ends,
+ * buffer position at t0) from the deck start up to `until`. Mirrors AudioParam semantics:
+ * a ramp event ramps linearly from the previous event, a plain event steps.
+ */
+export function rateSegments(deck, until) {
+  const segments = [];
+  let t = deck.start;
+  let r = deck.rates[0]?.value ?? 1;
+  let p = deck.offset;
+  let prevTime = deck.start;
+  for (const e of [...deck.rates, null]) {
+    const t1 = e ? Math.min(e.time, until) : until;
+    if (t1 > t) {
+      const r1 = e?.ramp ? r + (e.value - r) * (t1 - t) / Math.max(1e-9, e.time - Math.max(prevTime, t)) : r;
+      segments.push({ t0: t, t1, r0: r, r1, p0: p });
+      p += (t1 - t) * (r + r1) / 2;
+      t = t1;
+      r = r1;
+    }
+    if (!e || e.time >= until) break;
+    r = e.value;
+    prevTime = e.time;
+  }
+  return segments;
+}
+
+/** Buffer position of a deck at context time `time` */
+export function positionAt(segments, time) {
+  for (const s of segments) {
+    if (time <= s.t1) {
+      const dt = Math.max(0, time - s.t0);
+      const r = s.r0 + (s.r1 - s.r0) * dt / Math.max(1e-9, s.t1 - s.t0);
+      return s.p0 + dt * (s.r0 + r) / 2;
+    }
+  }
+  const last = segments.at(-1);
+  return last ? last.p0 + (last.t1 - last.t0) * (last.r0 + last.r1) / 2 + (time - last.t1) * last.r1 : 0;
+}
+
+/** Context time at which a deck reaches buffer position `pos` (inverse of positionAt) */
+export function timeAtPosition(segments, pos) {
+  for (const s of segments) {
+    const duration = s.t1 - s.t0;
+    const span = duration * (s.r0 + s.r1) / 2;
+    if (pos <= s.p0 + span) {
+      const d = pos - s.p0;
+      const a = (s.r1 - s.r0) / (2 * Math.max(1e-9, duration));
+      // Solve a·τ² + r0·τ = d in the numerically stable form
+      const tau = Math.abs(a) < 1e-12 ? d / s.r0 : (2 * d) / (s.r0 + Math.sqrt(Math.max(0, s.r0 * s.r0 + 4 * a * d)));
+      return s.t0 + tau;
+    }
+  }
+  const last = segments.at(-1);
+  if (!last) return 0;
+  const end = last.p0 + (last.t1 - last.t0) * (last.r0 + last.r1) / 2;
+  return last.t1 + (pos - end) / last.r1;
+}
+
+/**
+ * Rate automation for B that lands each of its beats on A's matching beat in context time,
+ * one constant rate per beat interval, so the grids stay in phase however A's rate moves.
+ * `multiple` is how many of A's beats one of B's spans (2: B in half time, 0.5: in double time).
+ * Returns the adjusted start offset and the rate events, or null without usable beats.
+ */
+function lockBeatsToDeck(deckA, beatsA, beatsB, startB, start, end, multiple = 1) {
+  const stepA = Math.max(1, Math.round(multiple));
+  const stepB = Math.max(1, Math.round(1 / multiple));
+  const segA = rateSegments(deckA, end + 60);
+  const j0 = nearestIndex(beatsA, positionAt(segA, start));
+  const k0 = nearestIndex(beatsB, startB);
+  if (j0 < 0 || k0 < 0) return null;
+  const times = [];
+  for (let j = j0; j < beatsA.length; j += stepA) {
+    times.push(timeAtPosition(segA, beatsA[j]));
+    if (times.at(-1) >= end) break;
+  }
+  const rates = [];
+  for (let k = 0; k + 1 < times.length && k0 + (k + 1) * stepB < beatsB.length; k++) {
+    const value = (beatsB[k0 + (k + 1) * stepB] - beatsB[k0 + k * stepB]) / (times[k + 1] - times[k]);
+    rates.push({ time: k === 0 ? start : times[k], value });
+  }
+  if (rates.length === 0) return null;
+  // Start B so that its beat k0 lands exactly on A's beat j0
+  const offset = Math.max(0, beatsB[k0] - (times[0] - start) * rates[0].value);
+  return { offset, rates };
+}
+
+/**
+ * Worst-case and mean distance (ms) between each beat of the sparser grid in the overlap and the
+ * nearest beat of the other: A's beats, or B's while B runs in half time (`multiple` 2)
+ */
+function measureBeatPhase(deckA, deckB, beatsA, beatsB, start, end, multiple = 1) {
+  const segA = rateSegments(deckA, end);
+  const segB = rateSegments(deckB, end);
+  const timesA = beatsA.map(b => timeAtPosition(segA, b));
+  const timesB = beatsB.filter(b => b >= deckB.offset).map(b => timeAtPosition(segB, b));
+  const [sparse, dense] = multiple > 1 ? [timesB, timesA] : [timesA, timesB];
+  const measured = sparse.filter(t => t >= start && t <= end);
+  const others = dense.filter(t => t <= end + 1);
+  if (measured.length === 0 || others.length === 0) return null;
+  const offsets = measured.map(t => Math.abs(others[nearestIndex(others, t)] - t) * 1000);
+  return {
+    maxOffsetMs: Math.max(...offsets),
+    meanOffsetMs: offsets.reduce((a, b) => a + b, 0) / offsets.length,
+    beats: offsets.length,
+  };
+}
+
+/**
+ * Moment of the bass swap: one of A's downbeats inside the overlap, `bar` counting them from 1,
+ * or the one nearest the middle. Returns { time, bar, bars } (context time, chosen bar, downbeats
+ * available); without a downbeat in the overlap the swap falls on its middle and bar is null.
+ */
+function chooseBassSwap(deckA, downbeats, start, end, bar) {
+  const segments = rateSegments(deckA, end);
+  const from = positionAt(segments, start);
+  const to = positionAt(segments, end);
+  const times = downbeats
+    .filter(d => d > from + 0.05 && d < to - 0.05)
+    .map(d => timeAtPosition(segments, d));
+  if (!times.length) return { time: (start + end) / 2, bar: null, bars: 0 };
+  const index = Number.isInteger(bar) && bar >= 1
+    ? Math.min(bar, times.length) - 1
+    : nearestIndex(times, (start + end) / 2);
+  return { time: times[index], bar: index + 1, bars: times.length };
+}
+
+/**
+ * Scale a deck's rate over a transition [start, end] by the nudge lane `name` (percent). The rate
+ * events inside keep their kind, points in between ramp; at `end` the deck returns to its own rate.
+ */
+function nudgeRates(deck, automation, name, start, end) {
+  const factor = time => 1 + automationValue(automation, name, (time - start) / Math.max(1e-9, end - start)) / 100;
+  const segments = rateSegments(deck, end + 1);
+  const rateAt = time => {
+    const s = segments.find(seg => time >= seg.t0 && time < seg.t1) ?? segments.at(-1);
+    return s.r0 + (s.r1 - s.r0) * (time - s.t0) / Math.max(1e-9, s.t1 - s.t0);
+  };
+  const inside = deck.rates.filter(e => e.time >= start && e.time <= end);
+  const times = sampleTimes(automation, NUDGE_STEPS, [name])
+    .map(t => start + t * (end - start))
+    .filter(time => !inside.some(e => e.time === time));
+  const nudged = [
+    ...inside.map(e => ({ ...e, value: e.value * factor(e.time) })),
+    ...times.map(time => ({ time, value: rateAt(time) * factor(time), ramp: true })),
+  ].sort((a, b) => a.time - b.time);
+  deck.rates = [
+    ...deck.rates.filter(e => e.time < start),
+    ...nudged,
+    { time: end, value: rateAt(end) },
+    ...deck.rates.filter(e => e.time > end),
+  ];
+}
+
+/**
+ * Lay out a chain of tracks on one timeline (seconds, relative to the mix start).
+ * tracks: [{ buffer, tempo, beatsPerBar?, beats, trim? }], transitions: [{ plan, options }] where transitions[i] joins tracks[i] and tracks[i + 1].
+ * `trim` is a track's linear loudness-matching gain (default 1), `downbeats` (buffer seconds) are
+ * where a bass swap (`options.bassSwap`, optionally on `options.bassSwapBar`) may fall.
+ * Every deck keeps the playback rate it ends its incoming transition with until its own outgoing transition.
+ * `rates` is the speed through the buffer; with time-stretching the detune lives separately in `pitches` (semitones),
+ * without it the detune is folded into the rate like a turntable.
+ * With `phaseLock` B follows A's beat times beat by beat (`beats` are beat start times in buffer seconds);
+ * `transitions` in the result carries each overlap's beat-phase report.
+ * The tempo-nudge lanes of a transition's automation speed its decks up or down on top of all that.
+ */
+export function layoutChain(tracks, transitions, { from = 0 } = {}) {
+  const decks = [];
+  const warnings = [];
+  const overlaps = [];
+  let time = 0;
+  let pos = from;
+  const first = transitions[0] || { plan: {}, options: {} };
+  const firstStretch = !!first.options.timeStretch;
+  let rate = firstStretch ? 1 : ratioFromSemitones(first.plan.pitchSemisA || 0);
+  decks.push({
+    buffer: tracks[0].buffer, tempo: tracks[0].tempo || 120, beatsPerBar: tracks[0].beatsPerBar || 4, trim: tracks[0].trim ?? 1, offset: from, start: 0, stop: 0, stretch: firstStretch,
+    rates: [{ time: 0, value: rate }],
+    pitches: [{ time: 0, value: firstStretch ? (first.plan.pitchSemisA || 0) : 0 }],
+    fadeIn: null, fadeOut: null,
+  });
+
+  transitions.forEach(({ plan, options }, i) => {
+    const deckA = decks[i];
+    const tempoA = tracks[i].tempo || 120;
+    const tempoB = tracks[i + 1].tempo || 120;
+
+    // Play A at its held rate until it reaches the out point
+    const wait = (plan.startA - pos) / rate;
+    if (wait < 0) warnings.push({ transition: i, message: 'out point lies before the end of the previous transition' });
+    time += Math.max(0, wait);
+    const start = time;
+    const end = start + plan.xfadeDuration;
+
+    const stretch = !!options.timeStretch;
+    const detuneRatioA = stretch ? 1 : ratioFromSemitones(plan.pitchSemisA || 0);
+    const detuneRatioB = stretch ? 1 : ratioFromSemitones(plan.pitchSemisB || 0);
+    const baseRateB = 1 * detuneRatioB;
+    const targetRateA = ((plan.targetTempoA || 120) / tempoA) * detuneRatioA;
+    const targetRateB = ((plan.targetTempoB || 120) / tempoB) * detuneRatioB;
+
+    const deckB = {
+      buffer: tracks[i + 1].buffer, tempo: tempoB, beatsPerBar: tracks[i + 1].beatsPerBar || 4, trim: tracks[i + 1].trim ?? 1, offset: plan.startB, start, stop: 0, stretch,
+      rates: [], pitches: [{ time: start, value: stretch ? (plan.pitchSemisB || 0) : 0 }],
+      fadeIn: { start, end, plan, options }, fadeOut: null,
+    };
+    if (stretch && plan.pitchSemisA) deckA.pitches.push({ time: start, value: deckA.pitches.at(-1).value + plan.pitchSemisA });
+    deckA.stretch = deckA.stretch || stretch;
+    // A glides (tempoRamp) or steps to the target tempo; it is the master clock of the overlap
+    if (options.tempoRamp) deckA.rates.push({ time: start, value: rate }, { time: end, value: targetRateA, ramp: true });
+    else deckA.rates.push({ time: start, value: targetRateA });
+
+    const beatsA = tracks[i].beats || [];
+    const beatsB = tracks[i + 1].beats || [];
+    const locked = options.phaseLock && beatsA.length > 1 && beatsB.length > 1
+      ? lockBeatsToDeck(deckA, beatsA, beatsB, plan.startB, start, end, plan.strategy?.multiple)
+      : null;
+    let heldRateB = targetRateB;
+    if (locked) {
+      deckB.offset = locked.offset;
+      deckB.rates.push(...locked.rates);
+      // B's speed now follows A's beats, so a resampled detune cannot survive; only time-stretch keeps it
+      heldRateB = (plan.targetTempoB || 120) / tempoB;
+      deckB.rates.push({ time: end, value: heldRateB });
+    } else if (options.tempoRamp) {
+      deckB.rates.push({ time: start, value: baseRateB }, { time: end, value: targetRateB, ramp: true });
+    } else {
+      deckB.rates.push({ time: start, value: targetRateB });
+    }
+    const automation = options.automation;
+    if (automation?.lanes.nudgeA) nudgeRates(deckA, automation, 'nudgeA', start, end);
+    if (automation?.lanes.nudgeB) nudgeRates(deckB, automation, 'nudgeB', start, end);
+    deckA.fadeOut = { start, end, plan, options };
+    deckA.stop = end + 0.01;
+    const bassSwap = options.bassSwap ? chooseBassSwap(deckA, tracks[i].downbeats || [], start, end, options.bassSwapBar) : null;
+    deckA.fadeOut.bassSwap = deckB.fadeIn.bassSwap = bassSwap?.time ?? null;
+    decks.push(deckB);
+
+    overlaps.push({
+      start,
+      end,
+      locked: !!locked,
+      detuneDropped: !!locked && !stretch && !!plan.pitchSemisB,
+      // A fallback without beat-matching has no phase to report
+      phase: plan.strategy?.fallback ? null : measureBeatPhase(deckA, deckB, beatsA, beatsB, start, end, plan.strategy?.multiple),
+      bassSwap,
+    });
+    pos = positionAt(rateSegments(deckB, end), end);
+    rate = heldRateB;
+    time = end;
+  });
+
+  // The last deck plays out to the end of its buffer
+  const last = decks[decks.length - 1];
+  const remaining = last.buffer ? Math.max(0, last.buffer.duration - pos) / rate : 0;
+  last.stop = time + remaining;
+
+  return { decks, duration: Math.max(...decks.map(d => d.stop)), warnings, transitions: overlaps };
+}
@@ -0,0 +1,127 @@
+// Local track library in IndexedDB: original audio files and analyses, kept between sessions
+
+const DB_NAME = 'smartMixLibrary';
+const DB_VERSION = 1;
+const STORE = 'tracks';
+/** Audio and an analysis whose durations differ by less than this are taken to be the same song */
+const PAIR_TOLERANCE_SECONDS = 0.5;
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** SHA-256 of a file or text as hex */
+export async function contentHash(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : await data.arrayBuffer();
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/** Duration of an entry: the decoded audio's if there is audio, else the analysis' */
+export function entryDuration(entry) {
+  return entry.audioDuration ?? entry.analysis?.track?.duration ?? null;
+}
+
+/**
+ * Entries matching a search text: every word has to occur in the name, file name, tempo
+ * (e.g. "128") or key (as formatted by `formatKey`, e.g. "8A")
+ */
+export function searchEntries(entries, query, formatKey = () => '') {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return entries.filter(entry => {
+    const track = entry.analysis?.track;
+    const text = [
+      entry.name,
+      entry.fileName,
+      track?.tempo ? Math.round(track.tempo) : '',
+      track ? formatKey(track.key, track.mode) : '',
+    ].join(' ').toLowerCase();
+    return words.every(w => text.includes(w));
+  });
+}
+
+/**
+ * Tracks stored in the browser. An entry is
+ * { key, name, fileName, trackId, audio (the original File), audioDuration, analysis (Spotify-shaped JSON as loaded),
+ * analysisOffset (seconds the analysis is moved by to match the audio), added },
+ * keyed by "spotify:<track id>" when the id is known, otherwise by the SHA-256 of the audio file
+ * (or of the analysis for entries without audio). Audio-only and analysis-only entries whose
+ * durations match are merged into one.
+ */
+export class TrackLibrary {
+  constructor() {
+    this.db = null;
+  }
+
+  async open() {
+    if (!this.db) {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'key' });
+      this.db = await request(req);
+    }
+    return this.db;
+  }
+
+  async store(mode = 'readonly') {
+    return (await this.open()).transaction(STORE, mode).objectStore(STORE);
+  }
+
+  async list() {
+    const entries = await request((await this.store()).getAll());
+    return entries.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  }
+
+  async get(key) {
+    return (await request((await this.store()).get(key))) ?? null;
+  }
+
+  async delete(key) {
+    await request((await this.store('readwrite')).delete(key));
+  }
+
+  /** Key an entry is stored under */
+  async keyFor({ trackId, audio, analysis }) {
+    if (trackId) return `spotify:${trackId}`;
+    if (audio) return `sha256:${await contentHash(audio)}`;
+    return `sha256:${await contentHash(JSON.stringify(analysis))}`;
+  }
+
+  /**
+   * Add or update a track: { name, fileName, trackId, audio, audioDuration, analysis, analysisOffset }. An entry
+   * that is missing audio or analysis takes it from the one stored entry with the other half and a
+   * matching duration. `previousKey` (the key the track was stored under before, e.g. before its
+   * Spotify id was known) is replaced. Returns the stored entry.
+   */
+  async put(track, previousKey = null) {
+    const entries = await this.list();
+    const previous = entries.find(e => e.key === previousKey);
+    let entry = { ...previous, ...withoutEmpty(track) };
+    const partner = !(entry.audio && entry.analysis) && findPartner(entries, entry);
+    if (partner) entry = { ...partner, ...withoutEmpty(entry), name: entry.name || partner.name };
+    entry.key = await this.keyFor(entry);
+    entry.added ??= Date.now();
+    const store = await this.store('readwrite');
+    for (const old of [previous, partner]) {
+      if (old && old.key !== entry.key) store.delete(old.key);
+    }
+    await request(store.put(entry));
+    return entry;
+  }
+}
+
+function withoutEmpty(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value != null));
+}
+
+/** The single stored entry that holds the half `entry` is missing, at the same duration */
+function findPartner(entries, entry) {
+  const duration = entryDuration(entry);
+  if (!Number.isFinite(duration)) return null;
+  const candidates = entries.filter(e => e.key !== entry.key
+    && (entry.audio ? !e.audio && e.analysis : e.audio && !e.analysis)
+    && Math.abs(entryDuration(e) - duration) < PAIR_TOLERANCE_SECONDS);
+  return candidates.length === 1 ? candidates[0] : null;
+}
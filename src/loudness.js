@@ -0,0 +1,149 @@
+// Loudness (ITU-R BS.1770-4 / EBU R128) and true-peak measurement, trim gains for matching
+
+import { clamp } from './util.js';
+
+/** Master bus defaults: match every track to `targetLufs`, limit the sum to `ceilingDb` dBTP */
+export const DEFAULT_MASTER = { loudnessMatch: true, targetLufs: -14, limiter: true, ceilingDb: -1 };
+
+const MAX_TRIM_DB = 12;
+const BLOCK_SECONDS = 0.4;
+const HOP_SECONDS = 0.1; // 75% overlap between gating blocks
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+/** The two biquads of the K-weighting pre-filter, derived for any sample rate */
+function kWeighting(sampleRate) {
+  // Stage 1: high shelf modelling the head (+4 dB above ~1.7 kHz)
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  const Q1 = 0.7071752369554196;
+  const Vh = 10 ** (3.999843853973347 / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let a0 = 1 + K / Q1 + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q1 + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q1 + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q1 + K * K) / a0,
+  };
+  // Stage 2: the RLB high pass at ~38 Hz
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  const Q2 = 0.5003270373238773;
+  a0 = 1 + K / Q2 + K * K;
+  const highPass = { b0: 1, b1: -2, b2: 1, a1: 2 * (K * K - 1) / a0, a2: (1 - K / Q2 + K * K) / a0 };
+  return [shelf, highPass];
+}
+
+/** Sum of squared K-weighted samples of one channel per 100 ms hop */
+function weightedHopEnergy(samples, sampleRate, hop) {
+  const [f1, f2] = kWeighting(sampleRate);
+  const energy = new Float64Array(Math.floor(samples.length / hop));
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0, z1 = 0, z2 = 0;
+  for (let i = 0; i < energy.length * hop; i++) {
+    const x = samples[i];
+    const y = f1.b0 * x + f1.b1 * x1 + f1.b2 * x2 - f1.a1 * y1 - f1.a2 * y2;
+    const z = f2.b0 * y + f2.b1 * y1 + f2.b2 * y2 - f2.a1 * z1 - f2.a2 * z2;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+    z2 = z1; z1 = z;
+    energy[Math.floor(i / hop)] += z * z;
+  }
+  return energy;
+}
+
+const blockLoudness = power => -0.691 + 10 * Math.log10(power);
+
+/**
+ * Integrated loudness in LUFS of an AudioBuffer (mono or stereo, all channels weighted 1);
+ * -Infinity for silence or anything shorter than one 400 ms block.
+ */
+export function integratedLoudness(buffer) {
+  const hop = Math.round(HOP_SECONDS * buffer.sampleRate);
+  const hopsPerBlock = Math.round(BLOCK_SECONDS / HOP_SECONDS);
+  const hops = new Float64Array(Math.floor(buffer.length / hop));
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    weightedHopEnergy(buffer.getChannelData(c), buffer.sampleRate, hop).forEach((e, i) => { hops[i] += e; });
+  }
+  const blocks = [];
+  for (let i = 0; i + hopsPerBlock <= hops.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < hopsPerBlock; j++) sum += hops[i + j];
+    blocks.push(sum / (hop * hopsPerBlock));
+  }
+
+  const gated = blocks.filter(power => blockLoudness(power) > ABSOLUTE_GATE);
+  if (!gated.length) return -Infinity;
+  const mean = list => list.reduce((a, b) => a + b, 0) / list.length;
+  const threshold = blockLoudness(mean(gated)) + RELATIVE_GATE;
+  const loud = gated.filter(power => blockLoudness(power) > threshold);
+  return blockLoudness(mean(loud));
+}
+
+// 4x oversampling for true peak: windowed-sinc interpolation at 1/4, 2/4 and 3/4 between samples
+const TAPS = 12;
+const HALF = TAPS / 2;
+const PHASES = [1, 2, 3].map(p => Float64Array.from({ length: TAPS }, (_, j) => {
+  const d = j - (HALF - 1) - p / 4; // distance of tap j from the interpolated point
+  return Math.sin(Math.PI * d) / (Math.PI * d) * (0.5 + 0.5 * Math.cos(Math.PI * d / (HALF + 0.5)));
+}));
+// No interpolated value can exceed the largest neighbouring sample by more than this factor
+const OVERSHOOT = Math.max(...PHASES.map(taps => taps.reduce((sum, t) => sum + Math.abs(t), 0)));
+
+/**
+ * Largest interpolated value of one channel. Windows of samples that cannot reach past `floor`
+ * are skipped, which leaves little work for all but the loudest passages.
+ */
+function interSamplePeak(s, floor) {
+  const [p1, p2, p3] = PHASES;
+  let peak = floor;
+  let quiet = 0; // samples in a row, up to the newest, too low to matter (stays true as the peak grows)
+  for (let k = 0; k < s.length; k++) {
+    quiet = Math.abs(s[k]) * OVERSHOOT <= peak ? quiet + 1 : 0;
+    const at = k - TAPS + 1;
+    if (at < 0 || quiet >= TAPS) continue;
+    let v1 = 0, v2 = 0, v3 = 0;
+    for (let j = 0; j < TAPS; j++) {
+      const x = s[at + j];
+      v1 += p1[j] * x;
+      v2 += p2[j] * x;
+      v3 += p3[j] * x;
+    }
+    peak = Math.max(peak, Math.abs(v1), Math.abs(v2), Math.abs(v3));
+  }
+  return peak;
+}
+
+/** Highest absolute sample value and the estimated true (inter-sample) peak, both linear */
+export function measurePeaks(buffer) {
+  let samplePeak = 0;
+  let clipped = 0;
+  const channels = [];
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const s = buffer.getChannelData(c);
+    channels.push(s);
+    for (let i = 0; i < s.length; i++) {
+      const a = Math.abs(s[i]);
+      if (a > samplePeak) samplePeak = a;
+      if (a > 1) clipped++;
+    }
+  }
+
+  let truePeak = samplePeak;
+  for (const s of channels) truePeak = Math.max(truePeak, interSamplePeak(s, truePeak));
+  return { samplePeak, truePeak, clipped };
+}
+
+export const toDb = linear => 20 * Math.log10(linear);
+
+/** Readout for a rendered mix: integrated LUFS, sample and true peak in dB, samples above full scale */
+export function measureLoudness(buffer) {
+  const { samplePeak, truePeak, clipped } = measurePeaks(buffer);
+  return { integrated: integratedLoudness(buffer), samplePeakDb: toDb(samplePeak), truePeakDb: toDb(truePeak), clipped };
+}
+
+/** Linear trim gain that brings a track measured at `lufs` to `targetLufs`, limited to ±12 dB */
+export function loudnessTrim(lufs, targetLufs) {
+  if (!Number.isFinite(lufs)) return 1;
+  const db = clamp(targetLufs - lufs, -MAX_TRIM_DB, MAX_TRIM_DB);
+  return 10 ** (db / 20);
+}
@@ -0,0 +1,85 @@
+// Meter and phrases: time signatures, the bar two tracks share in a transition and phrase lengths from section boundaries
+
+import { nearestIndex } from './util.js';
+
+/** Phrase lengths in bars that can be chosen or detected */
+export const PHRASE_LENGTHS = [4, 8, 16, 32];
+/** Below this time_signature_confidence a track's meter is taken as a guess */
+export const METER_UNSURE = 0.5;
+/** Below this share of section boundaries on phrase starts the track has no clear phrase structure */
+export const PHRASE_UNSURE = 0.5;
+const PHRASE_KEEP = 0.8; // a longer phrase is taken while it explains this share of what 4 bars explain
+const MAX_SHARED_BAR = 16; // longest common bar (beats) two different meters are counted in
+
+/** Meter of a bar of `beatsPerBar` beats: 6, 9 and 12 are compound meters counted in eighths, the rest in quarters */
+export function meterOf(beatsPerBar, confidence = 1) {
+  const compound = beatsPerBar > 3 && beatsPerBar % 3 === 0;
+  return { beatsPerBar, compound, confidence, label: `${beatsPerBar}/${compound ? 8 : 4}` };
+}
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+/**
+ * The bar a transition between two tracks is counted in, in beats. Equal meters share their bar and
+ * a meter that is only a guess follows the other one. Otherwise the overlap is counted in the least
+ * common multiple (3/4 into 4/4: 12 beats), so that it starts and ends on a downbeat of both tracks,
+ * or in B's bar where that gets longer than MAX_SHARED_BAR.
+ * Returns { beats, meterA, meterB, mismatch }.
+ */
+export function sharedBar(analysisA, analysisB) {
+  const { meter: meterA } = analysisA;
+  const { meter: meterB } = analysisB;
+  const a = meterA.beatsPerBar;
+  const b = meterB.beatsPerBar;
+  let beats = a;
+  if (a !== b) {
+    if (Math.min(meterA.confidence, meterB.confidence) < METER_UNSURE) {
+      beats = meterA.confidence >= meterB.confidence ? a : b;
+    } else {
+      const common = (a * b) / gcd(a, b);
+      beats = common <= MAX_SHARED_BAR ? common : b;
+    }
+  }
+  return { beats, meterA, meterB, mismatch: a !== b };
+}
+
+/**
+ * Phrase grid that best explains the section boundaries. Each boundary is put on its nearest
+ * downbeat (within half a bar) and weighted by that bar's and the section's confidence; a phrase
+ * length scores the share of that weight landing on its phrase starts, at its best offset. With
+ * `bars` left out, the longest length that still explains PHRASE_KEEP of what 4 bars explain wins.
+ * Returns { bars, offset (index of the first phrase-starting downbeat), confidence (share explained) }.
+ */
+export function detectPhrase(downbeats, sections, { barConfidence = () => 1, bars = null } = {}) {
+  const tolerance = downbeats.length > 1 ? (downbeats.at(-1) - downbeats[0]) / (downbeats.length - 1) / 2 : 0;
+  const boundaries = [];
+  for (const section of sections.slice(1)) {
+    const index = nearestIndex(downbeats, section.start);
+    if (index < 0 || Math.abs(downbeats[index] - section.start) > tolerance) continue;
+    boundaries.push({ index, weight: Math.max(0.05, barConfidence(index)) * Math.max(0.05, section.confidence ?? 1) });
+  }
+  const total = boundaries.reduce((sum, b) => sum + b.weight, 0);
+  const fit = length => {
+    let best = { bars: length, offset: 0, confidence: 0 };
+    for (let offset = 0; offset < length; offset++) {
+      const hits = boundaries.reduce((sum, b) => sum + ((b.index - offset) % length === 0 ? b.weight : 0), 0);
+      if (hits / total > best.confidence) best = { bars: length, offset, confidence: hits / total };
+    }
+    return best;
+  };
+  if (boundaries.length < 3) return { bars: bars ?? 4, offset: 0, confidence: 0 };
+  if (bars) return fit(bars);
+  const base = fit(4);
+  if (base.confidence < PHRASE_UNSURE) return { bars: 4, offset: 0, confidence: base.confidence };
+  let best = base;
+  for (const length of PHRASE_LENGTHS.slice(1)) {
+    const candidate = fit(length);
+    if (candidate.confidence >= PHRASE_KEEP * base.confidence) best = candidate;
+  }
+  return best;
+}
+
+/** Every `bars`-th downbeat from `offset` on */
+export function phraseStarts(downbeats, { bars, offset }) {
+  return downbeats.filter((_, i) => i >= offset && (i - offset) % bars === 0);
+}
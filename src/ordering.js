@@ -0,0 +1,154 @@
+// Playlist ordering: which track should follow which, by tempo, key and energy
+
+import { clamp } from './util.js';
+import { harmonicCompatibility } from './harmony.js';
+import { computeSmartBeatsLength } from './planner.js';
+import { tempoMultiple } from './tempo.js';
+
+const PAIR_WEIGHTS = { tempo: 0.35, harmony: 0.3, energy: 0.2, length: 0.15 };
+const EDGE_SECONDS = 30; // outro of A and intro of B compared for the energy flow
+const EXACT_LIMIT = 12; // up to this many tracks every order is searched (subset DP), above that a heuristic
+
+/** Duration-weighted loudness of the sections overlapping [start, end), or the track loudness */
+function sectionLoudness(analysis, start, end) {
+  let sum = 0;
+  let weight = 0;
+  for (const s of analysis.sections) {
+    const overlap = Math.min(end, s.start + s.duration) - Math.max(start, s.start);
+    if (overlap <= 0 || !Number.isFinite(s.loudness)) continue;
+    sum += s.loudness * overlap;
+    weight += overlap;
+  }
+  return weight ? sum / weight : analysis.loudness ?? -10;
+}
+
+/** Energy of a whole track 0..1: loudness and tempo */
+export function trackEnergy(analysis) {
+  const loudness = sectionLoudness(analysis, 0, analysis.duration);
+  return clamp((loudness + 30) / 30, 0, 1) * 0.6 + clamp(((analysis.tempo || 120) - 70) / 110, 0, 1) * 0.4;
+}
+
+/**
+ * How well B follows A, 0..1, with its parts: tempo distance, harmonic compatibility, the loudness
+ * step from A's outro to B's intro and the transition length the smart-length heuristic asks for
+ * (longer means harder to join). With `rising`, B being less energetic than A costs extra.
+ */
+export function pairScore(a, b, { rising = false } = {}) {
+  const tempoA = a.tempo || 120;
+  const tempoB = b.tempo || 120;
+  // Half and double time mix like the same tempo
+  const tempoPercent = (Math.abs(tempoA - tempoB * tempoMultiple(tempoA, tempoB)) / tempoA) * 100;
+  const outro = sectionLoudness(a, Math.max(0, a.duration - EDGE_SECONDS), a.duration);
+  const intro = sectionLoudness(b, 0, EDGE_SECONDS);
+  const beats = computeSmartBeatsLength(a, b, 8, 64);
+  const parts = {
+    tempo: Math.exp(-tempoPercent / 10),
+    harmony: harmonicCompatibility(a, b)?.score ?? 0.5,
+    energy: Math.exp(-Math.abs(intro - outro) / 6),
+    length: clamp(1 - (beats - 16) / 48, 0, 1),
+  };
+  let score = Object.entries(PAIR_WEIGHTS).reduce((sum, [part, weight]) => sum + weight * parts[part], 0);
+  if (rising) score -= Math.max(0, trackEnergy(a) - trackEnergy(b)) * 0.5;
+  return { score, parts };
+}
+
+/** Best path through all tracks by dynamic programming over subsets; exact, for small sets */
+function exactOrder(scores, first, last) {
+  const n = scores.length;
+  const full = (1 << n) - 1;
+  const best = Array.from({ length: 1 << n }, () => new Float64Array(n).fill(-Infinity));
+  const from = Array.from({ length: 1 << n }, () => new Int8Array(n).fill(-1));
+  for (let i = 0; i < n; i++) if ((first == null || i === first) && i !== last) best[1 << i][i] = 0;
+  for (let set = 1; set <= full; set++) {
+    for (let end = 0; end < n; end++) {
+      const value = best[set][end];
+      if (value === -Infinity) continue;
+      for (let next = 0; next < n; next++) {
+        if (set & (1 << next)) continue;
+        const grown = set | (1 << next);
+        // The fixed last track may only come last
+        if (next === last && grown !== full) continue;
+        const candidate = value + scores[end][next];
+        if (candidate > best[grown][next]) {
+          best[grown][next] = candidate;
+          from[grown][next] = end;
+        }
+      }
+    }
+  }
+  let end = 0;
+  for (let i = 1; i < n; i++) if (best[full][i] > best[full][end]) end = i;
+  const order = [];
+  for (let set = full; end >= 0;) {
+    order.unshift(end);
+    const previous = from[set][end];
+    set &= ~(1 << end);
+    end = previous;
+  }
+  return order;
+}
+
+function pathScore(scores, order) {
+  let sum = 0;
+  for (let i = 1; i < order.length; i++) sum += scores[order[i - 1]][order[i]];
+  return sum;
+}
+
+/** Greedy paths from every allowed start, improved by moving single tracks; near-optimal for larger sets */
+function heuristicOrder(scores, first, last) {
+  const n = scores.length;
+  const movable = order => order.filter(i => i !== first && i !== last);
+  const place = middle => [...(first != null ? [first] : []), ...middle, ...(last != null ? [last] : [])];
+  let best = null;
+  for (let start = 0; start < n; start++) {
+    if (start === last || (first != null && start !== first)) continue;
+    const order = [start];
+    const left = new Set(scores.keys());
+    left.delete(start);
+    if (last != null) left.delete(last);
+    while (left.size) {
+      const end = order.at(-1);
+      const next = [...left].reduce((a, b) => (scores[end][b] > scores[end][a] ? b : a));
+      order.push(next);
+      left.delete(next);
+    }
+    if (last != null) order.push(last);
+    if (!best || pathScore(scores, order) > pathScore(scores, best)) best = order;
+  }
+  // Take one track out and put it back at its best place until nothing improves
+  for (let improved = true; improved;) {
+    improved = false;
+    const middle = movable(best);
+    for (let i = 0; i < middle.length; i++) {
+      const rest = middle.filter((_, j) => j !== i);
+      for (let at = 0; at <= rest.length; at++) {
+        const candidate = place([...rest.slice(0, at), middle[i], ...rest.slice(at)]);
+        if (pathScore(scores, candidate) > pathScore(scores, best) + 1e-9) {
+          best = candidate;
+          improved = true;
+        }
+      }
+      if (improved) break;
+    }
+  }
+  return best;
+}
+
+/**
+ * Order of the analyses (indices) that maximizes the summed pair scores. `first`/`last` pin a
+ * track to the start or the end, `rising` prefers a steadily rising energy.
+ * Returns { order, score (mean pair score), pairs: [{ from, to, score, parts }] }.
+ */
+export function orderTracks(analyses, { rising = false, first = null, last = null } = {}) {
+  const n = analyses.length;
+  if (first != null && first === last) throw new Error('Erster und letzter Track müssen verschieden sein');
+  const pairs = analyses.map((a, i) => analyses.map((b, j) => (i === j ? null : pairScore(a, b, { rising }))));
+  const scores = pairs.map(row => row.map(p => p?.score ?? -Infinity));
+  const order = n < 2 ? [...analyses.keys()] : n <= EXACT_LIMIT ? exactOrder(scores, first, last) : heuristicOrder(scores, first, last);
+  const steps = order.slice(1).map((to, i) => ({ from: order[i], to, ...pairs[order[i]][to] }));
+  return {
+    order,
+    score: steps.length ? steps.reduce((sum, s) => sum + s.score, 0) / steps.length : 0,
+    pairs: steps,
+  };
+}
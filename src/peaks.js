@@ -0,0 +1,63 @@
+// Waveform peaks: a min/max pyramid per decoded buffer, computed in a worker and cached
+
+const PEAKS_WORKER = new URL('../peaks-worker.js', import.meta.url);
+
+const cache = new WeakMap(); // AudioBuffer -> Promise of peaks
+
+/**
+ * Peak pyramid of a decoded buffer: { sampleRate, channels, levels: [{ samplesPerBin, min, max }] }
+ * with one Float32Array per channel in `min` and `max`, finest level first. Every buffer is only
+ * scanned once; later calls share the result.
+ */
+export function bufferPeaks(buffer) {
+  if (!cache.has(buffer)) {
+    const peaks = computePeaks(buffer);
+    peaks.catch(() => cache.delete(buffer));
+    cache.set(buffer, peaks);
+  }
+  return cache.get(buffer);
+}
+
+function computePeaks(buffer) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(PEAKS_WORKER);
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c).slice());
+    worker.onmessage = e => {
+      worker.terminate();
+      const { levels, error } = e.data;
+      if (error) reject(new Error(error));
+      else resolve({ sampleRate: buffer.sampleRate, channels: buffer.numberOfChannels, levels });
+    };
+    worker.onerror = e => {
+      worker.terminate();
+      reject(new Error(e.message || 'Wellenform-Worker fehlgeschlagen'));
+    };
+    worker.postMessage({ id: 1, channels }, channels.map(c => c.buffer));
+  });
+}
+
+/**
+ * Min and max of `channel` between two buffer times, read from the coarsest level that still has
+ * at least `binsPerSpan` bins in the span. Returns null outside the audio.
+ */
+export function peakRange(peaks, channel, from, to, binsPerSpan = 1) {
+  const samples = (to - from) * peaks.sampleRate;
+  let level = peaks.levels[0];
+  for (const candidate of peaks.levels) {
+    if (samples / candidate.samplesPerBin < binsPerSpan) break;
+    level = candidate;
+  }
+  const min = level.min[channel];
+  const max = level.max[channel];
+  const first = Math.max(0, Math.floor((from * peaks.sampleRate) / level.samplesPerBin));
+  const last = Math.min(min.length, Math.max(first + 1, Math.ceil((to * peaks.sampleRate) / level.samplesPerBin)));
+  if (first >= last) return null;
+  let lo = min[first];
+  let hi = max[first];
+  for (let b = first + 1; b < last; b++) {
+    if (min[b] < lo) lo = min[b];
+    if (max[b] > hi) hi = max[b];
+  }
+  return { min: lo, max: hi };
+}
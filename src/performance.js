@@ -0,0 +1,105 @@
+// Performance mode: crossfader, EQ, filter and tempo nudges played by hand and recorded as automation
+
+import { clamp } from './util.js';
+import { AUTOMATION_LANES, LIVE_RAMP_SECONDS, automationValue, chooseCurve, straightLane } from './automation.js';
+import { DEFAULT_CROSSOVERS, EQ_KILL_DB } from './eq.js';
+
+/** Tempo change while a nudge is held (percent) */
+export const NUDGE_PERCENT = 2;
+/** Filter knobs sweep their lane over this factor of frequency, on a log scale */
+const FILTER_RANGE = 100;
+
+/**
+ * Controls of the performance desk, each in its own units: the crossfader 0 (A) .. 1 (B), EQ bands
+ * in dB, filters 0 (open) .. 1 (closed; A's is a high-pass, B's a low-pass), nudges −1 / 0 / 1.
+ * `step` is how far one key press moves a control.
+ */
+export const PERFORMANCE_CONTROLS = {
+  crossfader: { lanes: ['gainA', 'gainB'], min: 0, max: 1, step: 0.05 },
+  lowA: { lanes: ['lowA'], min: EQ_KILL_DB, max: 6, step: 3 },
+  midA: { lanes: ['midA'], min: EQ_KILL_DB, max: 6, step: 3 },
+  highA: { lanes: ['highA'], min: EQ_KILL_DB, max: 6, step: 3 },
+  lowB: { lanes: ['lowB'], min: EQ_KILL_DB, max: 6, step: 3 },
+  midB: { lanes: ['midB'], min: EQ_KILL_DB, max: 6, step: 3 },
+  highB: { lanes: ['highB'], min: EQ_KILL_DB, max: 6, step: 3 },
+  filterA: { lanes: ['hpA'], min: 0, max: 1, step: 0.1 },
+  filterB: { lanes: ['lpB'], min: 0, max: 1, step: 0.1 },
+  nudgeA: { lanes: ['nudgeA'], min: -1, max: 1, step: 1 },
+  nudgeB: { lanes: ['nudgeB'], min: -1, max: 1, step: 1 },
+};
+
+/**
+ * A take of one transition: a copy of its automation in which every lane the desk drives exists,
+ * so the preview graph has a node for it, and into which control moves are written as they are
+ * played. Positions are seconds from the transition start, as the preview transport counts them.
+ */
+export class PerformanceTake {
+  /** `duration`: transition length in seconds; `curvePreset`: the crossfade curve the fader follows */
+  constructor(automation, { duration, curvePreset }) {
+    this.automation = structuredClone(automation);
+    this.automation.crossovers ??= { ...DEFAULT_CROSSOVERS };
+    for (const { lanes } of Object.values(PERFORMANCE_CONTROLS)) {
+      for (const name of lanes) {
+        const { neutral } = AUTOMATION_LANES[name];
+        this.automation.lanes[name] ??= straightLane(neutral, neutral);
+      }
+    }
+    this.duration = duration;
+    this.curve = chooseCurve(curvePreset);
+  }
+
+  /** Lane values a control setting stands for */
+  laneValues(control, value) {
+    const { min, max } = PERFORMANCE_CONTROLS[control];
+    value = clamp(value, min, max);
+    switch (control) {
+      case 'crossfader': {
+        const { gA, gB } = this.curve(value);
+        return { gainA: clamp(gA, 0, 1), gainB: clamp(gB, 0, 1) };
+      }
+      case 'filterA': return { hpA: AUTOMATION_LANES.hpA.neutral * FILTER_RANGE ** value };
+      case 'filterB': return { lpB: AUTOMATION_LANES.lpB.neutral / FILTER_RANGE ** value };
+      case 'nudgeA': return { nudgeA: Math.sign(value) * NUDGE_PERCENT };
+      case 'nudgeB': return { nudgeB: Math.sign(value) * NUDGE_PERCENT };
+      default: return { [control]: value };
+    }
+  }
+
+  /** Every control's setting at `position`, read back from the lanes */
+  controlValues(position) {
+    const t = clamp(position / this.duration, 0, 1);
+    const lane = name => automationValue(this.automation, name, t);
+    const values = {
+      // Equal-power inverse; the other curves only come close, which is enough to show the fader
+      crossfader: Math.atan2(lane('gainB'), lane('gainA')) / (Math.PI / 2),
+      filterA: Math.log(lane('hpA') / AUTOMATION_LANES.hpA.neutral) / Math.log(FILTER_RANGE),
+      filterB: Math.log(AUTOMATION_LANES.lpB.neutral / lane('lpB')) / Math.log(FILTER_RANGE),
+      nudgeA: Math.sign(lane('nudgeA')),
+      nudgeB: Math.sign(lane('nudgeB')),
+    };
+    for (const name of ['lowA', 'midA', 'highA', 'lowB', 'midB', 'highB']) values[name] = lane(name);
+    return values;
+  }
+
+  /**
+   * Write a control move made at `position` into the lanes: each ramps from where it was to the new
+   * value over LIVE_RAMP_SECONDS and holds it to the end of the transition. What the lane held after
+   * `position` is replaced, so playing a passage again overdubs it; moves in the lead-in set the
+   * start value. Returns the lane values to apply to the playing graph, or null past the transition.
+   */
+  record(control, value, position) {
+    if (position > this.duration) return null;
+    const values = this.laneValues(control, value);
+    const t = clamp(position / this.duration, 0, 1);
+    const ramp = LIVE_RAMP_SECONDS / this.duration;
+    for (const [name, v] of Object.entries(values)) {
+      const from = automationValue(this.automation, name, t);
+      const points = this.automation.lanes[name].filter(p => p.t < t);
+      if (t > 0) points.push({ t, v: from, curve: 0 });
+      points.push({ t: t > 0 ? Math.min(1, t + ramp) : 0, v, curve: 0 });
+      if (points.at(-1).t < 1) points.push({ t: 1, v, curve: 0 });
+      this.automation.lanes[name] = points;
+    }
+    return values;
+  }
+}
@@ -0,0 +1,373 @@
+// Transition planning: length, in/out points, tempo targets, harmonic detune and overlap clashes
+
+import { clamp } from './util.js';
+import { wrap12, formatKey, harmonicCompatibility, suggestHarmonicShift } from './harmony.js';
+import { resolveAutomation } from './automation.js';
+import { overlapClash } from './clash.js';
+import { sharedBar } from './meter.js';
+import { TEMPO_FALLBACK_STYLES, TEMPO_FREE_STYLES, matchTempo, tempoMultiple } from './tempo.js';
+
+const FALLBACK_BARS = 2; // length of a tempo-independent transition, in bars of A
+
+function averageSectionLoudness(analysis, start, end) {
+  if (!Array.isArray(analysis.sections) || analysis.sections.length === 0) return null;
+  const segs = analysis.sections.filter(s => (s.start + s.duration) > start && s.start < end);
+  if (segs.length === 0) return null;
+  const sum = segs.reduce((acc, s) => acc + (Number.isFinite(s.loudness) ? s.loudness : 0), 0);
+  return sum / segs.length; // negative values
+}
+
+export function computeSmartBeatsLength(analysisA, analysisB, minBeats, maxBeats) {
+  const tempoA = analysisA.tempo || 120;
+  const tempoB = analysisB.tempo || 120;
+  const tempoDiff = Math.abs(tempoA - tempoB * tempoMultiple(tempoA, tempoB));
+  // Harmonic distance on the Camelot wheel, in the 0..6 range the old semitone distance used
+  const harmony = harmonicCompatibility(analysisA, analysisB);
+  const keyDiff = harmony ? Math.round((1 - harmony.score) * 6) : 0;
+
+  // Energy around intended regions: last 16s of A and first 16s of B
+  const endA = analysisA?.raw?.track?.duration || (analysisA.beats.at(-1)?.start || 180);
+  const loudA = averageSectionLoudness(analysisA, Math.max(0, endA - 16), endA) ?? -10;
+  const loudB = averageSectionLoudness(analysisB, 0, 16) ?? -10;
+  const energyFactor = ((-loudA) + (-loudB)) / 20; // louder => smaller negative, so lower factor
+
+  let beats = 16
+    + Math.round(tempoDiff / 6)   // up to ~10 beats for big tempo gaps
+    + Math.round(keyDiff / 2)     // up to ~3 beats for key gaps
+    + Math.round(energyFactor * 4); // up to ~4 beats if both are loud/complex
+
+  // Whole bars of the meter both tracks are counted in, kept to the bar multiples inside the limits
+  // (where none fits, the longest below the maximum, but at least one bar)
+  const bar = sharedBar(analysisA, analysisB).beats;
+  const longest = Math.max(bar, Math.floor((maxBeats || 128) / bar) * bar);
+  const shortest = Math.min(longest, Math.max(bar, Math.ceil((minBeats || 8) / bar) * bar));
+  return clamp(Math.round(beats / bar) * bar, shortest, longest);
+}
+
+/** Segment statistics in a window: onsets per second, mean peak loudness and its slope (dB/s) */
+function segmentStats(analysis, start, end) {
+  const segs = analysis.segments.filter(s => s.start >= start && s.start < end);
+  if (segs.length === 0) return null;
+  const points = segs.map(s => [s.start + (s.loudness_max_time || 0), s.loudness_max ?? s.loudness_start ?? -60]);
+  const meanT = points.reduce((a, [t]) => a + t, 0) / points.length;
+  const meanL = points.reduce((a, [, l]) => a + l, 0) / points.length;
+  let num = 0;
+  let den = 0;
+  for (const [t, l] of points) {
+    num += (t - meanT) * (l - meanL);
+    den += (t - meanT) ** 2;
+  }
+  return { density: segs.length / Math.max(0.001, end - start), loudness: meanL, slope: den ? num / den : 0 };
+}
+
+/** Section starting within `tolerance` seconds of t (the first section never counts as a boundary) */
+function sectionStartingAt(analysis, t, tolerance = 0.6) {
+  const index = analysis.sections.findIndex((s, i) => i > 0 && Math.abs(s.start - t) <= tolerance);
+  return index > 0 ? { index, section: analysis.sections[index], last: index === analysis.sections.length - 1 } : null;
+}
+
+/**
+ * Score possible out points in A: outros and breakdowns (section starts that get quieter),
+ * low-density stretches, the fade-out marker, and not cutting the track too early.
+ */
+function scoreOutPoints(analysis, points, xfade, safeMargin) {
+  const total = analysis.duration;
+  const latest = total - xfade - safeMargin;
+  const trackLoud = analysis.loudness ?? averageSectionLoudness(analysis, 0, total) ?? -10;
+  const trackStats = segmentStats(analysis, 0, total);
+  const hasFadeOut = analysis.startOfFadeOut < total - 1;
+
+  return points.filter(t => t >= total * 0.5 && t <= latest).map(t => {
+    const reasons = [];
+    let score = 0.5 * (t / Math.max(1, latest));
+    const boundary = sectionStartingAt(analysis, t);
+    const windowLoud = averageSectionLoudness(analysis, t, t + xfade) ?? trackLoud;
+    const quieter = trackLoud - windowLoud;
+    if (boundary) {
+      score += 0.4;
+      if (boundary.last) { score += 0.3; reasons.push('Outro'); }
+      else if (quieter > 2) { score += 0.3; reasons.push('Breakdown'); }
+      else reasons.push('Sektion');
+    }
+    score += clamp(quieter / 6, -0.5, 0.5) * 0.8;
+    const stats = segmentStats(analysis, t, t + xfade);
+    if (stats && trackStats) {
+      const ratio = stats.density / trackStats.density;
+      score += clamp(1 - ratio, -0.5, 0.5) * 0.6;
+      if (ratio < 0.8) reasons.push('wenig Dichte');
+    }
+    if (hasFadeOut) {
+      const distance = Math.abs(t + xfade - analysis.startOfFadeOut);
+      score += 0.5 * Math.exp(-distance / 4);
+      if (distance < 4) reasons.push('Fade-out');
+    }
+    return { time: t, score, reasons, loudness: windowLoud };
+  });
+}
+
+/**
+ * Score possible in points in B: the end of the fade-in, intro sections, builds (rising loudness)
+ * and sparse stretches, while not skipping too much of the track.
+ */
+function scoreInPoints(analysis, points, xfade, safeMargin) {
+  const total = analysis.duration;
+  const latest = Math.min(total * 0.35, total - xfade - safeMargin);
+  const trackLoud = analysis.loudness ?? averageSectionLoudness(analysis, 0, total) ?? -10;
+  const trackStats = segmentStats(analysis, 0, total);
+  const fadeIn = analysis.endOfFadeIn;
+
+  return points.filter(t => t >= 0 && t <= Math.max(0, latest)).map(t => {
+    const reasons = [];
+    let score = 0.5 * (1 - t / Math.max(1, latest));
+    if (fadeIn > 0.5) {
+      if (t >= fadeIn - 0.1 && t - fadeIn < 4) { score += 0.5; reasons.push('Intro-Ende'); }
+      else if (t < fadeIn - 0.5) score -= 0.3;
+    }
+    if (sectionStartingAt(analysis, t)) { score += 0.4; reasons.push('Sektion'); }
+    const windowLoud = averageSectionLoudness(analysis, t, t + xfade) ?? trackLoud;
+    const quieter = trackLoud - windowLoud;
+    score += clamp(quieter / 6, 0, 0.4);
+    if (quieter > 2) reasons.push('Intro');
+    const stats = segmentStats(analysis, t, t + xfade);
+    if (stats) {
+      const rise = stats.slope * xfade;
+      score += clamp(rise / 6, 0, 0.5);
+      if (rise > 3) reasons.push('Build');
+      if (trackStats) score += clamp(1 - stats.density / trackStats.density, 0, 0.5) * 0.4;
+    }
+    return { time: t, score, reasons, loudness: windowLoud };
+  });
+}
+
+/**
+ * Rank (out point in A, in point in B) pairs. The energy handover favours B not dropping below A's level.
+ * Returns at most `limit` alternatives, best first.
+ */
+export function rankTransitionPoints(analysisA, analysisB, xfade, { phraseAlign = false, phraseBars = 'auto', safeMargin = 5, limit = 8 } = {}) {
+  const pointsA = phraseAlign ? analysisA.getPhraseStarts(phraseBars) : analysisA.getDownbeats();
+  const pointsB = phraseAlign ? analysisB.getPhraseStarts(phraseBars) : analysisB.getDownbeats();
+  const byScore = (a, b) => b.score - a.score;
+  const outs = scoreOutPoints(analysisA, pointsA, xfade, safeMargin).sort(byScore).slice(0, 6);
+  const ins = scoreInPoints(analysisB, pointsB, xfade, safeMargin).sort(byScore).slice(0, 6);
+
+  const pairs = [];
+  for (const out of outs) {
+    for (const inn of ins) {
+      const handover = clamp((inn.loudness - out.loudness) / 6, -0.3, 0.3) * 0.5;
+      pairs.push({
+        startA: out.time,
+        startB: inn.time,
+        score: out.score + inn.score + handover,
+        reasonsA: out.reasons,
+        reasonsB: inn.reasons,
+      });
+    }
+  }
+  return pairs.sort(byScore).slice(0, limit);
+}
+
+/**
+ * Transition planner: choose downbeat-aligned points and compute duration by beats.
+ * `strategy` in the result says how the tempi are joined: the tempo strategy, B's beats counted
+ * once, in half (2) or in double time (0.5), the deviation that takes in percent, and the
+ * tempo-independent style used instead when it exceeds `opts.maxTempoChange`.
+ */
+export function planTransition(analysisA, analysisB, beatsLength, tempoStrategy, opts = {}) {
+  const downbeatsA = analysisA.getDownbeats();
+  const downbeatsB = analysisB.getDownbeats();
+
+  const tempoA = analysisA.tempo || 120;
+  const tempoB = analysisB.tempo || 120;
+
+  // Beat-match within the deviation limit, B in half or double time where that is closer; beyond it both keep their tempo
+  const maxTempoChange = Number(opts.maxTempoChange) > 0 ? Number(opts.maxTempoChange) : Infinity;
+  const tempo = matchTempo(tempoA, tempoB, tempoStrategy, maxTempoChange);
+  const { targetTempoA, targetTempoB, multiple } = tempo;
+
+  const minBeats = clamp(parseInt(opts.minBeats || 0, 10) || 0, 1, 512);
+  const maxBeats = clamp(parseInt(opts.maxBeats || 0, 10) || 0, minBeats || 1, 1024);
+  let chosenBeats = opts.smartLength
+    ? computeSmartBeatsLength(analysisA, analysisB, minBeats, maxBeats)
+    : clamp(isNaN(parseInt(beatsLength, 10)) ? 16 : beatsLength, minBeats || 1, maxBeats || 1024);
+
+  const secondsPerBeatA = 60 / targetTempoA;
+  const secondsPerBeatB = 60 / (targetTempoB * multiple); // counted like A's beats
+  // Use slower beat for time span to allow longer crossfade when one song is slower
+  let xfadeDuration = chosenBeats * Math.max(secondsPerBeatA, secondsPerBeatB);
+
+  // Whole bars if phrase alignment requested; tracks in different meters share a longer bar
+  const bar = sharedBar(analysisA, analysisB);
+  if (opts.phraseAlign) {
+    const barSeconds = bar.beats * Math.max(secondsPerBeatA, secondsPerBeatB);
+    const bars = Math.max(1, Math.floor(chosenBeats / bar.beats)); // rounding down keeps within maxBeats
+    xfadeDuration = bars * barSeconds;
+    chosenBeats = bars * bar.beats;
+  }
+  if (tempo.fallback) {
+    chosenBeats = FALLBACK_BARS * analysisA.timeSignature;
+    xfadeDuration = chosenBeats * secondsPerBeatA;
+  }
+
+  // Choose near-outro downbeat in A and near-intro downbeat in B, respecting xfadeDuration and a safety margin
+  const totalA = analysisA?.raw?.track?.duration || (analysisA.beats.at(-1)?.start || 180);
+  const safeMargin = 5; // seconds
+
+  let startA = [...downbeatsA].reverse().find(t => t < (totalA - xfadeDuration - safeMargin)) ?? Math.max(0, totalA - xfadeDuration - safeMargin);
+  let startB = downbeatsB[0] ?? 0;
+
+  if (opts.phraseAlign) {
+    const phrasesA = analysisA.getPhraseStarts(opts.phraseBars);
+    const phrasesB = analysisB.getPhraseStarts(opts.phraseBars);
+    const targetEndA = totalA - safeMargin;
+    // pick phrase in A such that startA + xfade <= targetEndA
+    const candidateA = [...phrasesA].reverse().find(t => (t + xfadeDuration) <= targetEndA) ?? startA;
+    startA = candidateA;
+    // choose earliest phrase in B (avoid too early if there's awkward silence)
+    startB = phrasesB[0] ?? startB;
+  }
+
+  // Harmonic detune (small semitone nudges towards the nearest compatible key)
+  let pitchSemisA = 0;
+  let pitchSemisB = 0;
+  if (opts.harmonicMatch) {
+    const maxDetune = clamp(parseInt(opts.maxDetuneSemis || 0, 10) || 0, 0, 6);
+    pitchSemisB = suggestHarmonicShift(analysisA, analysisB, maxDetune).semitones;
+  }
+  // A manual pitch for B wins over the harmonic suggestion
+  if (Number.isFinite(opts.pitchSemisB)) pitchSemisB = clamp(opts.pitchSemisB, -12, 12);
+
+  // Score section/energy-aware candidates; the simple picks above remain the fallback for sparse analyses
+  const alternatives = rankTransitionPoints(analysisA, analysisB, xfadeDuration, { phraseAlign: !!opts.phraseAlign, phraseBars: opts.phraseBars, safeMargin });
+  if (alternatives.length === 0) alternatives.push({ startA, startB, score: 0, reasonsA: [], reasonsB: [] });
+  // Compare each candidate overlap beat by beat; with avoidClashes a clashing one loses rank
+  const beats = Math.round(xfadeDuration / Math.max(secondsPerBeatA, secondsPerBeatB));
+  for (const alt of alternatives) {
+    alt.clash = overlapClash(analysisA, analysisB, { startA: alt.startA, startB: alt.startB, beats, pitchSemisB, multiple });
+    if (opts.avoidClashes && alt.clash) alt.score -= alt.clash.score;
+  }
+  if (opts.avoidClashes) alternatives.sort((a, b) => b.score - a.score);
+  startA = alternatives[0].startA;
+  startB = alternatives[0].startB;
+
+  const harmony = {
+    keyA: formatKey(analysisA.key, analysisA.mode),
+    keyB: formatKey(Number.isFinite(analysisB.key) ? wrap12(analysisB.key + pitchSemisB) : analysisB.key, analysisB.mode),
+    before: harmonicCompatibility(analysisA, analysisB, 0),
+    after: harmonicCompatibility(analysisA, analysisB, pitchSemisB),
+  };
+
+  return {
+    startA,
+    startB,
+    xfadeDuration,
+    targetTempoA,
+    targetTempoB,
+    chosenBeats,
+    pitchSemisA,
+    pitchSemisB,
+    harmony,
+    clash: alternatives[0].clash,
+    strategy: {
+      tempo: tempo.fallback ? null : tempoStrategy,
+      multiple,
+      deviation: tempo.deviation,
+      maxTempoChange: Number.isFinite(maxTempoChange) ? maxTempoChange : null,
+      fallback: tempo.fallback ? (TEMPO_FALLBACK_STYLES.includes(opts.tempoFallback) ? opts.tempoFallback : TEMPO_FALLBACK_STYLES[0]) : null,
+    },
+    meter: {
+      a: bar.meterA.label,
+      b: bar.meterB.label,
+      barBeats: bar.beats,
+      mismatch: bar.mismatch,
+      phraseBarsA: analysisA.getPhrase(opts.phraseBars).bars,
+      phraseBarsB: analysisB.getPhrase(opts.phraseBars).bars,
+    },
+    alternatives,
+    alternativeIndex: 0,
+  };
+}
+
+/** Options of a transition as plain data; these are the page's initial control values */
+export const DEFAULT_OPTIONS = {
+  style: 'blend',
+  curvePreset: 'equal-power',
+  beatsLength: 16,
+  tempoStrategy: 'matchBtoA',
+  eqEnable: true,
+  eqLowDuckDb: -3,
+  eqHighBoostDb: 2,
+  bassSwap: false,
+  bassSwapBar: null,
+  smart: {
+    smartLength: true,
+    phraseAlign: true,
+    phraseBars: 'auto',
+    harmonicMatch: true,
+    tempoRamp: true,
+    filterSwap: true,
+    timeStretch: true,
+    phaseLock: true,
+    avoidClashes: true,
+    pitchSemisB: undefined,
+    maxDetuneSemis: 2,
+    maxTempoChange: 8,
+    tempoFallback: 'echo',
+    minBeats: 16,
+    maxBeats: 64,
+  },
+  automation: null,
+};
+
+/**
+ * Plan one transition from its stored options; the plan remembers the smart options it was made with.
+ * A style that needs no beat-matching is kept when the tempi are too far apart.
+ */
+export function planWithOptions(analysisA, analysisB, options) {
+  const { beatsLength, tempoStrategy, smart } = options;
+  const plan = planTransition(analysisA, analysisB, beatsLength, tempoStrategy, smart);
+  if (plan.strategy.fallback && TEMPO_FREE_STYLES.includes(options.style)) plan.strategy.fallback = options.style;
+  return { ...plan, smart };
+}
+
+/** Switch a plan to one of its ranked alternative in/out points */
+export function applyAlternative(plan, index) {
+  const count = plan.alternatives?.length || 0;
+  if (count === 0) return plan;
+  plan.alternativeIndex = ((index % count) + count) % count;
+  plan.manual = false;
+  const alt = plan.alternatives[plan.alternativeIndex];
+  plan.startA = alt.startA;
+  plan.startB = alt.startB;
+  plan.clash = alt.clash;
+  return plan;
+}
+
+/** Take one of clashSuggestions: another alternative, or a shorter overlap inside the current one */
+export function applyClashSuggestion(plan, suggestion) {
+  if (suggestion.kind === 'shift') return applyAlternative(plan, suggestion.alternativeIndex);
+  plan.startA = suggestion.startA;
+  plan.startB = suggestion.startB;
+  plan.xfadeDuration = suggestion.xfadeDuration;
+  plan.chosenBeats = suggestion.chosenBeats;
+  plan.clash = suggestion.clash;
+  plan.manual = true;
+  return plan;
+}
+
+/**
+ * Map the serializable per-transition options onto what the mixer engine consumes. A plan whose
+ * tempi are too far apart brings its fallback style and turns off everything that beat-matches.
+ */
+export function toMixOptions(options, plan = null) {
+  const fallback = plan?.strategy?.fallback;
+  if (fallback) options = { ...options, style: fallback, smart: { ...options.smart, tempoRamp: false, phaseLock: false } };
+  return {
+    automation: resolveAutomation(options),
+    style: options.style || 'blend',
+    bassSwap: !!options.bassSwap,
+    bassSwapBar: options.bassSwapBar ?? null,
+    tempoRamp: !!options.smart?.tempoRamp,
+    timeStretch: !!options.smart?.timeStretch,
+    phaseLock: !!options.smart?.phaseLock,
+  };
+}
@@ -0,0 +1,264 @@
+// Mix player: a queue of tracks played end to end on the live AudioContext, mixed or gapless
+
+import { defaultAutomation } from './automation.js';
+import { positionAt, rateSegments, timeAtPosition } from './layout.js';
+import { DEFAULT_MASTER } from './loudness.js';
+
+const TICK_MS = 200; // timers keep running in background tabs, animation frames do not
+const START_LATENCY = 0.05; // scheduling margin for a new pass
+const SCHEDULE_AHEAD_SECONDS = 10; // the next transition is fixed and scheduled this long before A's out point
+const SKIP_MARGIN_SECONDS = 0.5; // earliest a skip or a late transition can begin
+const GAPLESS_SECONDS = 0.005; // hard cut from A's last sample to B's first
+
+/** Hard cut from A to the start of B at `startA` (seconds into A); by default where A's buffer ends */
+function gaplessTransition(inputA, inputB, startA = inputA.buffer.duration - GAPLESS_SECONDS) {
+  return {
+    plan: {
+      startA,
+      startB: 0,
+      xfadeDuration: GAPLESS_SECONDS,
+      targetTempoA: inputA.tempo,
+      targetTempoB: inputB.tempo,
+      pitchSemisA: 0,
+      pitchSemisB: 0,
+    },
+    options: { automation: defaultAutomation({ style: 'cut' }), style: 'cut', bassSwap: false, tempoRamp: false, timeStretch: false, phaseLock: false },
+  };
+}
+
+/**
+ * Continuous playback of a queue. The played tracks, the current one and the next one (once its
+ * transition is fixed) form one chain layout on a fixed timeline; queue changes, skips and the
+ * mixing switch reschedule it from the current moment with a short crossfade, so the audio never stops.
+ * The transition into the next track is planned with `planFor` and fixed SCHEDULE_AHEAD_SECONDS
+ * before the current track's out point; from then on that track is `next`, the queue holds the rest.
+ */
+export class MixPlayer {
+  /**
+   * planFor(trackA, trackB) → { plan, options } (engine mix options) of a mixed transition,
+   * trackInput(track) → layout input { buffer, tempo, beats, downbeats, trim }.
+   * onChange() after the current track, the queue or the play state changed; onTick(status) while playing.
+   */
+  constructor(engine, { planFor, trackInput, onChange = () => {}, onTick = () => {} }) {
+    this.engine = engine;
+    this.planFor = planFor;
+    this.trackInput = trackInput;
+    this.onChange = onChange;
+    this.onTick = onTick;
+    this.queue = []; // tracks after `next`
+    this.mixing = true; // false: gapless, track after track
+    this.master = DEFAULT_MASTER;
+    this.session = null; // { tracks, inputs, transitions, current } from the first played track on
+    this.layout = null;
+    this.pass = null;
+    this.t0 = 0; // context time of layout time 0
+    this.playing = false;
+    this.pausedAt = 0; // layout time playback resumes at
+    this.pending = null; // planned but not yet fixed transition into queue[0]
+    this.timer = 0;
+  }
+
+  get current() {
+    return this.session?.tracks[this.session.current] ?? null;
+  }
+
+  /** The track whose transition is already fixed, or null */
+  get next() {
+    return this.session?.tracks[this.session.current + 1] ?? null;
+  }
+
+  /** Layout time now (the paused position while paused) */
+  time() {
+    return this.playing ? this.engine.context.currentTime - this.t0 : this.pausedAt;
+  }
+
+  enqueue(...tracks) {
+    this.queue.push(...tracks);
+    this.onChange();
+  }
+
+  removeFromQueue(index) {
+    this.queue.splice(index, 1);
+    this.onChange();
+  }
+
+  moveInQueue(index, delta) {
+    const to = index + delta;
+    if (to < 0 || to >= this.queue.length) return;
+    const [track] = this.queue.splice(index, 1);
+    this.queue.splice(to, 0, track);
+    this.onChange();
+  }
+
+  clearQueue() {
+    this.queue = [];
+    this.onChange();
+  }
+
+  /** Switch between mixed and gapless; a fixed transition that has not begun yet is redone */
+  setMixing(mixing) {
+    this.mixing = mixing;
+    this.pending = null;
+    if (this.next && this.time() < this.layout.transitions[this.session.current].start) {
+      this.replaceNext(this.transitionTo(this.next));
+    }
+    this.onChange();
+  }
+
+  /** Move on to the next track at the next downbeat (gapless: right away); without one the mix ends */
+  skip() {
+    if (!this.session) return;
+    if (this.next) {
+      if (this.time() < this.layout.transitions[this.session.current].start) this.replaceNext(this.transitionTo(this.next, { skip: true }));
+    } else if (this.queue.length) {
+      const track = this.queue.shift();
+      this.fix(track, this.transitionTo(track, { skip: true }));
+    } else {
+      this.stop();
+    }
+    this.onChange();
+  }
+
+  async play(master = this.master) {
+    if (this.playing) return;
+    if (!this.session) {
+      if (!this.queue.length) return;
+      const track = this.queue.shift();
+      this.session = { tracks: [track], inputs: [this.trackInput(track)], transitions: [], current: 0 };
+      this.pausedAt = 0;
+    }
+    this.master = master;
+    if (!this.engine.context) await this.engine.createContext({ sampleRate: 44100 });
+    if (this.engine.context.state === 'suspended') await this.engine.context.resume();
+    this.layout = this.layoutSession();
+    const when = this.engine.context.currentTime + START_LATENCY;
+    this.t0 = when - this.pausedAt;
+    this.pass = this.engine.schedulePass(this.layout, { when, skip: this.pausedAt, master: this.master });
+    this.playing = true;
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.onChange();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.pausedAt = this.time();
+    this.engine.stopPass(this.pass);
+    this.pass = null;
+    this.playing = false;
+    clearInterval(this.timer);
+    this.onChange();
+  }
+
+  /** End the mix; the queue stays */
+  stop() {
+    this.pause();
+    this.session = null;
+    this.layout = null;
+    this.pending = null;
+    this.pausedAt = 0;
+    this.onChange();
+  }
+
+  layoutSession() {
+    const { inputs, transitions } = this.session;
+    return this.engine.liveLayout(inputs, transitions);
+  }
+
+  /** Lay the session out again and hand over to a new pass from the current moment on */
+  reschedule() {
+    this.layout = this.layoutSession();
+    if (!this.playing) return;
+    const when = this.engine.context.currentTime + START_LATENCY;
+    const pass = this.engine.schedulePass(this.layout, { when, skip: when - this.t0, master: this.master });
+    this.engine.stopPass(this.pass, when);
+    this.pass = pass;
+  }
+
+  /** Fix the transition into `track` and schedule it */
+  fix(track, transition) {
+    const { tracks, inputs, transitions } = this.session;
+    tracks.push(track);
+    inputs.push(this.trackInput(track));
+    transitions.push(transition);
+    this.pending = null;
+    this.reschedule();
+  }
+
+  replaceNext(transition) {
+    this.session.transitions[this.session.current] = transition;
+    this.reschedule();
+  }
+
+  /** Deck of the current track in the layout and the first point of it a new transition may use */
+  currentDeck() {
+    const deck = this.layout.decks[this.session.current];
+    const earliest = Math.max(this.time() + SKIP_MARGIN_SECONDS, deck.fadeIn?.end ?? 0);
+    return { deck, earliest, minimum: positionAt(rateSegments(deck, earliest), earliest) };
+  }
+
+  /**
+   * Transition from the current track into `track`: the planned one, or the next ranked alternative
+   * still ahead, or for a skip the next downbeat. Gapless while mixing is off or when no mixed
+   * transition fits before A ends.
+   */
+  transitionTo(track, { skip = false } = {}) {
+    const inputA = this.session.inputs[this.session.current];
+    const inputB = this.trackInput(track);
+    const { minimum } = this.currentDeck();
+    if (!this.mixing) return gaplessTransition(inputA, inputB, skip ? minimum : undefined);
+    const { plan, options } = this.planFor(this.current, track);
+    let startA = plan.startA;
+    if (skip || startA < minimum) {
+      const later = plan.alternatives?.find(alt => alt.startA >= minimum);
+      startA = !skip && later ? later.startA : inputA.downbeats.find(d => d >= minimum) ?? minimum;
+    }
+    if (startA + plan.xfadeDuration > inputA.buffer.duration) return gaplessTransition(inputA, inputB);
+    const alternative = plan.alternatives?.find(alt => alt.startA === startA);
+    return { plan: { ...plan, startA, startB: alternative?.startB ?? plan.startB }, options };
+  }
+
+  tick() {
+    const time = this.time();
+    const { transitions } = this.layout;
+    let changed = false;
+    // The next track becomes the current one when its transition begins
+    while (this.session.current < transitions.length && time >= transitions[this.session.current].start) {
+      this.session.current++;
+      this.pending = null;
+      changed = true;
+    }
+    if (!this.next && this.queue.length) {
+      if (this.pending?.track !== this.queue[0] || this.pending.mixing !== this.mixing) {
+        this.pending = { track: this.queue[0], mixing: this.mixing, transition: this.transitionTo(this.queue[0]) };
+      }
+      const { deck } = this.currentDeck();
+      const out = timeAtPosition(rateSegments(deck, this.layout.duration), this.pending.transition.plan.startA);
+      if (time >= out - SCHEDULE_AHEAD_SECONDS) {
+        const track = this.queue.shift();
+        // Planned too long ago, the out point has passed in the meantime
+        const late = this.pending.transition.plan.startA < this.currentDeck().minimum;
+        this.fix(track, late ? this.transitionTo(track) : this.pending.transition);
+        changed = true;
+      }
+    }
+    if (time >= this.layout.duration) {
+      this.stop();
+      return;
+    }
+    if (changed) this.onChange();
+    this.onTick(this.status());
+  }
+
+  /** { track, position, duration (buffer seconds of the current track), next } */
+  status() {
+    if (!this.session) return null;
+    const deck = this.layout?.decks[this.session.current];
+    const time = this.time();
+    return {
+      track: this.current,
+      position: deck ? positionAt(rateSegments(deck, time), time) : 0,
+      duration: this.session.inputs[this.session.current].buffer?.duration ?? 0,
+      next: this.next ?? this.queue[0] ?? null,
+    };
+  }
+}
@@ -0,0 +1,55 @@
+// Versioned project files
+
+/**
+ * Project files: the whole chain as versioned JSON. Audio is not embedded, tracks keep a reference
+ * (file name, size, duration, sample_md5 / Spotify track id) so the files can be re-attached on open.
+ */
+export const PROJECT_FORMAT = 'smart-mix-project';
+export const PROJECT_VERSION = 1;
+
+function projectTrack(track) {
+  return {
+    id: track.id,
+    name: track.name,
+    fileName: track.file?.name ?? track.expected?.fileName ?? null,
+    fileSize: track.file?.size ?? track.expected?.fileSize ?? null,
+    duration: track.buffer?.duration ?? track.expected?.duration ?? track.analysis?.duration ?? null,
+    sampleMd5: track.analysis?.raw.track?.sample_md5 || null,
+    trackId: track.trackId ?? null,
+    // The JSON as loaded and the sync offset it is moved by, so a reopened project is not moved twice
+    analysis: track.analysis?.source ?? null,
+    analysisOffset: track.analysis?.offset ?? 0,
+  };
+}
+
+/**
+ * Plain project object for tracks, their transitions (options + plan), the selection, the control
+ * values and the master bus settings (loudness target, limiter)
+ */
+export function createProject({ tracks, transitions, selected = 0, controls = null, master = null }) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    tracks: tracks.map(projectTrack),
+    transitions: transitions.map(t => ({ fromId: t.fromId, toId: t.toId, options: t.options, plan: t.plan })),
+    selected,
+    controls,
+    master,
+  };
+}
+
+/** Check a parsed project file; throws with a readable message if it cannot be opened */
+export function readProject(json) {
+  if (json?.format !== PROJECT_FORMAT) throw new Error('Keine Mix-Projektdatei');
+  if (!Number.isInteger(json.version) || json.version > PROJECT_VERSION) {
+    throw new Error(`Projektversion ${json.version} wird nicht unterstützt (max. ${PROJECT_VERSION})`);
+  }
+  if (!Array.isArray(json.tracks) || !Array.isArray(json.transitions)) throw new Error('Projektdatei ist unvollständig');
+  const ids = new Set(json.tracks.map(t => t.id));
+  for (const t of json.transitions) {
+    if (!ids.has(t.fromId) || !ids.has(t.toId)) throw new Error('Übergang verweist auf einen unbekannten Track');
+    if (!t.options) throw new Error('Übergang ohne Einstellungen');
+  }
+  return json;
+}
@@ -0,0 +1,109 @@
+// Does the decoded audio match its analysis? Loudness envelopes cross-correlated for the time offset
+
+import { clamp } from './util.js';
+
+const FRAME_SECONDS = 0.02; // envelope resolution
+const MAX_OFFSET_SECONDS = 5; // offsets searched in both directions
+const COARSE_STEP = 4; // frames between the offsets of the first pass
+const FLOOR_DB = -60;
+/** Below this correlation the audio is taken to be a different recording, nothing is moved */
+export const SYNC_MIN_CONFIDENCE = 0.5;
+/** Smaller offsets are within the envelopes' precision and left alone */
+export const SYNC_MIN_OFFSET = 0.03;
+/** Audio and analysis lengths (after the offset) further apart than this hint at another edit */
+const DURATION_TOLERANCE_SECONDS = 1;
+
+/** RMS loudness in dB of the channel mix, one value per FRAME_SECONDS */
+function bufferEnvelope(buffer) {
+  const hop = Math.round(FRAME_SECONDS * buffer.sampleRate);
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  const frames = Math.floor(buffer.length / hop);
+  const envelope = new Float32Array(frames);
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    for (const samples of channels) {
+      for (let i = f * hop; i < (f + 1) * hop; i++) sum += samples[i] * samples[i];
+    }
+    const rms = Math.sqrt(sum / (hop * channels.length));
+    envelope[f] = Math.max(FLOOR_DB, 20 * Math.log10(rms || 1e-9));
+  }
+  return envelope;
+}
+
+/**
+ * The loudness curve the analysis describes: every segment rises from loudness_start to
+ * loudness_max at loudness_max_time and falls towards the next segment's loudness_start
+ */
+function segmentEnvelope(segments, frames) {
+  const envelope = new Float32Array(frames);
+  let s = 0;
+  for (let f = 0; f < frames; f++) {
+    const t = (f + 0.5) * FRAME_SECONDS; // centre of the RMS frame
+    while (s + 1 < segments.length && segments[s + 1].start <= t) s++;
+    const seg = segments[s];
+    const peakTime = seg.start + (seg.loudness_max_time ?? 0);
+    const startDb = seg.loudness_start ?? seg.loudness_max;
+    const endDb = segments[s + 1]?.loudness_start ?? seg.loudness_end ?? seg.loudness_max;
+    const end = seg.start + seg.duration;
+    let db;
+    if (t < seg.start) db = FLOOR_DB;
+    else if (t < peakTime) db = startDb + ((seg.loudness_max - startDb) * (t - seg.start)) / (peakTime - seg.start);
+    else if (t < end) db = seg.loudness_max + ((endDb - seg.loudness_max) * (t - peakTime)) / Math.max(1e-6, end - peakTime);
+    else db = endDb;
+    envelope[f] = Math.max(FLOOR_DB, db);
+  }
+  return envelope;
+}
+
+/** Pearson correlation of expected[i] with measured[i + lag] over their overlap */
+function correlationAt(expected, measured, lag) {
+  const from = Math.max(0, -lag);
+  const to = Math.min(expected.length, measured.length - lag);
+  const n = to - from;
+  if (n < 2) return 0;
+  let sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+  for (let i = from; i < to; i++) {
+    const x = expected[i];
+    const y = measured[i + lag];
+    sx += x; sy += y; sxx += x * x; syy += y * y; sxy += x * y;
+  }
+  const cov = sxy - (sx * sy) / n;
+  const den = Math.sqrt((sxx - (sx * sx) / n) * (syy - (sy * sy) / n));
+  return den > 0 ? cov / den : 0;
+}
+
+/**
+ * Compare decoded audio with the analysis JSON it was loaded with: the loudness envelope of the
+ * audio against the one the analysis' segments describe, at every offset up to ±5 s.
+ * Returns { offset, confidence, durationDelta, matches } — offset in seconds to add to every
+ * analysis time, confidence 0..1 (the correlation at that offset, halved when the lengths do not
+ * fit), durationDelta = audio length − analysis length. Null if the analysis has no segments.
+ */
+export function checkSync(buffer, json) {
+  const segments = (json?.segments || []).filter(s => Number.isFinite(s.start) && Number.isFinite(s.loudness_max));
+  if (segments.length < 8) return null;
+  const measured = bufferEnvelope(buffer);
+  const expected = segmentEnvelope(segments, Math.ceil((json.track?.duration || segments.at(-1).start) / FRAME_SECONDS));
+  const maxLag = Math.round(MAX_OFFSET_SECONDS / FRAME_SECONDS);
+  const scores = new Map();
+  const score = lag => {
+    if (!scores.has(lag)) scores.set(lag, correlationAt(expected, measured, lag));
+    return scores.get(lag);
+  };
+  // Every COARSE_STEP-th lag first, then every lag around the best coarse one
+  let best = 0;
+  for (let lag = -maxLag; lag <= maxLag; lag += COARSE_STEP) if (score(lag) > score(best)) best = lag;
+  const coarse = best;
+  for (let lag = Math.max(-maxLag, coarse - COARSE_STEP); lag <= Math.min(maxLag, coarse + COARSE_STEP); lag++) {
+    if (score(lag) > score(best)) best = lag;
+  }
+  // Parabola through the peak and its neighbours for an offset finer than one frame
+  const [l, c, r] = [score(best - 1), score(best), score(best + 1)];
+  const refine = l - 2 * c + r < 0 ? clamp((l - r) / (2 * (l - 2 * c + r)), -0.5, 0.5) : 0;
+  const offset = (best + refine) * FRAME_SECONDS;
+
+  const durationDelta = buffer.duration - (json.track?.duration ?? buffer.duration);
+  const lengthFits = Math.abs(durationDelta - offset) <= DURATION_TOLERANCE_SECONDS;
+  const confidence = clamp(score(best), 0, 1) * (lengthFits ? 1 : 0.5);
+  return { offset, confidence, durationDelta, matches: confidence >= SYNC_MIN_CONFIDENCE };
+}
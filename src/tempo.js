@@ -0,0 +1,41 @@
+// Tempo compatibility: half/double-time relations, tempo targets within a deviation limit and the fallback when none fits
+
+/** How B's beats can be counted against A's: as they are, in half time (two A beats each) or in double time */
+const TEMPO_MULTIPLES = [1, 2, 0.5];
+/** Styles that join two tracks without beat-matching them; anything else falls back to TEMPO_FALLBACK_STYLES[0] */
+export const TEMPO_FREE_STYLES = ['echo', 'cut', 'backspin', 'brake'];
+/** Styles offered when the tempi are too far apart */
+export const TEMPO_FALLBACK_STYLES = ['echo', 'cut'];
+
+/** Target tempi of both decks for a strategy; B's tempo counted `multiple` times (its own units come back) */
+function strategyTargets(tempoA, tempoB, strategy, multiple) {
+  const effectiveB = tempoB * multiple;
+  let a = tempoA;
+  let b = effectiveB;
+  if (strategy === 'matchBtoA') b = tempoA;
+  else if (strategy === 'matchAtoB') a = effectiveB;
+  else if (strategy === 'average') a = b = (tempoA + effectiveB) / 2;
+  const deviation = Math.max(Math.abs(a / tempoA - 1), Math.abs(b / effectiveB - 1)) * 100;
+  return { targetTempoA: a, targetTempoB: b / multiple, multiple, deviation };
+}
+
+/** Multiple of B's tempo that lies closest to A's: 0.5 for 87 → 174 BPM (B counted in double time), 2 for 174 → 87 (half time), else 1 */
+export function tempoMultiple(tempoA, tempoB) {
+  const distance = m => Math.abs(Math.log(tempoA / (tempoB * m)));
+  return TEMPO_MULTIPLES.reduce((best, m) => (distance(m) < distance(best) - 1e-9 ? m : best));
+}
+
+/**
+ * Tempo targets for a strategy (matchBtoA, matchAtoB, average) with B counted in half or double
+ * time where that is closer, and whether they stay within `maxChange` percent of every deck's own
+ * tempo, like a turntable's pitch fader. Beyond that the tracks are played at their own tempi and
+ * joined by a tempo-independent style instead.
+ * Returns { targetTempoA, targetTempoB (B's own beat units), multiple, deviation (percent), fallback }.
+ */
+export function matchTempo(tempoA, tempoB, strategy, maxChange = Infinity) {
+  const best = TEMPO_MULTIPLES
+    .map(multiple => strategyTargets(tempoA, tempoB, strategy, multiple))
+    .reduce((a, b) => (b.deviation < a.deviation - 1e-9 ? b : a));
+  if (best.deviation <= maxChange) return { ...best, fallback: false };
+  return { targetTempoA: tempoA, targetTempoB: tempoB, multiple: 1, deviation: best.deviation, fallback: true };
+}
@@ -0,0 +1,182 @@
+// Preview transport: play, pause, seek and loop one transition with a lead-in
+
+import { clamp } from './util.js';
+import { positionAt, rateSegments } from './layout.js';
+
+const LOOP_TAIL_SECONDS = 2; // the loop and the seek range run this far past the transition end
+const START_LATENCY = 0.05; // scheduling margin for a new pass
+const LOOKAHEAD_SECONDS = 0.25; // how early the next loop pass is scheduled
+
+/**
+ * Where in A the preview starts: `amount` seconds or bars (A's downbeats) before the out point.
+ * `downbeats` are buffer seconds of A.
+ */
+export function leadInStart(plan, downbeats, { amount = 0, unit = 'seconds' } = {}) {
+  if (!(amount > 0)) return plan.startA;
+  if (unit === 'bars') {
+    const before = downbeats.filter(d => d < plan.startA - 0.05);
+    if (before.length) return before[Math.max(0, before.length - Math.round(amount))];
+  }
+  return Math.max(0, plan.startA - amount);
+}
+
+/**
+ * Transport of the transition preview on the engine's AudioContext, which stays open between plays.
+ * Positions are seconds relative to the transition start, negative in the lead-in. Loading new
+ * settings while playing reschedules the graph at the current position instead of starting over.
+ * onTick(position) is called every animation frame while playing and after every jump.
+ */
+export class PreviewTransport {
+  constructor(engine, { onTick = () => {}, onEnd = () => {} } = {}) {
+    this.engine = engine;
+    this.onTick = onTick;
+    this.onEnd = onEnd;
+    this.source = null; // { plan, buffers, options, master, from }
+    this.layout = null;
+    this.playing = false;
+    this.loop = false;
+    this.position = -Infinity; // where playback resumes; clamped to the lead-in start
+    this.passes = []; // scheduled passes, newest last: { output, sources, t0, start, end, leadIn }
+    this.frame = 0;
+  }
+
+  get loaded() {
+    return !!this.layout;
+  }
+
+  /** Seconds from the start of the lead-in to the transition start */
+  get leadIn() {
+    return this.layout?.transitions[0].start ?? 0;
+  }
+
+  /** Seekable range, which is also the loop: lead-in start to a little past the transition end */
+  get range() {
+    if (!this.layout) return { start: 0, end: 0 };
+    const { start, end } = this.layout.transitions[0];
+    return { start: -start, end: end - start + LOOP_TAIL_SECONDS };
+  }
+
+  /** What to play: { plan, buffers, options, master, from } (`from`: where in A the lead-in starts) */
+  load(source) {
+    const position = this.currentPosition();
+    this.source = source;
+    this.layout = this.layoutSource();
+    if (this.playing) this.restart(position);
+    else this.position = position;
+  }
+
+  layoutSource() {
+    const { plan, buffers, options, from } = this.source;
+    return this.engine.previewLayout(plan, buffers, options, { from });
+  }
+
+  /** Forget the loaded transition and stop */
+  unload() {
+    this.stop();
+    this.source = null;
+    this.layout = null;
+  }
+
+  currentPosition() {
+    const ctx = this.engine.context;
+    if (!this.playing || !ctx) return this.layout ? clamp(this.position, this.range.start, this.range.end) : this.position;
+    const now = ctx.currentTime;
+    const pass = this.passes.findLast(p => p.start <= now) ?? this.passes[0];
+    return now - pass.t0 - pass.leadIn;
+  }
+
+  /** Buffer positions of A and B (null before B comes in) at a transport position, for the playheads */
+  bufferPositions(position = this.currentPosition()) {
+    if (!this.layout) return [null, null];
+    const time = position + this.leadIn;
+    return this.layout.decks.map(deck => (time < deck.start || time > deck.stop ? null : positionAt(rateSegments(deck, time), time)));
+  }
+
+  async play() {
+    if (!this.source || this.playing) return;
+    if (!this.engine.context) {
+      // Whether time-stretching is available is only known once the context is up
+      await this.engine.createContext({ sampleRate: 44100 });
+      this.layout = this.layoutSource();
+    }
+    if (this.engine.context.state === 'suspended') await this.engine.context.resume();
+    this.playing = true;
+    this.passes = [this.startPass(clamp(this.position, this.range.start, this.range.end), this.engine.context.currentTime + START_LATENCY)];
+    this.frame = requestAnimationFrame(() => this.tick());
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.position = this.currentPosition();
+    this.stopPasses();
+    this.playing = false;
+    cancelAnimationFrame(this.frame);
+    this.onTick(this.position);
+  }
+
+  /** Pause and rewind to the start of the lead-in */
+  stop() {
+    this.pause();
+    this.position = -Infinity;
+    if (this.layout) this.onTick(this.range.start);
+  }
+
+  seek(position) {
+    if (!this.layout) return;
+    position = clamp(position, this.range.start, this.range.end);
+    if (this.playing) this.restart(position);
+    else this.position = position;
+    this.onTick(position);
+  }
+
+  setLoop(loop) {
+    this.loop = loop;
+    if (loop && this.playing && this.currentPosition() >= this.range.end) this.seek(this.range.start);
+  }
+
+  /** Move automation lanes of the pass that is playing right now by hand (see MixerEngine.setLaneValues) */
+  setLaneValues(values) {
+    if (!this.playing) return;
+    const now = this.engine.context.currentTime;
+    const pass = this.passes.findLast(p => p.start <= now) ?? this.passes[0];
+    this.engine.setLaneValues(pass, values, now);
+  }
+
+  /** Schedule the loaded layout from `position` on, beginning at context time `when` */
+  startPass(position, when) {
+    const skip = Math.max(0, position + this.leadIn);
+    const pass = this.engine.schedulePass(this.layout, { when, skip, master: this.source.master });
+    return { ...pass, start: when, end: when + (this.range.end - position), leadIn: this.leadIn };
+  }
+
+  stopPasses(when = this.engine.context.currentTime) {
+    for (const pass of this.passes) this.engine.stopPass(pass, when);
+    this.passes = [];
+  }
+
+  /** Crossfade from what is playing to a fresh graph at `position` */
+  restart(position) {
+    const when = this.engine.context.currentTime + START_LATENCY;
+    this.stopPasses(when);
+    this.passes = [this.startPass(clamp(position, this.range.start, this.range.end), when)];
+  }
+
+  tick() {
+    const now = this.engine.context.currentTime;
+    const current = this.passes.at(-1);
+    if (this.loop && now >= current.end - LOOKAHEAD_SECONDS) {
+      // The next round starts exactly where this one ends
+      this.engine.stopPass(current, current.end);
+      this.passes = [current, this.startPass(this.range.start, current.end)];
+    }
+    this.passes = this.passes.filter(p => p === this.passes.at(-1) || p.end > now);
+    const position = this.currentPosition();
+    if (position >= this.layout.duration - this.leadIn) {
+      this.stop();
+      this.onEnd();
+      return;
+    }
+    this.onTick(position);
+    this.frame = requestAnimationFrame(() => this.tick());
+  }
+}
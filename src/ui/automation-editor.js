@@ -0,0 +1,187 @@
+import { clamp } from '../util.js';
+import { AUTOMATION_LANES, straightLane, automationValue } from '../automation.js';
+import { DEFAULT_CROSSOVERS } from '../eq.js';
+
+/**
+ * Breakpoint editor for the automation lanes of one transition, drawn over its beats.
+ * Click adds a point, dragging moves it, double-click removes it, the mouse wheel over a segment bends it.
+ * The first edit turns the derived automation into a custom copy that is reported via onChange.
+ */
+export class AutomationEditor {
+  constructor(canvas, { onChange } = {}) {
+    this.canvas = canvas;
+    this.onChange = onChange;
+    this.automation = null;
+    this.lane = 'gainA';
+    this.beats = 16;
+    this.beatsPerBar = 4;
+    this.drag = null;
+
+    canvas.addEventListener('pointerdown', e => this.handlePointerDown(e));
+    canvas.addEventListener('pointermove', e => this.handlePointerMove(e));
+    canvas.addEventListener('pointerup', e => this.handlePointerUp(e));
+    canvas.addEventListener('dblclick', e => this.handleDoubleClick(e));
+    canvas.addEventListener('wheel', e => this.handleWheel(e), { passive: false });
+  }
+
+  /** Show `automation` (not modified in place) for a transition of `beats` beats in bars of `beatsPerBar` */
+  show(automation, beats, beatsPerBar = 4) {
+    this.automation = automation;
+    this.beats = beats || 16;
+    this.beatsPerBar = beatsPerBar;
+    this.draw();
+  }
+
+  toY(name, v) {
+    const def = AUTOMATION_LANES[name];
+    const height = this.canvas.clientHeight;
+    const norm = def.log
+      ? Math.log(clamp(v, def.min, def.max) / def.min) / Math.log(def.max / def.min)
+      : (clamp(v, def.min, def.max) - def.min) / (def.max - def.min);
+    return 6 + (1 - norm) * (height - 12);
+  }
+
+  fromY(name, y) {
+    const def = AUTOMATION_LANES[name];
+    const norm = clamp(1 - (y - 6) / (this.canvas.clientHeight - 12), 0, 1);
+    const v = def.log ? def.min * Math.pow(def.max / def.min, norm) : def.min + norm * (def.max - def.min);
+    return def.log ? Math.round(v) : Math.round(v * 100) / 100;
+  }
+
+  toX(t) {
+    return 6 + t * (this.canvas.clientWidth - 12);
+  }
+
+  fromX(x) {
+    return clamp((x - 6) / (this.canvas.clientWidth - 12), 0, 1);
+  }
+
+  /** Editable copy of the selected lane, created on first edit */
+  editLane() {
+    const automation = structuredClone(this.automation);
+    const def = AUTOMATION_LANES[this.lane];
+    automation.lanes[this.lane] ??= straightLane(def.neutral, def.neutral);
+    automation.crossovers ??= { ...DEFAULT_CROSSOVERS };
+    this.automation = automation;
+    return automation.lanes[this.lane];
+  }
+
+  commit() {
+    this.draw();
+    this.onChange?.(this.automation);
+  }
+
+  pointAt(x, y) {
+    const points = this.automation?.lanes[this.lane] || [];
+    return points.findIndex(p => Math.hypot(this.toX(p.t) - x, this.toY(this.lane, p.v) - y) <= 6);
+  }
+
+  /** Grabs the point under the pointer or adds one; the lane is copied only once a point is added or moved */
+  handlePointerDown(e) {
+    if (!this.automation) return;
+    let index = this.pointAt(e.offsetX, e.offsetY);
+    let edited = false;
+    if (index < 0) {
+      const t = this.fromX(e.offsetX);
+      const def = AUTOMATION_LANES[this.lane];
+      index = (this.automation.lanes[this.lane] ?? straightLane(def.neutral, def.neutral)).findIndex(p => p.t > t);
+      if (index <= 0) return;
+      this.editLane().splice(index, 0, { t, v: this.fromY(this.lane, e.offsetY), curve: 0 });
+      edited = true;
+    }
+    this.canvas.setPointerCapture(e.pointerId);
+    this.drag = { index, edited };
+    this.draw();
+  }
+
+  handlePointerMove(e) {
+    if (!this.drag) return;
+    const { index } = this.drag;
+    const points = this.automation.lanes[this.lane];
+    const last = index === points.length - 1;
+    // The end points stay at the start and end of the transition, only their value moves
+    const t = index > 0 && !last
+      ? clamp(this.fromX(e.offsetX), points[index - 1].t + 0.005, points[index + 1].t - 0.005)
+      : points[index].t;
+    const v = this.fromY(this.lane, e.offsetY);
+    if (t === points[index].t && v === points[index].v) return;
+    const point = (this.drag.edited ? points : this.editLane())[index];
+    this.drag.edited = true;
+    point.t = t;
+    point.v = v;
+    this.draw();
+  }
+
+  handlePointerUp(e) {
+    if (!this.drag) return;
+    this.canvas.releasePointerCapture(e.pointerId);
+    const { edited } = this.drag;
+    this.drag = null;
+    if (edited) this.commit();
+  }
+
+  handleDoubleClick(e) {
+    const index = this.pointAt(e.offsetX, e.offsetY);
+    const points = this.automation?.lanes[this.lane];
+    if (!points || index <= 0 || index === points.length - 1) return;
+    this.editLane().splice(index, 1);
+    this.commit();
+  }
+
+  handleWheel(e) {
+    const points = this.automation?.lanes[this.lane];
+    if (!points) return;
+    e.preventDefault();
+    const t = this.fromX(e.offsetX);
+    const index = points.findIndex(p => p.t > t) - 1;
+    if (index < 0) return;
+    const segment = this.editLane()[index];
+    segment.curve = clamp(Math.round(((segment.curve || 0) - Math.sign(e.deltaY) * 0.1) * 10) / 10, -1, 1);
+    this.commit();
+  }
+
+  draw() {
+    const canvas = this.canvas;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.floor(width * dpr);
+    canvas.height = Math.floor(height * dpr);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+    ctx.fillStyle = '#0f1319';
+    ctx.fillRect(0, 0, width, height);
+    if (!this.automation) return;
+
+    // Beat grid of the transition, bars stronger
+    for (let i = 0; i <= this.beats; i++) {
+      const x = Math.round(this.toX(i / this.beats)) + 0.5;
+      ctx.strokeStyle = i % this.beatsPerBar === 0 ? 'rgba(255,255,255,0.25)' : 'rgba(255,255,255,0.08)';
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+
+    // Inactive lanes faint, the selected lane on top with its breakpoints
+    const names = Object.keys(AUTOMATION_LANES).filter(n => n !== this.lane).concat(this.lane);
+    for (const name of names) {
+      if (!this.automation.lanes[name]) continue;
+      const active = name === this.lane;
+      ctx.strokeStyle = active ? '#1db954' : 'rgba(163,176,194,0.35)';
+      ctx.lineWidth = active ? 2 : 1;
+      ctx.beginPath();
+      for (let x = 0; x <= width - 12; x++) {
+        const t = x / (width - 12);
+        const y = this.toY(name, automationValue(this.automation, name, t));
+        if (x === 0) ctx.moveTo(this.toX(t), y); else ctx.lineTo(this.toX(t), y);
+      }
+      ctx.stroke();
+    }
+    ctx.lineWidth = 1;
+    ctx.fillStyle = '#e6edf3';
+    for (const p of this.automation.lanes[this.lane] || []) {
+      ctx.fillRect(this.toX(p.t) - 3, this.toY(this.lane, p.v) - 3, 6, 6);
+    }
+  }
+}
@@ -0,0 +1,275 @@
+import { clamp, nearestIndex } from '../util.js';
+import { bufferPeaks, peakRange } from '../peaks.js';
+
+/**
+ * Waveform editor: min/max outline of every channel with beat grid, bars, phrases, sections and the planned
+ * transition region. Wheel zooms around the cursor, Shift+wheel or dragging the background scrolls,
+ * dragging the region moves its start (snapped to beat/bar/phrase), double-click toggles full view.
+ * The preview playhead is drawn on top. The outline is read from the buffer's peak pyramid, which
+ * arrives from a worker after the track is set; the view redraws on resize and when the pixel
+ * ratio changes (zoom, moving the window to another screen).
+ */
+export class WaveformView {
+  constructor(canvas, { onRegionChange } = {}) {
+    this.canvas = canvas;
+    this.onRegionChange = onRegionChange;
+    this.buffer = null;
+    this.peaks = null;
+    this.analysis = null;
+    this.region = null; // { start, length } in buffer seconds
+    this.playhead = null; // buffer seconds, null while the preview does not reach this track
+    this.snap = 'bar';
+    this.phraseBars = 'auto'; // phrase length in bars, or detected from the sections
+    this.view = { start: 0, end: 1 };
+    this.waveLayer = null;
+    this.drag = null;
+
+    canvas.addEventListener('wheel', e => this.handleWheel(e), { passive: false });
+    canvas.addEventListener('pointerdown', e => this.handlePointerDown(e));
+    canvas.addEventListener('pointermove', e => this.handlePointerMove(e));
+    canvas.addEventListener('pointerup', e => this.handlePointerUp(e));
+    canvas.addEventListener('dblclick', () => this.toggleZoom());
+    new ResizeObserver(() => this.draw()).observe(canvas);
+    this.watchPixelRatio();
+  }
+
+  /** Redraw once the device pixel ratio leaves its current value, then watch the new one */
+  watchPixelRatio() {
+    matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`).addEventListener('change', () => {
+      this.draw();
+      this.watchPixelRatio();
+    }, { once: true });
+  }
+
+  get duration() {
+    return this.buffer?.duration || this.analysis?.duration || 0;
+  }
+
+  setTrack(buffer, analysis) {
+    const changed = buffer !== this.buffer || analysis !== this.analysis;
+    this.buffer = buffer;
+    this.analysis = analysis;
+    if (changed) {
+      this.view = { start: 0, end: this.duration || 1 };
+      this.waveLayer = null;
+      this.peaks = null;
+      if (buffer) this.loadPeaks(buffer);
+    }
+  }
+
+  async loadPeaks(buffer) {
+    try {
+      const peaks = await bufferPeaks(buffer);
+      if (buffer !== this.buffer) return;
+      this.peaks = peaks;
+      this.waveLayer = null;
+      this.draw();
+    } catch {
+      // Without peaks the view draws no waveform, the grid and markers still work
+    }
+  }
+
+  setRegion(region) {
+    this.region = region;
+  }
+
+  setPlayhead(time) {
+    this.playhead = time;
+  }
+
+  timeAt(x) {
+    return this.view.start + (x / this.canvas.clientWidth) * (this.view.end - this.view.start);
+  }
+
+  xAt(t) {
+    return ((t - this.view.start) / (this.view.end - this.view.start)) * this.canvas.clientWidth;
+  }
+
+  /** Grid the region start snaps to */
+  snapTimes() {
+    const a = this.analysis;
+    if (!a || this.snap === 'none') return null;
+    if (this.snap === 'beat') return a.beats.map(b => b.start);
+    if (this.snap === 'phrase') return a.getPhraseStarts(this.phraseBars);
+    return a.getDownbeats();
+  }
+
+  snapTime(t) {
+    const grid = this.snapTimes();
+    if (!grid?.length) return t;
+    return grid[nearestIndex(grid, t)];
+  }
+
+  setView(start, end) {
+    const total = this.duration || 1;
+    const span = clamp(end - start, 0.5, total);
+    const from = clamp(start, 0, total - span);
+    this.view = { start: from, end: from + span };
+    this.waveLayer = null;
+    this.draw();
+  }
+
+  toggleZoom() {
+    const total = this.duration || 1;
+    const full = this.view.start <= 0 && this.view.end >= total;
+    if (full && this.region) {
+      const pad = Math.max(4, this.region.length * 0.5);
+      this.setView(this.region.start - pad, this.region.start + this.region.length + pad);
+    } else {
+      this.setView(0, total);
+    }
+  }
+
+  handleWheel(e) {
+    if (!this.duration) return;
+    e.preventDefault();
+    const span = this.view.end - this.view.start;
+    if (e.shiftKey) {
+      const shift = (e.deltaY || e.deltaX) / this.canvas.clientWidth * span;
+      this.setView(this.view.start + shift, this.view.end + shift);
+      return;
+    }
+    const anchor = this.timeAt(e.offsetX);
+    const factor = Math.exp(e.deltaY * 0.002);
+    this.setView(anchor - (anchor - this.view.start) * factor, anchor + (this.view.end - anchor) * factor);
+  }
+
+  handlePointerDown(e) {
+    if (!this.duration) return;
+    this.canvas.setPointerCapture(e.pointerId);
+    const t = this.timeAt(e.offsetX);
+    const r = this.region;
+    const onRegion = r && this.onRegionChange && t >= r.start - this.pixelsToSeconds(6) && t <= r.start + r.length;
+    this.drag = onRegion
+      ? { mode: 'region', grab: t - r.start }
+      : { mode: 'pan', x: e.offsetX, view: { ...this.view } };
+  }
+
+  handlePointerMove(e) {
+    if (!this.drag) return;
+    if (this.drag.mode === 'pan') {
+      const shift = this.pixelsToSeconds(this.drag.x - e.offsetX);
+      this.setView(this.drag.view.start + shift, this.drag.view.end + shift);
+      return;
+    }
+    const max = Math.max(0, this.duration - this.region.length);
+    const start = clamp(this.snapTime(this.timeAt(e.offsetX) - this.drag.grab), 0, max);
+    if (start !== this.region.start) {
+      this.region = { ...this.region, start };
+      this.draw();
+    }
+  }
+
+  handlePointerUp(e) {
+    if (!this.drag) return;
+    this.canvas.releasePointerCapture(e.pointerId);
+    const wasRegion = this.drag.mode === 'region';
+    this.drag = null;
+    if (wasRegion) this.onRegionChange?.(this.region.start);
+  }
+
+  pixelsToSeconds(px) {
+    return (px / this.canvas.clientWidth) * (this.view.end - this.view.start);
+  }
+
+  /** Min/max outline of the visible span, one lane per channel, cached until the view or size changes */
+  renderWaveLayer(width, height, dpr) {
+    const layer = document.createElement('canvas');
+    layer.width = Math.floor(width * dpr);
+    layer.height = Math.floor(height * dpr);
+    const ctx = layer.getContext('2d');
+    ctx.scale(dpr, dpr);
+    const lanes = this.peaks.channels;
+    const laneHeight = height / lanes;
+    const step = 1 / dpr; // one device pixel
+    ctx.strokeStyle = '#1db954';
+    ctx.lineWidth = step;
+    ctx.beginPath();
+    for (let c = 0; c < lanes; c++) {
+      const mid = laneHeight * (c + 0.5);
+      const scale = laneHeight / 2;
+      for (let x = 0; x < width; x += step) {
+        const peak = peakRange(this.peaks, c, this.timeAt(x), this.timeAt(x + step));
+        if (!peak) continue;
+        ctx.moveTo(x + step / 2, mid - peak.max * scale);
+        ctx.lineTo(x + step / 2, mid - peak.min * scale + step);
+      }
+    }
+    ctx.stroke();
+    if (lanes > 1) {
+      ctx.fillStyle = 'rgba(255,255,255,0.08)';
+      for (let c = 1; c < lanes; c++) ctx.fillRect(0, Math.round(laneHeight * c), width, 1);
+    }
+    return { canvas: layer, key: `${width}x${height}@${dpr}:${this.view.start}-${this.view.end}` };
+  }
+
+  draw() {
+    const canvas = this.canvas;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.floor(width * dpr);
+    canvas.height = Math.floor(height * dpr);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#0f1319';
+    ctx.fillRect(0, 0, width, height);
+    if (!this.buffer && !this.analysis) return;
+
+    const a = this.analysis;
+    // Sections as alternating bands
+    a?.sections.forEach((s, i) => {
+      const x0 = this.xAt(s.start);
+      const x1 = this.xAt(s.start + s.duration);
+      if (x1 < 0 || x0 > width) return;
+      ctx.fillStyle = i % 2 ? 'rgba(255,255,255,0.035)' : 'rgba(255,255,255,0.0)';
+      ctx.fillRect(x0, 0, x1 - x0, height);
+      ctx.fillStyle = '#a3b0c2';
+      ctx.font = '10px sans-serif';
+      ctx.fillText(`S${i + 1}`, Math.max(2, x0 + 2), 10);
+    });
+
+    if (this.peaks) {
+      const key = `${width}x${height}@${dpr}:${this.view.start}-${this.view.end}`;
+      if (this.waveLayer?.key !== key) this.waveLayer = this.renderWaveLayer(width, height, dpr);
+      ctx.drawImage(this.waveLayer.canvas, 0, 0, width, height);
+    }
+
+    if (a) {
+      const pxPerSecond = width / (this.view.end - this.view.start);
+      const line = (t, color) => {
+        const x = Math.round(this.xAt(t)) + 0.5;
+        if (x < 0 || x > width) return;
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+      };
+      // Only draw grids that are not denser than a few pixels
+      const beatSpacing = 60 / (a.tempo || 120);
+      if (beatSpacing * pxPerSecond > 4) a.beats.forEach(b => line(b.start, 'rgba(255,255,255,0.12)'));
+      if (beatSpacing * a.timeSignature * pxPerSecond > 4) a.getDownbeats().forEach(t => line(t, 'rgba(255,255,255,0.3)'));
+      a.getPhraseStarts(this.phraseBars).forEach(t => line(t, 'rgba(29,185,84,0.55)'));
+    }
+
+    if (this.region) {
+      const x0 = this.xAt(this.region.start);
+      const x1 = this.xAt(this.region.start + this.region.length);
+      ctx.fillStyle = 'rgba(43,108,176,0.3)';
+      ctx.fillRect(x0, 0, x1 - x0, height);
+      ctx.fillStyle = '#2b6cb0';
+      ctx.fillRect(x0 - 1, 0, 2, height);
+      ctx.fillRect(x0 - 4, 0, 8, 8);
+    }
+
+    if (this.playhead != null) {
+      const x = this.xAt(this.playhead);
+      if (x >= 0 && x <= width) {
+        ctx.fillStyle = '#f6ad55';
+        ctx.fillRect(Math.round(x) - 1, 0, 2, height);
+      }
+    }
+  }
+}
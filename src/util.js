@@ -0,0 +1,13 @@
+// Small shared helpers
+
+export const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+export function nearestIndex(times, t) {
+  let best = -1;
+  let bestDistance = Infinity;
+  times.forEach((x, i) => {
+    const distance = Math.abs(x - t);
+    if (distance < bestDistance) { best = i; bestDistance = distance; }
+  });
+  return best;
+}
@@ -0,0 +1,135 @@
+// WAV encoding: 16/24-bit PCM (optionally TPDF-dithered) or 32-bit float, with cue markers
+
+import { clamp } from './util.js';
+
+/**
+ * Integer samples of every channel at `bitDepth`. With `dither`, triangular (TPDF) noise of
+ * ±1 LSB is added before rounding so the quantization error does not correlate with the signal.
+ */
+export function quantizeChannels(buffer, bitDepth, dither = false) {
+  const scale = 2 ** (bitDepth - 1);
+  const channels = [];
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const input = buffer.getChannelData(c);
+    const output = new Int32Array(input.length);
+    for (let i = 0; i < input.length; i++) {
+      const noise = dither ? Math.random() - Math.random() : 0;
+      output[i] = clamp(Math.round(input[i] * scale + noise), -scale, scale - 1);
+    }
+    channels.push(output);
+  }
+  return channels;
+}
+
+/** RIFF chunks are padded to an even length */
+function chunk(id, body) {
+  const bytes = new Uint8Array(8 + body.length + (body.length % 2));
+  const dv = new DataView(bytes.buffer);
+  for (let i = 0; i < 4; i++) bytes[i] = id.charCodeAt(i);
+  dv.setUint32(4, body.length, true);
+  bytes.set(body, 8);
+  return bytes;
+}
+
+/** Latin-1 bytes (what RIFF readers expect in labels), '?' for anything outside it */
+function latin1(text) {
+  return Uint8Array.from(text, ch => ch.charCodeAt(0) < 256 ? ch.charCodeAt(0) : 63);
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/** `cue ` chunk with one point per marker plus a LIST/adtl chunk carrying their labels */
+function markerChunks(markers, sampleRate) {
+  if (!markers.length) return [];
+  const cue = new Uint8Array(4 + markers.length * 24);
+  const dv = new DataView(cue.buffer);
+  dv.setUint32(0, markers.length, true);
+  const labels = [latin1('adtl')];
+  markers.forEach((marker, i) => {
+    const at = 4 + i * 24;
+    const position = Math.max(0, Math.round(marker.time * sampleRate));
+    dv.setUint32(at, i + 1, true); // cue point id
+    dv.setUint32(at + 4, position, true);
+    cue.set(latin1('data'), at + 8);
+    dv.setUint32(at + 12, 0, true); // chunk start
+    dv.setUint32(at + 16, 0, true); // block start
+    dv.setUint32(at + 20, position, true); // sample offset
+    const text = latin1(`${marker.label}\0`);
+    const labl = new Uint8Array(4 + text.length);
+    new DataView(labl.buffer).setUint32(0, i + 1, true);
+    labl.set(text, 4);
+    labels.push(chunk('labl', labl));
+  });
+  return [chunk('cue ', cue), chunk('LIST', concat(labels))];
+}
+
+/**
+ * Encode an AudioBuffer as WAV. bitDepth 16 or 24 writes PCM, 32 writes IEEE float;
+ * markers [{ time, label }] (seconds) become cue points DJ software and editors can show.
+ */
+export function audioBufferToWav(buffer, { bitDepth = 16, dither = false, markers = [] } = {}) {
+  const numOfChannels = buffer.numberOfChannels;
+  const sampleRate = buffer.sampleRate;
+  const float = bitDepth === 32;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numOfChannels * bytesPerSample;
+
+  const fmt = new DataView(new ArrayBuffer(float ? 18 : 16));
+  fmt.setUint16(0, float ? 3 : 1, true); // IEEE float or PCM
+  fmt.setUint16(2, numOfChannels, true);
+  fmt.setUint32(4, sampleRate, true);
+  fmt.setUint32(8, sampleRate * blockAlign, true);
+  fmt.setUint16(12, blockAlign, true);
+  fmt.setUint16(14, bitDepth, true);
+  if (float) fmt.setUint16(16, 0, true); // no extension
+
+  const chunks = [chunk('fmt ', new Uint8Array(fmt.buffer))];
+  if (float) {
+    const fact = new DataView(new ArrayBuffer(4));
+    fact.setUint32(0, buffer.length, true);
+    chunks.push(chunk('fact', new Uint8Array(fact.buffer)));
+  }
+  chunks.push(...markerChunks(markers, sampleRate));
+
+  // One allocation for the whole file, the samples are written straight into the data chunk
+  const dataSize = buffer.length * blockAlign;
+  const header = concat([latin1('RIFF'), new Uint8Array(4), latin1('WAVE'), ...chunks, latin1('data'), new Uint8Array(4)]);
+  const bytes = new Uint8Array(header.length + dataSize + (dataSize % 2));
+  bytes.set(header);
+  const dv = new DataView(bytes.buffer);
+  dv.setUint32(4, bytes.length - 8, true);
+  dv.setUint32(header.length - 4, dataSize, true);
+
+  // interleave channels
+  let offset = header.length;
+  if (float) {
+    const channels = [];
+    for (let c = 0; c < numOfChannels; c++) channels.push(buffer.getChannelData(c));
+    for (let i = 0; i < buffer.length; i++) {
+      for (let c = 0; c < numOfChannels; c++, offset += 4) dv.setFloat32(offset, channels[c][i], true);
+    }
+  } else {
+    const channels = quantizeChannels(buffer, bitDepth, dither);
+    for (let i = 0; i < buffer.length; i++) {
+      for (let c = 0; c < numOfChannels; c++, offset += bytesPerSample) {
+        const v = channels[c][i];
+        if (bitDepth === 16) {
+          dv.setInt16(offset, v, true);
+        } else {
+          dv.setUint8(offset, v & 0xff);
+          dv.setUint8(offset + 1, (v >> 8) & 0xff);
+          dv.setUint8(offset + 2, (v >> 16) & 0xff);
+        }
+      }
+    }
+  }
+  return bytes.buffer;
+}
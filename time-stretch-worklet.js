@@ -0,0 +1,130 @@
+// Time-stretch / pitch-shift AudioWorklet (WSOLA over resampled grains).
+// Plays a preloaded buffer like an AudioBufferSourceNode, but `tempo` (buffer speed) and
+// `pitch` (semitones) are independent parameters. Works in AudioContext and OfflineAudioContext.
+
+const FRAME_SECONDS = 0.043; // ~2048 samples at 44.1/48 kHz
+const SEARCH_SECONDS = 0.012; // WSOLA tolerance around the ideal grain position
+const SEARCH_DECIMATION = 4; // correlate every 4th sample, plenty for finding the best overlap
+
+class TimeStretchProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'tempo', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' },
+      { name: 'pitch', defaultValue: 0, minValue: -24, maxValue: 24, automationRate: 'k-rate' },
+    ];
+  }
+
+  /**
+   * processorOptions: { channels: Float32Array[], bufferSampleRate, offset (s, into channels), when (s), stop (s) }.
+   * Posting { stop } to the port brings the stop time forward.
+   */
+  constructor(options) {
+    super();
+    const { channels, bufferSampleRate, offset = 0, when = 0, stop = Infinity } = options.processorOptions;
+    this.channels = channels;
+    this.length = channels[0]?.length || 0;
+    this.srcRatio = (bufferSampleRate || sampleRate) / sampleRate; // source samples per output sample at tempo 1
+    this.startFrame = Math.round(when * sampleRate);
+    this.stopFrame = Number.isFinite(stop) ? Math.round(stop * sampleRate) : Infinity;
+
+    this.frameSize = 2 ** Math.round(Math.log2(FRAME_SECONDS * sampleRate));
+    this.hop = this.frameSize / 2;
+    this.tolerance = Math.round(SEARCH_SECONDS * sampleRate);
+    // Periodic Hann window: at 50% overlap the windows sum to exactly 1
+    this.window = new Float32Array(this.frameSize);
+    for (let j = 0; j < this.frameSize; j++) this.window[j] = 0.5 - 0.5 * Math.cos(2 * Math.PI * j / this.frameSize);
+    this.grain = new Float32Array(this.frameSize);
+    this.ola = channels.map(() => new Float32Array(this.frameSize));
+    this.out = channels.map(() => new Float32Array(this.hop));
+
+    // Prime one hop early and throw it away, so the first audible sample is at full level
+    this.readPos = offset * (bufferSampleRate || sampleRate) - this.hop * this.srcRatio;
+    this.prevPos = null;
+    this.synthesize(1, 0);
+    this.outIndex = this.hop;
+    // A new stop time (context seconds), e.g. when a preview is paused or rescheduled
+    this.port.onmessage = e => {
+      if (Number.isFinite(e.data?.stop)) this.stopFrame = Math.min(this.stopFrame, Math.round(e.data.stop * sampleRate));
+    };
+  }
+
+  sample(channel, x) {
+    const i = Math.floor(x);
+    if (i < 0 || i + 1 >= this.length) return 0;
+    const f = x - i;
+    return channel[i] * (1 - f) + channel[i + 1] * f;
+  }
+
+  mono(x) {
+    let v = 0;
+    for (const channel of this.channels) v += this.sample(channel, x);
+    return v;
+  }
+
+  /** Find the grain start near `ideal` whose beginning best continues the previous grain */
+  bestAlignment(ideal, natural, step) {
+    const overlap = this.frameSize - this.hop;
+    const reference = [];
+    for (let j = 0; j < overlap; j += SEARCH_DECIMATION) reference.push(this.mono(natural + j * step));
+
+    const range = this.tolerance * step;
+    const stride = Math.max(1, step) * 2;
+    let best = ideal;
+    let bestScore = -Infinity;
+    for (let delta = -range; delta <= range; delta += stride) {
+      const pos = ideal + delta;
+      let dot = 0;
+      let energy = 1e-9;
+      for (let k = 0; k < reference.length; k++) {
+        const v = this.mono(pos + k * SEARCH_DECIMATION * step);
+        dot += v * reference[k];
+        energy += v * v;
+      }
+      const score = dot / Math.sqrt(energy);
+      if (score > bestScore) {
+        bestScore = score;
+        best = pos;
+      }
+    }
+    return best;
+  }
+
+  /** Produce the next `hop` output samples */
+  synthesize(tempo, pitch) {
+    const step = this.srcRatio * Math.pow(2, pitch / 12);
+    let pos = this.readPos;
+    if (this.prevPos !== null) pos = this.bestAlignment(pos, this.prevPos + this.hop * step, step);
+
+    this.channels.forEach((channel, c) => {
+      const ola = this.ola[c];
+      for (let j = 0; j < this.frameSize; j++) ola[j] += this.window[j] * this.sample(channel, pos + j * step);
+      this.out[c].set(ola.subarray(0, this.hop));
+      ola.copyWithin(0, this.hop);
+      ola.fill(0, this.frameSize - this.hop);
+    });
+
+    this.prevPos = pos;
+    this.readPos += this.hop * this.srcRatio * tempo;
+    this.outIndex = 0;
+  }
+
+  process(inputs, outputs, parameters) {
+    const output = outputs[0];
+    const blockSize = output[0].length;
+    if (currentFrame + blockSize <= this.startFrame) return true;
+    if (currentFrame >= this.stopFrame || this.channels.length === 0) return false;
+
+    const tempo = parameters.tempo[0];
+    const pitch = parameters.pitch[0];
+    const from = Math.max(0, this.startFrame - currentFrame);
+    const to = Math.min(blockSize, this.stopFrame - currentFrame);
+    for (let i = from; i < to; i++) {
+      if (this.outIndex >= this.hop) this.synthesize(tempo, pitch);
+      for (let c = 0; c < output.length; c++) output[c][i] = this.out[Math.min(c, this.out.length - 1)][this.outIndex];
+      this.outIndex++;
+    }
+    return true;
+  }
+}
+
+registerProcessor('time-stretch', TimeStretchProcessor);